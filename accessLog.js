@@ -0,0 +1,138 @@
+// Import the generator of request IDs
+import { randomUUID } from "node:crypto"
+
+// Import the file stream of the file sink
+import { createWriteStream } from "node:fs"
+
+// Import the check of the cache refreshes, which aren't client requests
+import { isRevalidation } from "./cache.js"
+
+/**
+ * Incoming request IDs are reused only if they look like IDs, to keep the logs clean.
+ */
+const requestIdPattern = /^[\w.:@+=/-]{1,128}$/
+
+/**
+ * Abbreviated month names of Common Log Format dates.
+ */
+const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+
+/**
+ * Sink writing each log line to the standard output.
+ * @param {string} line - The log line
+ */
+export const consoleSink = (line) => {
+	process.stdout.write(`${line}\n`)
+}
+
+/**
+ * Creates a sink appending each log line to a file.
+ * @param {string} filePath - The path of the log file
+ * @returns {function} - The sink, with a `close()` method ending the file stream
+ */
+export const fileSink = (filePath) => {
+	const stream = createWriteStream(filePath, { flags: "a" })
+	const sink = (line) => stream.write(`${line}\n`)
+	sink.close = () => stream.end()
+	return sink
+}
+
+/**
+ * Formats of the log lines, by name. Each one receives a log entry and returns a line.
+ */
+export const logFormats = {
+	json: (entry) => JSON.stringify(entry),
+
+	// Common Log Format, with the duration and request ID appended
+	clf: (entry) => {
+		const date = new Date(entry.time)
+		const pad = (number) => String(number).padStart(2, "0")
+		const clfDate =
+			`${pad(date.getUTCDate())}/${months[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+			`${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`
+
+		return (
+			`${entry.remoteAddress || "-"} - - [${clfDate}] "${entry.method} ${entry.route || "-"} HTTP/${entry.httpVersion}" ` +
+			`${entry.status} ${entry.bytes || "-"} ${entry.duration}ms ${entry.id}`
+		)
+	},
+}
+
+/**
+ * Enables the access log, writing one line per request once its response is done.
+ *
+ * Each line has the method, the matched route pattern (e.g. "/users/:id", never the raw URL
+ * with its query string), the status, the number of body bytes sent, the duration and the
+ * request ID. The ID is taken from the incoming `X-Request-Id` header, or generated, then
+ * set on the response and in `req.id`. The background refreshes of stale cache entries
+ * (see `cache()`) aren't logged.
+ *
+ * @param {Router} app - The Router app instance
+ * @param {object} [options={}] - The access log options
+ * @param {string|function} [options.format="json"] - "json", "clf", or a function formatting a log entry to a line
+ * @param {function[]} [options.sinks=[consoleSink]] - The functions receiving each line and its entry
+ * @param {number} [options.sampleRate=1] - The fraction of the requests logged, server errors and aborted requests are always logged
+ * @param {string} [options.requestIdHeader="X-Request-Id"] - The header carrying the request ID
+ */
+export const enableAccessLog = (app, options = {}) => {
+	const { format = "json", sinks = [consoleSink], sampleRate = 1, requestIdHeader = "X-Request-Id" } = options
+
+	const formatEntry = typeof format === "function" ? format : logFormats[format]
+	if (!formatEntry) {
+		throw new TypeError(`Unknown log format "${format}", expected one of ${Object.keys(logFormats).join(", ")}`)
+	}
+
+	// Number of body bytes sent, by response
+	const bodySizes = new WeakMap()
+
+	app.addHook("onRequest", (req, res) => {
+		const incomingId = req.headers[requestIdHeader.toLowerCase()]
+		req.id = requestIdPattern.test(incomingId || "") ? incomingId : randomUUID()
+		res.setHeader(requestIdHeader, req.id)
+
+		// Count the body bytes written to the response
+		bodySizes.set(res, 0)
+		const { write, end } = res
+		const count = (chunk, encoding) => {
+			if (chunk && typeof chunk !== "function") {
+				bodySizes.set(
+					res,
+					bodySizes.get(res) + Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : undefined)
+				)
+			}
+		}
+		res.write = function (chunk, encoding, callback) {
+			count(chunk, encoding)
+			return write.call(this, chunk, encoding, callback)
+		}
+		res.end = function (chunk, encoding, callback) {
+			count(chunk, encoding)
+			return end.call(this, chunk, encoding, callback)
+		}
+	})
+
+	app.addHook("onResponse", (req, res, duration) => {
+		if (isRevalidation(req)) return
+		// Upgraded connections are handed over without finishing their response
+		const aborted = !res.writableFinished && res.statusCode !== 101
+		if (res.statusCode < 500 && !aborted && Math.random() >= sampleRate) return
+
+		const entry = {
+			time: new Date().toISOString(),
+			id: req.id,
+			method: req.method,
+			route: req.route ? req.route.path : null,
+			status: res.statusCode,
+			// No body is sent for HEAD requests, whatever the handler wrote
+			bytes: req.method === "HEAD" ? 0 : bodySizes.get(res) || 0,
+			duration: Math.round(duration * 1000) / 1000,
+			remoteAddress: req.socket.remoteAddress,
+			userAgent: req.headers["user-agent"] || null,
+			httpVersion: req.httpVersion,
+			aborted,
+		}
+
+		const line = formatEntry(entry)
+		for (const sink of sinks) sink(line, entry)
+	})
+}
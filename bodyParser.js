@@ -0,0 +1,552 @@
+// Import the modules needed to write uploaded files to a temporary directory
+import { randomUUID } from "node:crypto"
+import { createWriteStream } from "node:fs"
+import { rm } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import path from "node:path"
+
+// Import the base class of the errors answered with an HTTP status
+import { HttpError } from "./httpErrors.js"
+
+/**
+ * Error raised when a request body can't be read or parsed.
+ *
+ * The `statusCode` is the HTTP status to answer with (400, 413, 415...), and
+ * `headers` holds any extra response headers to send along with it.
+ */
+export class BodyParserError extends HttpError {
+	/**
+	 * @param {number} statusCode - The HTTP status code to respond with
+	 * @param {string} message - The error message, safe to send to the client
+	 * @param {object} [headers={}] - Extra response headers
+	 */
+	constructor(statusCode, message, headers = {}) {
+		super(statusCode, message, { headers })
+		this.name = "BodyParserError"
+	}
+}
+
+/**
+ * Creates the error for a body exceeding the size limit.
+ *
+ * The connection is closed after the response so the rest of the body isn't read.
+ *
+ * @returns {BodyParserError}
+ */
+export const payloadTooLarge = () => new BodyParserError(413, "Payload Too Large", { Connection: "close" })
+
+/**
+ * Reads a whole request body into a single Buffer, enforcing a size limit.
+ *
+ * Chunks are collected as Buffers and concatenated at the end, so multi-byte
+ * characters split across chunks are decoded correctly.
+ *
+ * @param {http.IncomingMessage} req - The incoming HTTP request object
+ * @param {number} limit - The maximum body size in bytes
+ * @returns {Promise<Buffer>} - The request body
+ */
+export const readRawBody = (req, limit) => {
+	return new Promise((resolve, reject) => {
+		// Reject early when the announced length is already too large
+		if (Number(req.headers["content-length"]) > limit) {
+			return reject(payloadTooLarge())
+		}
+
+		const chunks = []
+		let receivedBytes = 0
+
+		const cleanup = () => {
+			req.off("data", onData)
+			req.off("end", onEnd)
+			req.off("error", onError)
+		}
+		const onData = (chunk) => {
+			receivedBytes += chunk.length
+			if (receivedBytes > limit) {
+				cleanup()
+				reject(payloadTooLarge())
+			} else {
+				chunks.push(chunk)
+			}
+		}
+		const onEnd = () => {
+			cleanup()
+			resolve(Buffer.concat(chunks))
+		}
+		const onError = () => {
+			cleanup()
+			reject(new BodyParserError(400, "Request Aborted"))
+		}
+
+		req.on("data", onData)
+		req.on("end", onEnd)
+		req.on("error", onError)
+	})
+}
+
+/**
+ * Decodes a Buffer to text using the charset of the request's Content-Type.
+ * @param {Buffer} buffer - The raw body
+ * @param {string} [charset="utf-8"] - The charset parameter of the Content-Type
+ * @returns {string} - The decoded text
+ */
+const decodeText = (buffer, charset = "utf-8") => {
+	let decoder
+	try {
+		decoder = new TextDecoder(charset)
+	} catch {
+		throw new BodyParserError(415, `Unsupported Charset "${charset}"`)
+	}
+	return decoder.decode(buffer)
+}
+
+/**
+ * Parses a JSON body.
+ * @type {BodyParserFunction}
+ */
+const parseJSON = async (req, { limit, charset }) => {
+	const text = decodeText(await readRawBody(req, limit), charset)
+	try {
+		return JSON.parse(text)
+	} catch {
+		throw new BodyParserError(400, "Invalid JSON")
+	}
+}
+
+/**
+ * Parses an `application/x-www-form-urlencoded` body.
+ *
+ * Fields repeated in the body are collected into arrays.
+ *
+ * @type {BodyParserFunction}
+ */
+const parseUrlEncoded = async (req, { limit, charset }) => {
+	const searchParams = new URLSearchParams(decodeText(await readRawBody(req, limit), charset))
+	const fields = Object.create(null)
+
+	for (const [name, value] of searchParams) {
+		if (!(name in fields)) {
+			fields[name] = value
+		} else if (Array.isArray(fields[name])) {
+			fields[name].push(value)
+		} else {
+			fields[name] = [fields[name], value]
+		}
+	}
+
+	return fields
+}
+
+/**
+ * Parses a `text/*` body into a string.
+ * @type {BodyParserFunction}
+ */
+const parseText = async (req, { limit, charset }) => decodeText(await readRawBody(req, limit), charset)
+
+/**
+ * Reads any other body as a raw Buffer.
+ * @type {BodyParserFunction}
+ */
+const parseRaw = (req, { limit }) => readRawBody(req, limit)
+
+/**
+ * Parses a `multipart/form-data` body, streaming file parts to a temporary directory.
+ *
+ * Fields are returned as the body, files are attached to `req.files`, and the
+ * temporary files are removed once the response is closed.
+ *
+ * @type {BodyParserFunction}
+ */
+const parseFormData = async (req, { limit, parameters, res, uploadDir }) => {
+	if (!parameters.boundary) {
+		throw new BodyParserError(400, "Missing Multipart Boundary")
+	}
+
+	const { fields, files } = await parseMultipart(req, { boundary: parameters.boundary, limit, uploadDir, res })
+	req.files = files
+	return fields
+}
+
+/**
+ * @callback BodyParserFunction
+ * @param {http.IncomingMessage} req - The incoming HTTP request object
+ * @param {object} context - The parsing context
+ * @param {number} context.limit - The maximum body size in bytes
+ * @param {string} context.contentType - The media type of the body, without parameters
+ * @param {string} [context.charset] - The charset parameter of the Content-Type, if any
+ * @param {object} context.parameters - All the parameters of the Content-Type
+ * @param {string} context.uploadDir - The directory where uploaded files are written
+ * @param {http.ServerResponse} context.res - The outgoing HTTP response object
+ * @returns {Promise<*>} - The parsed body
+ */
+
+/**
+ * BodyParser class selecting a parser for a request body according to its Content-Type.
+ *
+ * Parsers for JSON, urlencoded forms, text, multipart uploads and raw Buffers are
+ * built in. Custom parsers registered with `register()` take precedence over them.
+ */
+export class BodyParser {
+	/**
+	 * Constructor for BodyParser class.
+	 * @param {object} [options={}] - The parser options
+	 * @param {number} [options.limit=1048576] - Default maximum body size in bytes (1MB)
+	 * @param {string} [options.uploadDir] - Directory for uploaded files (the OS temp directory by default)
+	 */
+	constructor({ limit = 1048576, uploadDir = tmpdir() } = {}) {
+		this.limit = limit
+		this.uploadDir = uploadDir
+
+		// Built-in parsers, the first matching one is used
+		this.parsers = [
+			{ type: (mediaType) => mediaType === "application/json" || mediaType.endsWith("+json"), parse: parseJSON },
+			{ type: "application/x-www-form-urlencoded", parse: parseUrlEncoded },
+			{ type: "multipart/form-data", parse: parseFormData },
+			{ type: "text/*", parse: parseText },
+			{ type: "*/*", parse: parseRaw },
+		]
+	}
+
+	/**
+	 * Registers a parser for a content type, taking precedence over the ones registered before.
+	 * @param {string|function} type - A media type like "application/xml", a wildcard like "text/*",
+	 *                                 or a function receiving the media type and returning a boolean
+	 * @param {BodyParserFunction} parse - The function parsing matching bodies
+	 * @returns {BodyParser} - The current parser instance for chaining
+	 */
+	register(type, parse) {
+		this.parsers.unshift({ type, parse })
+		return this
+	}
+
+	/**
+	 * Reads and parses the body of a request.
+	 * @param {http.IncomingMessage} req - The incoming HTTP request object
+	 * @param {http.ServerResponse} res - The outgoing HTTP response object
+	 * @param {object} [options={}] - Per-route options
+	 * @param {number} [options.limit] - Maximum body size in bytes, overriding the default limit
+	 * @returns {Promise<*>} - The parsed body, or undefined if the request has no body
+	 */
+	async parse(req, res, { limit = this.limit } = {}) {
+		// Requests without a body have neither a length nor a chunked transfer encoding
+		if (!req.headers["transfer-encoding"] && !Number(req.headers["content-length"])) {
+			return undefined
+		}
+
+		const contentEncoding = (req.headers["content-encoding"] || "identity").toLowerCase()
+		if (contentEncoding !== "identity") {
+			throw new BodyParserError(415, `Unsupported Content-Encoding "${contentEncoding}"`)
+		}
+
+		const [mediaType, parameters] = parseContentType(req.headers["content-type"])
+		const { parse } = this.parsers.find(({ type }) => matchesMediaType(type, mediaType))
+
+		return parse(req, {
+			limit,
+			contentType: mediaType,
+			charset: parameters.charset,
+			parameters,
+			uploadDir: this.uploadDir,
+			res,
+		})
+	}
+}
+
+/**
+ * Splits a Content-Type header into its media type and parameters.
+ * @param {string} [header="application/octet-stream"] - The Content-Type header
+ * @returns {[string, object]} - The lower-cased media type and its parameters
+ */
+const parseContentType = (header = "application/octet-stream") => {
+	const [mediaType, ...rawParameters] = header.split(";")
+	const parameters = Object.create(null)
+
+	for (const rawParameter of rawParameters) {
+		const separator = rawParameter.indexOf("=")
+		if (separator === -1) continue
+
+		const name = rawParameter.substring(0, separator).trim().toLowerCase()
+		const value = rawParameter.substring(separator + 1).trim()
+		parameters[name] = value.startsWith('"') ? value.slice(1, -1) : value
+	}
+
+	return [mediaType.trim().toLowerCase(), parameters]
+}
+
+/**
+ * Checks whether a media type matches the type a parser was registered for.
+ * @param {string|function} type - The registered type
+ * @param {string} mediaType - The media type of the request
+ * @returns {boolean}
+ */
+const matchesMediaType = (type, mediaType) => {
+	if (typeof type === "function") return type(mediaType)
+	if (type === "*/*") return true
+	if (type.endsWith("/*")) return mediaType.startsWith(type.slice(0, -1))
+	return type === mediaType
+}
+
+/**
+ * Maximum size in bytes of the headers of a single multipart part.
+ */
+const MAX_PART_HEADERS_SIZE = 16384
+
+/**
+ * Parses the headers block of a multipart part.
+ * @param {string} headersText - The raw headers, separated by CRLF
+ * @returns {object} - The headers, keyed by lower-cased name
+ */
+const parsePartHeaders = (headersText) => {
+	const headers = Object.create(null)
+
+	for (const line of headersText.split("\r\n")) {
+		const separator = line.indexOf(":")
+		if (separator === -1) continue
+		headers[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim()
+	}
+
+	return headers
+}
+
+/**
+ * Extracts the field name and file name from a Content-Disposition header.
+ * @param {string} [header=""] - The Content-Disposition header of a part
+ * @returns {{ name: string|undefined, filename: string|undefined }}
+ */
+const parseContentDisposition = (header = "") => {
+	const parameters = Object.create(null)
+	const parameterPattern = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g
+
+	for (const [, name, quotedValue, value] of header.matchAll(parameterPattern)) {
+		parameters[name.toLowerCase()] = quotedValue !== undefined ? quotedValue.replace(/\\(.)/g, "$1") : value.trim()
+	}
+
+	// Prefer the RFC 5987 encoded file name when present
+	let filename = parameters.filename
+	const encodedFilename = parameters["filename*"]
+	if (encodedFilename && /^utf-8''/i.test(encodedFilename)) {
+		try {
+			filename = decodeURIComponent(encodedFilename.substring(7))
+		} catch {
+			// Keep the plain file name if the encoded one is malformed
+		}
+	}
+
+	// Only keep the base name, clients may send full paths
+	return {
+		name: parameters.name,
+		filename: filename === undefined ? undefined : path.basename(filename.replace(/\\/g, "/")),
+	}
+}
+
+/**
+ * Streams a `multipart/form-data` body, collecting fields and writing files to disk.
+ *
+ * The body is scanned chunk by chunk for the boundary delimiter, keeping only the
+ * bytes that could be the start of a delimiter between chunks, so file contents never
+ * need to be held in memory. File writes apply backpressure to the request stream.
+ *
+ * @param {http.IncomingMessage} req - The incoming HTTP request object
+ * @param {object} options - The parsing options
+ * @param {string} options.boundary - The boundary parameter of the Content-Type
+ * @param {number} options.limit - The maximum body size in bytes
+ * @param {string} options.uploadDir - The directory where files are written
+ * @param {http.ServerResponse} options.res - The response, whose closing removes the files
+ * @returns {Promise<{ fields: object, files: object[] }>} - The fields and the uploaded files
+ */
+const parseMultipart = (req, { boundary, limit, uploadDir, res }) => {
+	return new Promise((resolve, reject) => {
+		if (Number(req.headers["content-length"]) > limit) {
+			return reject(payloadTooLarge())
+		}
+
+		const delimiter = Buffer.from(`\r\n--${boundary}`)
+		const fields = Object.create(null)
+		const files = []
+		const fileWrites = []
+
+		// Start with a CRLF so the first boundary is matched like every other delimiter
+		let buffer = Buffer.from("\r\n")
+		let state = "preamble"
+		let receivedBytes = 0
+		let currentPart = null
+		let failed = false
+
+		const removeFiles = () => Promise.all(files.map((file) => rm(file.path, { force: true })))
+
+		const addField = (name, value) => {
+			if (!(name in fields)) {
+				fields[name] = value
+			} else if (Array.isArray(fields[name])) {
+				fields[name].push(value)
+			} else {
+				fields[name] = [fields[name], value]
+			}
+		}
+
+		const startPart = (headers) => {
+			const { name, filename } = parseContentDisposition(headers["content-disposition"])
+
+			if (name === undefined) {
+				throw new BodyParserError(400, "Missing Multipart Field Name")
+			}
+
+			if (filename === undefined) {
+				return { name, chunks: [] }
+			}
+
+			// Browsers send an empty file name for file inputs left empty
+			if (filename === "") {
+				return { name, skip: true }
+			}
+
+			// Remove the uploaded files once the response is done with them
+			if (!files.length) res.once("close", removeFiles)
+
+			const file = {
+				fieldName: name,
+				filename,
+				contentType: headers["content-type"] || "application/octet-stream",
+				path: path.join(uploadDir, `upload-${randomUUID()}`),
+				size: 0,
+			}
+			const stream = createWriteStream(file.path)
+			files.push(file)
+			fileWrites.push(
+				new Promise((resolveWrite, rejectWrite) => {
+					stream.once("finish", resolveWrite)
+					stream.once("error", rejectWrite)
+				})
+			)
+			fileWrites.at(-1).catch(fail)
+
+			return { name, file, stream }
+		}
+
+		const writePart = (data) => {
+			if (!data.length || currentPart.skip) return
+
+			if (currentPart.stream) {
+				currentPart.file.size += data.length
+				if (!currentPart.stream.write(data)) {
+					// Wait for the file to catch up before reading more of the request
+					req.pause()
+					currentPart.stream.once("drain", () => req.resume())
+				}
+			} else {
+				currentPart.chunks.push(data)
+			}
+		}
+
+		const endPart = () => {
+			if (currentPart.stream) {
+				currentPart.stream.end()
+			} else if (!currentPart.skip) {
+				addField(currentPart.name, Buffer.concat(currentPart.chunks).toString("utf8"))
+			}
+			currentPart = null
+		}
+
+		const processBuffer = () => {
+			while (state !== "done") {
+				if (state === "preamble") {
+					const delimiterIndex = buffer.indexOf(delimiter)
+					if (delimiterIndex === -1) {
+						// Keep only what could be the beginning of the first delimiter
+						buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length + 1))
+						return
+					}
+					buffer = buffer.subarray(delimiterIndex + delimiter.length)
+					state = "delimiter"
+				} else if (state === "delimiter") {
+					if (buffer.length < 2) return
+
+					// "--" right after a delimiter closes the body, anything after it is ignored
+					if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+						state = "done"
+						return
+					}
+
+					const lineEnd = buffer.indexOf("\r\n")
+					if (lineEnd === -1) {
+						if (buffer.length > MAX_PART_HEADERS_SIZE) throw new BodyParserError(400, "Malformed Multipart Body")
+						return
+					}
+					buffer = buffer.subarray(lineEnd + 2)
+					state = "headers"
+				} else if (state === "headers") {
+					const headersEnd = buffer.indexOf("\r\n\r\n")
+					if (headersEnd === -1) {
+						if (buffer.length > MAX_PART_HEADERS_SIZE) throw new BodyParserError(400, "Multipart Headers Too Large")
+						return
+					}
+					currentPart = startPart(parsePartHeaders(buffer.toString("utf8", 0, headersEnd)))
+					buffer = buffer.subarray(headersEnd + 4)
+					state = "body"
+				} else if (state === "body") {
+					const delimiterIndex = buffer.indexOf(delimiter)
+					if (delimiterIndex === -1) {
+						// Write everything that can't be part of a delimiter split across chunks
+						const safeLength = buffer.length - delimiter.length + 1
+						if (safeLength > 0) {
+							writePart(buffer.subarray(0, safeLength))
+							buffer = buffer.subarray(safeLength)
+						}
+						return
+					}
+					writePart(buffer.subarray(0, delimiterIndex))
+					endPart()
+					buffer = buffer.subarray(delimiterIndex + delimiter.length)
+					state = "delimiter"
+				}
+			}
+		}
+
+		const cleanup = () => {
+			req.off("data", onData)
+			req.off("end", onEnd)
+			req.off("error", onError)
+		}
+
+		function fail(error) {
+			if (failed) return
+			failed = true
+			cleanup()
+			if (currentPart && currentPart.stream) currentPart.stream.destroy()
+			removeFiles()
+			reject(error)
+		}
+
+		const onData = (chunk) => {
+			receivedBytes += chunk.length
+			if (receivedBytes > limit) return fail(payloadTooLarge())
+
+			try {
+				buffer = Buffer.concat([buffer, chunk])
+				processBuffer()
+			} catch (error) {
+				fail(error)
+			}
+		}
+
+		const onEnd = async () => {
+			cleanup()
+			if (state !== "done") {
+				return fail(new BodyParserError(400, "Unexpected End Of Multipart Body"))
+			}
+
+			try {
+				await Promise.all(fileWrites)
+				resolve({ fields, files })
+			} catch (error) {
+				fail(error)
+			}
+		}
+
+		const onError = () => fail(new BodyParserError(400, "Request Aborted"))
+
+		req.on("data", onData)
+		req.on("end", onEnd)
+		req.on("error", onError)
+	})
+}
@@ -0,0 +1,418 @@
+// Import the hash of the generated ETags and the token of the revalidation requests
+import { createHash, randomBytes } from "node:crypto"
+
+// Import the check of the textual bodies, whose nonce can be replaced
+import { isTextType } from "./mimeTypes.js"
+
+/**
+ * Request header marking the background requests refreshing stale entries, with a per-process
+ * token so clients can't bypass the cache with it.
+ */
+const revalidationHeader = "x-cache-revalidate"
+const revalidationToken = randomBytes(16).toString("hex")
+
+/**
+ * Checks whether a request is a background refresh of a stale cache entry.
+ *
+ * Refreshes are sent in-process with the address of the client whose request found the
+ * entry stale, so the rate limits and the access log leave them out.
+ *
+ * @param {http.IncomingMessage} req - The incoming HTTP request object
+ * @returns {boolean}
+ */
+export const isRevalidation = (req) => req.headers[revalidationHeader] === revalidationToken
+
+/**
+ * Response headers that belong to a single response, and so aren't cached.
+ */
+const uncachedHeaders = new Set([
+	"date",
+	"connection",
+	"keep-alive",
+	"transfer-encoding",
+	"x-request-id",
+	"x-cache",
+	"age",
+])
+
+/**
+ * In-memory cache of responses, evicting the least recently used ones over a size limit.
+ *
+ * Each router has one in `app.cache`, filled by the `cache()` middleware. Entries are
+ * indexed by tags, so they can be invalidated when the data they were built from changes.
+ */
+export class ResponseCache {
+	/**
+	 * @param {object} [options={}] - The cache options
+	 * @param {number} [options.maxBytes=52428800] - The maximum size of the cached bodies and headers in bytes (50MB)
+	 */
+	constructor({ maxBytes = 52428800 } = {}) {
+		this.maxBytes = maxBytes
+		this.size = 0
+		// Entries by key, from the least to the most recently used
+		this.entries = new Map()
+		// Keys of the entries by tag
+		this.tagIndex = new Map()
+		// Request headers the responses vary on and the keys of their variants, by key without the variant
+		this.variants = new Map()
+		// Keys of the entries being refreshed in the background
+		this.revalidating = new Set()
+	}
+
+	/**
+	 * Reads an entry, marking it as recently used.
+	 * @param {string} key - The entry key
+	 * @returns {object|undefined} - The entry, or undefined if it doesn't exist or is too stale to be served
+	 */
+	get(key) {
+		const entry = this.entries.get(key)
+		if (!entry) return undefined
+
+		if (entry.staleUntil <= Date.now()) {
+			this.delete(key)
+			return undefined
+		}
+		// Move the entry to the end of the map, the most recently used side
+		this.entries.delete(key)
+		this.entries.set(key, entry)
+		return entry
+	}
+
+	/**
+	 * Gets the request headers the responses of a key vary on.
+	 * @param {string} baseKey - The key without the variant
+	 * @returns {string[]|undefined} - The lower-cased names of the headers, or undefined if no variant is cached
+	 */
+	getVaryHeaders(baseKey) {
+		const variants = this.variants.get(baseKey)
+		return variants && variants.varyHeaders
+	}
+
+	/**
+	 * Stores an entry, evicting the least recently used ones to stay under the size limit.
+	 * @param {string} key - The entry key
+	 * @param {object} entry - The entry, with its `size` in bytes, its `tags`, and the `baseKey`
+	 *                         and `varyHeaders` it's a variant of
+	 */
+	set(key, entry) {
+		this.delete(key)
+		if (entry.size > this.maxBytes) return
+
+		this.entries.set(key, entry)
+		this.size += entry.size
+		for (const tag of entry.tags) {
+			if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set())
+			this.tagIndex.get(tag).add(key)
+		}
+
+		// The latest response tells which headers the next requests are looked up with
+		const variants = this.variants.get(entry.baseKey) || { keys: new Set() }
+		variants.varyHeaders = entry.varyHeaders
+		variants.keys.add(key)
+		this.variants.set(entry.baseKey, variants)
+
+		for (const oldestKey of this.entries.keys()) {
+			if (this.size <= this.maxBytes) break
+			this.delete(oldestKey)
+		}
+	}
+
+	/**
+	 * Deletes an entry.
+	 * @param {string} key - The entry key
+	 */
+	delete(key) {
+		const entry = this.entries.get(key)
+		if (!entry) return
+
+		this.entries.delete(key)
+		this.size -= entry.size
+		for (const tag of entry.tags) {
+			const keys = this.tagIndex.get(tag)
+			keys.delete(key)
+			if (!keys.size) this.tagIndex.delete(tag)
+		}
+
+		// Forget the vary headers with the last variant
+		const variants = this.variants.get(entry.baseKey)
+		variants.keys.delete(key)
+		if (!variants.keys.size) this.variants.delete(entry.baseKey)
+	}
+
+	/**
+	 * Deletes the entries having any of the given tags.
+	 *
+	 * @example
+	 * app.cache.invalidate("continents")
+	 *
+	 * @param {...string} tags - The tags
+	 * @returns {number} - The number of deleted entries
+	 */
+	invalidate(...tags) {
+		let count = 0
+		for (const tag of tags) {
+			for (const key of this.tagIndex.get(tag) || []) {
+				this.delete(key)
+				count++
+			}
+		}
+		return count
+	}
+
+	/**
+	 * Deletes every entry.
+	 */
+	clear() {
+		this.entries.clear()
+		this.tagIndex.clear()
+		this.variants.clear()
+		this.size = 0
+	}
+}
+
+/**
+ * Generates the ETag of a body.
+ * @param {Buffer} body - The response body
+ * @returns {string} - The quoted ETag
+ */
+const createETag = (body) => `"${createHash("sha1").update(body).digest("base64url")}"`
+
+/**
+ * Checks whether an `If-None-Match` header matches an ETag, with the weak comparison of GET requests.
+ * @param {string} ifNoneMatch - The `If-None-Match` header, a list of ETags or "*"
+ * @param {string} etag - The current ETag
+ * @returns {boolean}
+ */
+export const matchesETag = (ifNoneMatch, etag) => {
+	if (ifNoneMatch.trim() === "*") return true
+
+	// Weak comparison: the W/ prefix is ignored
+	const opaqueTag = etag.replace(/^W\//, "")
+	return ifNoneMatch.split(",").some((candidate) => candidate.trim().replace(/^W\//, "") === opaqueTag)
+}
+
+/**
+ * Checks whether the client's copy is the one with the given ETag.
+ * @param {http.IncomingMessage} req - The incoming HTTP request object
+ * @param {string} [etag] - The ETag of the response
+ * @returns {boolean}
+ */
+const isNotModified = (req, etag) => {
+	const ifNoneMatch = req.headers["if-none-match"]
+	return Boolean(ifNoneMatch && etag) && matchesETag(ifNoneMatch, etag)
+}
+
+/**
+ * Builds the key of a request, from its path and the selected query parameters and headers.
+ * @param {http.IncomingMessage} req - The incoming HTTP request object
+ * @param {boolean|string[]} query - Whether every query parameter is part of the key, or the names of those that are
+ * @param {string[]} headers - The names of the request headers that are part of the key
+ * @returns {string}
+ */
+const buildKey = (req, query, headers) => {
+	const params = [...req.queryParams].filter(
+		([name]) => query === true || (Array.isArray(query) && query.includes(name))
+	)
+	// The order of the parameters doesn't change the response
+	params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+
+	const queryString = new URLSearchParams(params).toString()
+	const headerValues = headers.map((name) => `${name}=${req.headers[name.toLowerCase()] || ""}`)
+	return [`${req.path}?${queryString}`, ...headerValues].join("\n")
+}
+
+/**
+ * Adds the values of the headers a response varies on to the key of a request.
+ * @param {string} baseKey - The key of the request, see `buildKey()`
+ * @param {string[]} [varyHeaders=[]] - The lower-cased names of the headers
+ * @param {http.IncomingMessage} req - The incoming HTTP request object
+ * @returns {string}
+ */
+const variantKey = (baseKey, varyHeaders = [], req) =>
+	[baseKey, ...varyHeaders.map((name) => `${name}=${req.headers[name] || ""}`)].join("\n")
+
+/**
+ * Sends a cached response.
+ * @param {http.IncomingMessage} req - The incoming HTTP request object
+ * @param {http.ServerResponse} res - The outgoing HTTP response object
+ * @param {object} entry - The cache entry
+ * @param {string} state - The `X-Cache` header, "HIT" or "STALE"
+ */
+const sendCached = (req, res, entry, state) => {
+	for (const [name, value] of Object.entries(entry.headers)) res.setHeader(name, value)
+
+	// Give the page the CSP nonce of this response, the one of the Content-Security-Policy header
+	let { body } = entry
+	if (entry.nonce && res.locals.nonce) {
+		body = Buffer.from(body.toString().replaceAll(entry.nonce, res.locals.nonce))
+		res.setHeader("Content-Length", body.length)
+	}
+	res.setHeader("Age", String(Math.floor((Date.now() - entry.created) / 1000)))
+	res.setHeader("X-Cache", state)
+
+	if (isNotModified(req, entry.headers.etag)) {
+		for (const name of ["content-length", "content-type", "content-encoding"]) res.removeHeader(name)
+		res.statusCode = 304
+		return res.end()
+	}
+
+	res.statusCode = entry.status
+	res.end(req.method === "HEAD" ? undefined : body)
+}
+
+/**
+ * Creates a cache middleware for GET routes, storing their responses in the router's `app.cache`.
+ *
+ * Responses are cached when they're a 200 without `Set-Cookie` or a `private` / `no-store`
+ * Cache-Control, and didn't use the CSRF token of the client (see `csrf()`). Their `Vary`
+ * header is honored, each variant being cached separately.
+ * Fresh entries are sent with an `X-Cache: HIT` header; once stale, they're still sent
+ * during `staleWhileRevalidate` while a request refreshes them in the background.
+ * Responses get an ETag, generated from their body when the route didn't set one, and
+ * requests with a matching `If-None-Match` get a 304.
+ *
+ * Pages containing the CSP nonce of their request (see `securityHeaders()`) get the nonce
+ * of each new request when they're sent from the cache, and no ETag since their body changes.
+ *
+ * @example
+ * app.get("/", handler, { middleware: cache({ ttl: 60, tags: ["continents"] }) })
+ * // Later, when the continents change
+ * app.cache.invalidate("continents")
+ *
+ * @param {object} [options={}] - The cache options
+ * @param {number} [options.ttl=60] - How long responses are fresh, in seconds
+ * @param {number} [options.staleWhileRevalidate=0] - How long stale responses are still sent while being refreshed, in seconds
+ * @param {boolean|string[]} [options.query=true] - Whether the query string is part of the key, or the names
+ *                                                  of the parameters that are
+ * @param {string[]} [options.headers=[]] - The request headers that are part of the key
+ * @param {string[]|function} [options.tags=[]] - The tags of the entries, or a function receiving the request and returning them
+ * @param {ResponseCache} [options.store] - The cache storing the responses, the router's `app.cache` by default
+ * @returns {function} - The middleware
+ */
+export const cache = (options = {}) => {
+	const { ttl = 60, staleWhileRevalidate = 0, query = true, headers = [], tags = [], store } = options
+
+	/**
+	 * Refreshes a stale entry by sending its request again through the router.
+	 */
+	const revalidate = (req, res, responseCache, key) => {
+		if (responseCache.revalidating.has(key)) return
+		responseCache.revalidating.add(key)
+
+		const requestHeaders = { ...req.headers, [revalidationHeader]: revalidationToken }
+		// The refreshed response must be a full one
+		for (const name of ["if-none-match", "if-modified-since", "range"]) delete requestHeaders[name]
+
+		res.app
+			.inject({ method: "GET", url: req.url, headers: requestHeaders, remoteAddress: req.socket.remoteAddress })
+			.catch((error) => console.error("Cache revalidation failed:", error))
+			.finally(() => responseCache.revalidating.delete(key))
+	}
+
+	/**
+	 * Collects the body of the response, storing it once complete and answering 304 when the client's copy matches.
+	 */
+	const captureResponse = (req, res, responseCache, baseKey) => {
+		const chunks = []
+		const { write, end } = res
+
+		// The CSRF token belongs to one client, the responses using it can't be shared
+		let usesCsrfToken = false
+		if (res.locals.csrf) {
+			const { token } = res.locals.csrf
+			req.csrfToken = res.locals.csrf.token = () => {
+				usesCsrfToken = true
+				return token()
+			}
+		}
+
+		res.write = function (chunk, encoding, callback) {
+			if (chunk && typeof chunk !== "function") chunks.push(Buffer.from(chunk, encoding))
+			return write.call(this, chunk, encoding, callback)
+		}
+
+		res.end = function (chunk, encoding, callback) {
+			if (chunk && typeof chunk !== "function") chunks.push(Buffer.from(chunk, encoding))
+			const body = Buffer.concat(chunks)
+			// Only uncompressed text can have its nonce replaced, see `sendCached()`
+			const { nonce } = this.locals
+			const contentType = String(this.getHeader("Content-Type") || "")
+				.split(";")[0]
+				.trim()
+				.toLowerCase()
+			const isText = isTextType(contentType) && !this.getHeader("Content-Encoding")
+			const hasNonce = Boolean(nonce) && isText && body.includes(nonce)
+			const etag = hasNonce ? undefined : this.getHeader("ETag") || createETag(body)
+
+			const cacheControl = String(this.getHeader("Cache-Control") || "")
+			const vary = String(this.getHeader("Vary") || "")
+			const isCacheable =
+				req.method === "GET" &&
+				this.statusCode === 200 &&
+				!this.hasHeader("Set-Cookie") &&
+				!usesCsrfToken &&
+				!/no-store|private/.test(cacheControl) &&
+				vary.trim() !== "*"
+
+			if (isCacheable) {
+				const responseHeaders = etag ? { etag } : {}
+				for (const [name, value] of Object.entries(this.getHeaders())) {
+					// The Content-Security-Policy header carries the nonce of each response
+					const isPerResponse =
+						uncachedHeaders.has(name) || name.startsWith("ratelimit-") || name.startsWith("content-security-policy")
+					if (!isPerResponse && !(hasNonce && name === "etag")) responseHeaders[name] = value
+				}
+
+				const varyHeaders = vary
+					.split(",")
+					.map((name) => name.trim().toLowerCase())
+					.filter(Boolean)
+				const now = Date.now()
+				responseCache.set(variantKey(baseKey, varyHeaders, req), {
+					status: this.statusCode,
+					headers: responseHeaders,
+					body,
+					nonce: hasNonce ? nonce : null,
+					baseKey,
+					varyHeaders,
+					created: now,
+					expires: now + ttl * 1000,
+					staleUntil: now + (ttl + staleWhileRevalidate) * 1000,
+					tags: typeof tags === "function" ? tags(req) : tags,
+					size: body.length + JSON.stringify(responseHeaders).length,
+				})
+			}
+
+			// The ETag can only be added while the headers aren't sent, i.e. when the body is sent at once
+			if (etag && !this.headersSent && this.statusCode === 200) {
+				this.setHeader("ETag", etag)
+				if (isNotModified(req, etag)) {
+					for (const name of ["content-length", "content-type", "content-encoding"]) this.removeHeader(name)
+					this.statusCode = 304
+					return end.call(this, typeof chunk === "function" ? chunk : callback)
+				}
+			}
+			return end.call(this, chunk, encoding, callback)
+		}
+	}
+
+	return (req, res, next) => {
+		// Partial responses aren't cached, let the route answer them
+		if ((req.method !== "GET" && req.method !== "HEAD") || req.headers.range) return next()
+
+		const responseCache = store || res.app.cache
+		const baseKey = buildKey(req, query, headers)
+		const key = variantKey(baseKey, responseCache.getVaryHeaders(baseKey), req)
+
+		const entry = !isRevalidation(req) && responseCache.get(key)
+		if (entry) {
+			const isStale = entry.expires <= Date.now()
+			if (isStale) revalidate(req, res, responseCache, key)
+			return sendCached(req, res, entry, isStale ? "STALE" : "HIT")
+		}
+
+		res.setHeader("X-Cache", "MISS")
+		captureResponse(req, res, responseCache, baseKey)
+		next()
+	}
+}
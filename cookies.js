@@ -0,0 +1,153 @@
+// Import the HMAC functions signing cookies
+import { createHmac, timingSafeEqual } from "node:crypto"
+
+/**
+ * Cookie names are HTTP tokens (RFC 6265, section 4.1.1).
+ */
+const cookieNamePattern = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/
+
+/**
+ * Prefix of signed cookie values, followed by the value and its signature.
+ */
+const signedPrefix = "s:"
+
+/**
+ * Parses a `Cookie` request header.
+ * @param {string} [header] - The `Cookie` header
+ * @returns {object} - The cookie values by name, the first cookie of a name winning
+ */
+export const parseCookies = (header) => {
+	const cookies = Object.create(null)
+	if (!header) return cookies
+
+	for (const pair of header.split(";")) {
+		const separatorIndex = pair.indexOf("=")
+		if (separatorIndex === -1) continue
+
+		const name = pair.substring(0, separatorIndex).trim()
+		let value = pair.substring(separatorIndex + 1).trim()
+		if (!name || name in cookies) continue
+
+		if (value[0] === '"' && value.endsWith('"')) value = value.slice(1, -1)
+		try {
+			cookies[name] = decodeURIComponent(value)
+		} catch {
+			// Keep malformed percent-encodings as they are
+			cookies[name] = value
+		}
+	}
+	return cookies
+}
+
+/**
+ * Serializes a cookie for a `Set-Cookie` response header.
+ * @param {string} name - The cookie name
+ * @param {string} value - The cookie value, percent-encoded
+ * @param {object} [options={}] - The cookie attributes
+ * @param {number} [options.maxAge] - The lifetime of the cookie in seconds, 0 or less deleting it
+ * @param {Date} [options.expires] - The expiry date, when there is no `maxAge`
+ * @param {string} [options.domain] - The domain the cookie is sent to, with its subdomains
+ * @param {string} [options.path="/"] - The path the cookie is sent to, with its subpaths
+ * @param {boolean} [options.secure] - Only send the cookie over HTTPS
+ * @param {boolean} [options.httpOnly] - Hide the cookie from scripts
+ * @param {string} [options.sameSite] - "Strict", "Lax" or "None", "None" requiring `secure`
+ * @param {boolean} [options.partitioned] - Store the cookie per top-level site (CHIPS), requiring `secure`
+ * @returns {string} - The `Set-Cookie` header value
+ * @throws {TypeError} - If the name or an attribute is invalid
+ */
+export const serializeCookie = (name, value, options = {}) => {
+	if (!cookieNamePattern.test(name)) {
+		throw new TypeError(`Invalid cookie name "${name}"`)
+	}
+
+	let cookie = `${name}=${encodeURIComponent(value)}`
+
+	if (options.maxAge !== undefined) {
+		if (!Number.isFinite(options.maxAge)) throw new TypeError("The cookie maxAge must be a number of seconds")
+		cookie += `; Max-Age=${Math.floor(options.maxAge)}`
+	} else if (options.expires) {
+		cookie += `; Expires=${options.expires.toUTCString()}`
+	}
+
+	if (options.domain) cookie += `; Domain=${options.domain}`
+	cookie += `; Path=${options.path || "/"}`
+
+	if (options.sameSite) {
+		const sameSite = options.sameSite[0].toUpperCase() + options.sameSite.substring(1).toLowerCase()
+		if (!["Strict", "Lax", "None"].includes(sameSite)) {
+			throw new TypeError(`Invalid cookie sameSite "${options.sameSite}", expected "Strict", "Lax" or "None"`)
+		}
+		// Browsers reject SameSite=None cookies that aren't secure
+		if (sameSite === "None" && !options.secure) {
+			throw new TypeError(`Cookie "${name}" with sameSite "None" must be secure`)
+		}
+		cookie += `; SameSite=${sameSite}`
+	}
+
+	if (options.secure) cookie += "; Secure"
+	if (options.httpOnly) cookie += "; HttpOnly"
+	if (options.partitioned) cookie += "; Partitioned"
+
+	return cookie
+}
+
+/**
+ * Computes the HMAC signature of a value.
+ * @param {string} value - The value
+ * @param {string} secret - The secret key
+ * @returns {string} - The base64url signature
+ */
+const signature = (value, secret) => createHmac("sha256", secret).update(value).digest("base64url")
+
+/**
+ * Signs a cookie value with the first secret.
+ * @param {string} value - The cookie value
+ * @param {string[]} secrets - The secret keys, the first one signing
+ * @returns {string} - The signed value, `s:<value>.<signature>`
+ */
+export const signCookie = (value, secrets) => {
+	if (!secrets || !secrets.length) {
+		throw new Error("Signed cookies need a secret, call setCookieSecrets() on the router first")
+	}
+	return `${signedPrefix}${value}.${signature(value, secrets[0])}`
+}
+
+/**
+ * Verifies a signed cookie value against every secret, so keys can be rotated:
+ * add the new key first and keep the old ones until their cookies expire.
+ * @param {string} signedValue - The signed value, `s:<value>.<signature>`
+ * @param {string[]} secrets - The secret keys
+ * @returns {string|false} - The value, or false if it isn't signed by any of the secrets
+ */
+export const unsignCookie = (signedValue, secrets) => {
+	if (typeof signedValue !== "string" || !signedValue.startsWith(signedPrefix)) return false
+
+	const separatorIndex = signedValue.lastIndexOf(".")
+	if (separatorIndex === -1) return false
+
+	const value = signedValue.substring(signedPrefix.length, separatorIndex)
+	const givenSignature = Buffer.from(signedValue.substring(separatorIndex + 1))
+
+	for (const secret of secrets || []) {
+		const expectedSignature = Buffer.from(signature(value, secret))
+		// Compare in constant time so the signature can't be guessed byte by byte
+		if (expectedSignature.length === givenSignature.length && timingSafeEqual(expectedSignature, givenSignature)) {
+			return value
+		}
+	}
+	return false
+}
+
+/**
+ * Reads the signed cookies of a request.
+ * @param {object} cookies - The cookies of the request, from `parseCookies()`
+ * @param {string[]} secrets - The secret keys
+ * @returns {object} - The values of the signed cookies by name, false for those whose signature is invalid
+ */
+export const readSignedCookies = (cookies, secrets) => {
+	const signedCookies = Object.create(null)
+	for (const [name, value] of Object.entries(cookies)) {
+		if (value.startsWith(signedPrefix)) signedCookies[name] = unsignCookie(value, secrets)
+	}
+	return signedCookies
+}
@@ -0,0 +1,70 @@
+// Import the serializer shared with the client
+import { serialize } from "./static/serializer.js"
+
+/**
+ * Name of the attribute marking the script elements holding transferred data.
+ */
+export const transferAttribute = "data-transfer"
+
+/**
+ * Escapes a JSON string so it can be embedded in an HTML `<script>` element.
+ *
+ * `<`, `>` and `&` are replaced by their JSON unicode escapes, so neither `</script>`
+ * nor `<!--` can appear in the element, and U+2028 / U+2029 are escaped for older
+ * JavaScript parsers. The result is still valid JSON with the same value.
+ *
+ * @param {string} json - The JSON string
+ * @returns {string} - The escaped JSON string
+ */
+export const escapeJSONForHTML = (json) =>
+	json.replace(/[<>&\u2028\u2029]/g, (character) => `\\u${character.charCodeAt(0).toString(16).padStart(4, "0")}`)
+
+/**
+ * Creates the script element transferring data from the server to the client.
+ *
+ * The values are serialized with `static/serializer.js`, so Dates, Maps, Sets, BigInts,
+ * `undefined` and circular references arrive intact. The element is read on the client
+ * with `getTransferred(key)` from `static/transfer.js`.
+ *
+ * @param {object} data - The values to transfer, by key
+ * @param {string} [nonce] - The CSP nonce of the response (see `securityHeaders()`), added to the element
+ * @returns {string} - A `<script type="application/json">` element
+ */
+export const transferScript = (data, nonce) =>
+	`<script type="application/json" ${transferAttribute}${nonce ? ` nonce="${nonce}"` : ""}>${escapeJSONForHTML(serialize(data))}</script>`
+
+/**
+ * Key of the transferred description of the functions exposed with `app.expose()`.
+ */
+export const rpcTransferKey = "__rpc"
+
+/**
+ * Key of the transferred CSRF header name and token of `csrf()`, sent by the client stubs of `static/rpc.js`.
+ */
+export const csrfTransferKey = "__csrf"
+
+/**
+ * Creates the `transfer()` helper available to views as `it.transfer()`.
+ *
+ * The helper emits one script element with the values exposed with `res.expose()`,
+ * merged with the values given to it. When the app exposes functions, their names and
+ * endpoint are transferred too, for the client stubs of `static/rpc.js`, as well as the CSRF
+ * token when the app uses `csrf()`.
+ *
+ * @param {http.ServerResponse} res - The response being rendered
+ * @returns {function(object=): string} - The view helper
+ */
+export const createTransferHelper =
+	(res) =>
+	(values = {}) => {
+		const data = { ...res.locals.exposed, ...values }
+
+		if (res.app && res.app.exposedFunctions.size) {
+			data[rpcTransferKey] = { endpoint: res.app.rpcPath, functions: [...res.app.exposedFunctions.keys()] }
+		}
+
+		if (res.locals.csrf) {
+			data[csrfTransferKey] = { header: res.locals.csrf.header, token: res.locals.csrf.token() }
+		}
+		return transferScript(data, res.locals.nonce)
+	}
@@ -0,0 +1,206 @@
+// Import the HTTP status messages used as error titles
+import { STATUS_CODES } from "node:http"
+
+/**
+ * Error answered with an HTTP error status. Throw it (or one of its subclasses) from a
+ * handler, or pass it to `next()`, and the router responds with its status.
+ *
+ * The message of client errors (4xx) is sent to the client, while server errors (5xx)
+ * only send their generic title, unless `expose` says otherwise.
+ */
+export class HttpError extends Error {
+	/**
+	 * @param {number} [statusCode=500] - The HTTP status code, from 400 to 599
+	 * @param {string} [message] - The error message, the status title by default
+	 * @param {object} [options={}] - The error options
+	 * @param {object} [options.headers={}] - Extra response headers (e.g. `Allow` or `Retry-After`)
+	 * @param {object} [options.details] - Extra members of the problem details sent as JSON
+	 * @param {boolean} [options.expose] - Whether the message is sent to the client, true for client errors by default
+	 * @param {Error} [options.cause] - The error that caused this one
+	 */
+	constructor(statusCode = 500, message = STATUS_CODES[statusCode], options = {}) {
+		const { headers = {}, details, expose = statusCode < 500, cause } = options
+		super(message, { cause })
+		this.name = "HttpError"
+		this.statusCode = statusCode
+		this.headers = headers
+		this.details = details
+		this.expose = expose
+	}
+}
+
+/**
+ * Error classes of the common HTTP error statuses, by status code.
+ */
+const errorClasses = {}
+
+/**
+ * Creates the subclass of `HttpError` of a status code.
+ * @param {number} statusCode - The HTTP status code
+ * @param {string} name - The name of the class
+ * @returns {typeof HttpError} - The class, whose constructor takes `(message, options)`
+ */
+const defineHttpError = (statusCode, name) => {
+	const errorClass = class extends HttpError {
+		constructor(message = STATUS_CODES[statusCode], options = {}) {
+			super(statusCode, message, options)
+			this.name = name
+		}
+	}
+	Object.defineProperty(errorClass, "name", { value: name })
+
+	errorClasses[statusCode] = errorClass
+	return errorClass
+}
+
+export const BadRequest = defineHttpError(400, "BadRequest")
+export const Unauthorized = defineHttpError(401, "Unauthorized")
+export const Forbidden = defineHttpError(403, "Forbidden")
+export const NotFound = defineHttpError(404, "NotFound")
+export const MethodNotAllowed = defineHttpError(405, "MethodNotAllowed")
+export const NotAcceptable = defineHttpError(406, "NotAcceptable")
+export const RequestTimeout = defineHttpError(408, "RequestTimeout")
+export const Conflict = defineHttpError(409, "Conflict")
+export const Gone = defineHttpError(410, "Gone")
+export const PayloadTooLarge = defineHttpError(413, "PayloadTooLarge")
+export const UnsupportedMediaType = defineHttpError(415, "UnsupportedMediaType")
+export const UnprocessableEntity = defineHttpError(422, "UnprocessableEntity")
+export const UpgradeRequired = defineHttpError(426, "UpgradeRequired")
+export const TooManyRequests = defineHttpError(429, "TooManyRequests")
+export const InternalServerError = defineHttpError(500, "InternalServerError")
+export const NotImplemented = defineHttpError(501, "NotImplemented")
+export const BadGateway = defineHttpError(502, "BadGateway")
+export const ServiceUnavailable = defineHttpError(503, "ServiceUnavailable")
+export const GatewayTimeout = defineHttpError(504, "GatewayTimeout")
+
+/**
+ * Creates an HTTP error, an instance of the class of its status code when there is one.
+ * @param {number} statusCode - The HTTP status code
+ * @param {string} [message] - The error message
+ * @param {object} [options] - The error options, see `HttpError`
+ * @returns {HttpError}
+ */
+export const createError = (statusCode, message, options) => {
+	const errorClass = errorClasses[statusCode]
+	return errorClass ? new errorClass(message, options) : new HttpError(statusCode, message, options)
+}
+
+/**
+ * Converts any thrown value to an HTTP error, keeping the status of errors that have one
+ * (e.g. `statusCode` or `status` from 400 to 599), and answering the others with 500.
+ * @param {*} error - The thrown value
+ * @returns {HttpError}
+ */
+export const toHttpError = (error) => {
+	if (error instanceof HttpError) return error
+
+	const statusCode = error && (error.statusCode || error.status)
+	if (statusCode >= 400 && statusCode < 600) {
+		return createError(statusCode, error.message, { headers: error.headers, cause: error })
+	}
+	return new InternalServerError(undefined, { cause: error })
+}
+
+/**
+ * Finds the media type of the response preferred by an `Accept` header.
+ * @param {string} [accept] - The `Accept` header of the request
+ * @param {string[]} mediaTypes - The available media types, the first one being used on ties
+ * @returns {string|null} - The preferred media type, or null if none is acceptable
+ */
+export const negotiateMediaType = (accept, mediaTypes) => {
+	if (!accept) return mediaTypes[0]
+
+	const ranges = accept.split(",").map((range) => {
+		const [mediaRange, ...parameters] = range.split(";").map((part) => part.trim().toLowerCase())
+		const qualityParameter = parameters.find((parameter) => parameter.startsWith("q="))
+		return { mediaRange, quality: qualityParameter ? Number(qualityParameter.substring(2)) : 1 }
+	})
+
+	/**
+	 * Finds the quality of a media type, from the most specific matching range.
+	 */
+	const qualityOf = (mediaType) => {
+		const [type] = mediaType.split("/")
+		const range =
+			ranges.find(({ mediaRange }) => mediaRange === mediaType) ||
+			ranges.find(({ mediaRange }) => mediaRange === `${type}/*`) ||
+			ranges.find(({ mediaRange }) => mediaRange === "*/*")
+		return range ? range.quality : 0
+	}
+
+	let preferred = null
+	let preferredQuality = 0
+	for (const mediaType of mediaTypes) {
+		const quality = qualityOf(mediaType)
+		if (quality > preferredQuality) {
+			preferred = mediaType
+			preferredQuality = quality
+		}
+	}
+	return preferred
+}
+
+/**
+ * Media types of the error responses, APIs get problem details first.
+ */
+const errorMediaTypes = ["application/problem+json", "application/json", "text/html", "text/plain"]
+
+/**
+ * Sends an error response, in the format preferred by the `Accept` header of the request:
+ *
+ * - JSON problem details (RFC 9457), as `application/problem+json`
+ * - HTML, rendered by the app's view engine from `views/errors/<status>.html`,
+ *   falling back to `views/errors/500.html`, which receives `it.status`, `it.title`,
+ *   `it.message` and `it.stack`
+ * - plain text otherwise, or if the error view can't be rendered
+ *
+ * Stack traces are only sent when `NODE_ENV` is "development".
+ *
+ * @param {http.IncomingMessage} req - The incoming HTTP request object
+ * @param {http.ServerResponse} res - The outgoing HTTP response object
+ * @param {*} error - The error, converted with `toHttpError()`
+ */
+export const sendError = (req, res, error) => {
+	const httpError = toHttpError(error)
+	const { statusCode } = httpError
+	const title = STATUS_CODES[statusCode] || "Error"
+	const message = httpError.expose ? httpError.message : title
+
+	// Show the stack of the original error to developers
+	const originalError = httpError.cause instanceof Error ? httpError.cause : httpError
+	const stack = process.env.NODE_ENV === "development" ? originalError.stack : undefined
+
+	res.status(statusCode).set(httpError.headers)
+	res.set("Vary", "Accept")
+
+	const mediaType = negotiateMediaType(req.headers.accept, errorMediaTypes) || "text/plain"
+
+	if (mediaType.endsWith("json")) {
+		return res.type("application/problem+json").send(
+			JSON.stringify({
+				type: "about:blank",
+				title,
+				status: statusCode,
+				detail: message,
+				instance: req.path,
+				...httpError.details,
+				stack,
+			})
+		)
+	}
+
+	const viewEngine = res.app && res.app.viewEngine
+	if (mediaType === "text/html" && viewEngine) {
+		const data = { status: statusCode, title, message, stack }
+		for (const view of [`errors/${statusCode}.html`, "errors/500.html"]) {
+			try {
+				// Error views are whole pages, rendered without the layout of `setViews()`
+				return res.type("html").send(viewEngine.render(view, data, { layout: false }))
+			} catch {
+				// Try the next view, then fall back to plain text
+			}
+		}
+	}
+
+	res.type("txt").send(stack ? `${message}\n\n${stack}` : message)
+}
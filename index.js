@@ -1,14 +1,30 @@
-import { Eta } from "eta"
-import { join } from "path"
+import { enableAccessLog } from "./accessLog.js"
+import { cache } from "./cache.js"
+import { enableLiveReload } from "./liveReload.js"
+import { rateLimit } from "./rateLimit.js"
 import { createServer, Router } from "./router.js"
+import { securityHeaders } from "./security.js"
 import { staticAssetLoader } from "./staticAssetLoader.js"
 
 const app = new Router()
-// Define the views folder as the root of Eta's templates
-const eta = new Eta({ views: join(process.cwd(), "views") })
+// Log every request with its route, status, size and duration
+enableAccessLog(app, { format: process.env.NODE_ENV === "development" ? "clf" : "json" })
+// Send the security headers, with a CSP nonce for the inline scripts of each page
+app.use(securityHeaders())
+// Render the views of the "views" folder with Eta inside "views/layouts/main.html", compiling them all right away
+app.setViews({ dir: "views", layout: "layouts/main.html" })
+// Values passed to every view
+app.locals.title = "Data Transfer"
 
-// Serve static assets from default folder "static"
-staticAssetLoader.serveStaticAssets(app)
+// Serve static assets from default folder "static", kept in memory for 5 minutes outside of development
+staticAssetLoader.serveStaticAssets(app, {
+	cache: process.env.NODE_ENV !== "development" && { ttl: 300 },
+})
+
+// Reload the pages on changes to the views and static assets while developing
+if (process.env.NODE_ENV === "development") {
+	enableLiveReload(app)
+}
 
 // Define an array to be transferred
 const continentsArray = ["Africa", "Antarctica", "Asia", "Australia", "Europe", "North America", "South America"]
@@ -19,16 +35,32 @@ const greetingFunction = () => {
 	return greetingString
 }
 
-// 1. Render a template with a data object on a route
-app.get("/", (req, res) => {
-	const response = eta.render("index.html", {
-		continents: continentsArray,
-		greeting: greetingFunction,
-	})
-	res.writeHead(200, { "Content-Type": "text/html" })
-	res.end(response)
+// Let the client call the greeting function on the server
+app.expose("greeting", greetingFunction, { maxArgs: 0 })
+
+// Push the continents to the pages, the current value on connection and then each change with `liveValues.broadcast()`
+const liveValues = app.sse("/events", (req, stream) => {
+	stream.send("continents", continentsArray)
 })
 
-createServer(app).listen(5000, () => {
+// 1. Render a template on a route, with the data loaded by the route's `data` option
+app.get(
+	"/",
+	(req, res) => res.render("index.html"),
+	// Limit each client to 60 requests per minute, and reuse the rendered page for a minute,
+	// or until `app.cache.invalidate("continents")` is called
+	{
+		name: "home",
+		data: { continents: () => continentsArray },
+		middleware: [
+			rateLimit({ limit: 60, windowMs: 60000 }),
+			cache({ ttl: 60, staleWhileRevalidate: 60, tags: ["continents"] }),
+		],
+	}
+)
+
+const server = createServer(app).listen(5000, () => {
 	console.log(`App @ http://localhost:${5000}`)
 })
+// Disconnect the pages listening to the live values when the server shuts down
+server.on("draining", () => liveValues.close())
@@ -0,0 +1,157 @@
+// Import the request and response classes of the HTTP server
+import { IncomingMessage, ServerResponse } from "node:http"
+
+// Import the stream standing in for the connection
+import { Duplex } from "node:stream"
+
+/**
+ * Creates the socket of an injected request, collecting what the response writes to it.
+ * @param {string} remoteAddress - The address of the simulated client
+ * @returns {Duplex} - The socket, with the written `chunks`
+ */
+const createMockSocket = (remoteAddress) => {
+	const socket = new Duplex({
+		read() {},
+		write(chunk, encoding, callback) {
+			socket.chunks.push(Buffer.from(chunk, encoding))
+			callback()
+		},
+	})
+	socket.chunks = []
+	socket.remoteAddress = remoteAddress
+	socket.remotePort = 0
+	return socket
+}
+
+/**
+ * Writes the body of an injected request into the request stream.
+ * @param {IncomingMessage} req - The injected request
+ * @param {string|Buffer|object|AsyncIterable} body - The request body
+ */
+const pushBody = async (req, body) => {
+	if (typeof body === "string" || Buffer.isBuffer(body)) {
+		req.push(body)
+	} else if (body && typeof body[Symbol.asyncIterator] === "function") {
+		for await (const chunk of body) req.push(chunk)
+	} else if (body !== undefined && body !== null) {
+		req.push(JSON.stringify(body))
+	}
+	req.complete = true
+	req.push(null)
+}
+
+/**
+ * Builds the request headers, adding the ones describing the body.
+ * @param {object} headers - The headers given to `inject()`
+ * @param {*} body - The request body
+ * @returns {object} - The headers, with lower-cased names
+ */
+const buildHeaders = (headers, body) => {
+	const requestHeaders = { host: "localhost" }
+	for (const [name, value] of Object.entries(headers)) requestHeaders[name.toLowerCase()] = value
+
+	const isStream = body && typeof body[Symbol.asyncIterator] === "function"
+	if (body === undefined || body === null || requestHeaders["content-length"] || requestHeaders["transfer-encoding"]) {
+		return requestHeaders
+	}
+
+	if (isStream) {
+		requestHeaders["transfer-encoding"] = "chunked"
+	} else if (typeof body === "string" || Buffer.isBuffer(body)) {
+		requestHeaders["content-length"] = String(Buffer.byteLength(body))
+	} else {
+		if (!requestHeaders["content-type"]) requestHeaders["content-type"] = "application/json"
+		requestHeaders["content-length"] = String(Buffer.byteLength(JSON.stringify(body)))
+	}
+	return requestHeaders
+}
+
+/**
+ * Parses the status line and header block written to the socket.
+ * @param {Buffer} headerBlock - The header block, without the empty line ending it
+ * @returns {{ status: number, headers: object }} - The status code and the headers, with lower-cased names
+ */
+const parseHeaderBlock = (headerBlock) => {
+	const [statusLine, ...headerLines] = headerBlock.toString("latin1").split("\r\n")
+	const headers = {}
+	for (const line of headerLines) {
+		const separatorIndex = line.indexOf(":")
+		const name = line.substring(0, separatorIndex).toLowerCase()
+		const value = line.substring(separatorIndex + 1).trim()
+
+		// Repeated headers are combined, except cookies which can't be
+		if (name === "set-cookie") headers[name] = [...(headers[name] || []), value]
+		else headers[name] = name in headers ? `${headers[name]}, ${value}` : value
+	}
+	return { status: Number(statusLine.split(" ")[1]), headers }
+}
+
+/**
+ * Sends a request through a router without opening a port, see `Router.inject()`.
+ *
+ * The request and response are the native `http.IncomingMessage` and `http.ServerResponse`
+ * classes, connected to an in-memory socket, so middleware, route handlers, static files and
+ * rendered views behave as they would behind `createServer()`.
+ *
+ * @param {Router} router - The router handling the request
+ * @param {object|string} options - The request options, or the URL of a GET request
+ * @param {string} [options.method="GET"] - The request method
+ * @param {string} [options.url="/"] - The request URL, with its query string
+ * @param {object} [options.headers={}] - The request headers
+ * @param {string|Buffer|object|AsyncIterable} [options.body] - The request body: a string, a Buffer, a value
+ *                                                              sent as JSON, or a stream sent chunked
+ * @param {string} [options.remoteAddress="127.0.0.1"] - The address of the simulated client
+ * @returns {Promise<{ status: number, headers: object, body: string, rawBody: Buffer, json: function }>} - The
+ *          response, once it's closed
+ */
+export const injectRequest = (router, options) => {
+	if (typeof options === "string") options = { url: options }
+	const { method = "GET", url = "/", headers = {}, body, remoteAddress = "127.0.0.1" } = options
+
+	const socket = createMockSocket(remoteAddress)
+
+	const req = new IncomingMessage(socket)
+	req.method = method.toUpperCase()
+	req.url = url
+	req.httpVersionMajor = 1
+	req.httpVersionMinor = 1
+	req.httpVersion = "1.1"
+	req.headers = buildHeaders(headers, body)
+	req.rawHeaders = Object.entries(req.headers).flat()
+
+	const res = new ServerResponse(req)
+	// Write the body as is, with neither chunked encoding nor keep-alive to undo
+	res.useChunkedEncodingByDefault = false
+	res.shouldKeepAlive = false
+	res.assignSocket(socket)
+	// Closing the socket closes the response, like a server would once it's sent
+	res.once("finish", () => socket.destroy())
+
+	return new Promise((resolve, reject) => {
+		res.once("close", () => {
+			// Read the response as a client would, from what was written to the socket
+			const output = Buffer.concat(socket.chunks)
+			const headerEnd = output.indexOf("\r\n\r\n")
+			const { status, headers: responseHeaders } =
+				headerEnd === -1
+					? { status: res.statusCode, headers: res.getHeaders() }
+					: parseHeaderBlock(output.subarray(0, headerEnd))
+			const rawBody = headerEnd === -1 ? Buffer.alloc(0) : output.subarray(headerEnd + 4)
+
+			const text = rawBody.toString()
+			resolve({
+				status,
+				headers: responseHeaders,
+				body: text,
+				rawBody,
+				json: () => JSON.parse(text),
+			})
+		})
+
+		pushBody(req, body).catch((error) => {
+			req.destroy(error)
+			reject(error)
+		})
+		router.handleRequest(req, res)
+	})
+}
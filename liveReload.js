@@ -0,0 +1,140 @@
+// Import the file system watcher
+import { watch } from "node:fs"
+
+// Import the 'path' module for path manipulation
+import path from "node:path"
+
+/**
+ * Script injected into rendered HTML pages, reloading the page or swapping stylesheets on server events.
+ * @param {string} endpoint - The path of the live reload event stream
+ * @param {string} staticPrefix - The URL prefix of the static assets, serving `serializer.js`
+ * @param {string} [nonce] - The CSP nonce of the response
+ * @returns {string} - The script element
+ */
+const clientSnippet = (endpoint, staticPrefix, nonce) => `<script type="module"${nonce ? ` nonce="${nonce}"` : ""}>
+import { deserialize } from ${JSON.stringify(`${staticPrefix}/serializer.js`)}
+
+const source = new EventSource(${JSON.stringify(endpoint)})
+source.addEventListener("reload", () => location.reload())
+source.addEventListener("css", (event) => {
+	// The data is serialized by the event channel
+	const pathname = deserialize(event.data)
+	// Swap the changed stylesheet without reloading the page
+	for (const link of document.querySelectorAll('link[rel="stylesheet"]')) {
+		const url = new URL(link.href)
+		if (url.pathname === pathname) {
+			url.searchParams.set("t", Date.now())
+			link.href = url.href
+		}
+	}
+})
+</script>`
+
+/**
+ * Enables live reload for development: pages reload when views or static files change.
+ *
+ * The static and views directories are watched with `fs.watch`. On changes, the view
+ * engine's cached templates are dropped and the open pages are notified over a
+ * Server-Sent Events channel, see `app.sse()`: stylesheets are swapped in place, other changes reload
+ * the page. The client script is injected before `</body>` in every HTML response sent
+ * with `res.send()` or `res.render()`.
+ *
+ * Static files are resolved on each request, so new files need no refresh on the server side.
+ *
+ * @param {Router} app - The Router app instance
+ * @param {object} [options={}] - The live reload options
+ * @param {string} [options.staticDir="static"] - The directory of the static assets
+ * @param {string} [options.staticPrefix] - The URL prefix of the static assets, `/<staticDir>` by default, the
+ *                                          client script imports `serializer.js` from it
+ * @param {string} [options.viewsDir="views"] - The directory of the views
+ * @param {object} [options.viewEngine] - The Eta instance whose template cache is cleared, the app's view engine by default
+ * @param {string} [options.path="/__live-reload"] - The path of the event stream
+ * @returns {{ close: function }} - A handle to stop watching and disconnect the pages
+ */
+export const enableLiveReload = (app, options = {}) => {
+	const {
+		staticDir = "static",
+		staticPrefix = `/${staticDir}`,
+		viewsDir = "views",
+		viewEngine = app.viewEngine,
+		path: endpoint = "/__live-reload",
+	} = options
+
+	// Event stream the pages listen to
+	const channel = app.sse(endpoint)
+	const pendingChanges = new Map()
+
+	/**
+	 * Handles a change in a watched directory.
+	 * @param {string} directory - The absolute path of the watched directory
+	 * @param {string} filename - The changed file, relative to the directory
+	 * @param {boolean} isViews - Whether the directory contains views
+	 */
+	const onChange = (directory, filename, isViews) => {
+		const filePath = path.join(directory, filename)
+
+		// Editors often write a file in several steps, only react to the last one
+		clearTimeout(pendingChanges.get(filePath))
+		pendingChanges.set(
+			filePath,
+			setTimeout(() => {
+				pendingChanges.delete(filePath)
+				// Cached responses may have been built from the changed file
+				if (app.cache) app.cache.clear()
+
+				if (isViews) {
+					// Drop the cached template so it's compiled again on the next render
+					if (viewEngine && viewEngine.invalidate) {
+						// Views of `app.setViews()`
+						viewEngine.invalidate(filePath)
+					} else if (viewEngine && viewEngine.templatesSync) {
+						viewEngine.templatesSync.remove(filePath)
+						viewEngine.templatesAsync.remove(filePath)
+					}
+					return channel.broadcast("reload")
+				}
+
+				if (path.extname(filename) === ".css") {
+					return channel.broadcast("css", `${staticPrefix}/${filename.split(path.sep).join("/")}`)
+				}
+				channel.broadcast("reload")
+			}, 50)
+		)
+	}
+
+	const watchers = [
+		[path.resolve(staticDir), false],
+		[path.resolve(viewsDir), true],
+	].map(([directory, isViews]) =>
+		watch(directory, { recursive: true }, (eventType, filename) => {
+			if (filename) onChange(directory, filename, isViews)
+		})
+	)
+
+	// Inject the client script in HTML responses
+	app.use((req, res, next) => {
+		const send = res.send
+
+		res.send = function (body) {
+			const contentType = String(this.getHeader("Content-Type") || "text/html")
+			if (typeof body === "string" && contentType.startsWith("text/html") && body.includes("</body>")) {
+				const closingTagIndex = body.lastIndexOf("</body>")
+				body =
+					body.substring(0, closingTagIndex) +
+					clientSnippet(endpoint, staticPrefix, this.locals.nonce) +
+					body.substring(closingTagIndex)
+			}
+			return send.call(this, body)
+		}
+
+		next()
+	})
+
+	return {
+		close() {
+			for (const watcher of watchers) watcher.close()
+			for (const timeout of pendingChanges.values()) clearTimeout(timeout)
+			channel.close()
+		},
+	}
+}
@@ -0,0 +1,166 @@
+/**
+ * Built-in table of file extensions and their MIME types.
+ */
+export const defaultMimeTypes = {
+	// Text and documents
+	".html": "text/html",
+	".htm": "text/html",
+	".css": "text/css",
+	".csv": "text/csv",
+	".tsv": "text/tab-separated-values",
+	".txt": "text/plain",
+	".text": "text/plain",
+	".log": "text/plain",
+	".md": "text/markdown",
+	".markdown": "text/markdown",
+	".ics": "text/calendar",
+	".vtt": "text/vtt",
+	".xml": "application/xml",
+	".xhtml": "application/xhtml+xml",
+	".rss": "application/rss+xml",
+	".atom": "application/atom+xml",
+	".pdf": "application/pdf",
+	".rtf": "application/rtf",
+	".doc": "application/msword",
+	".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+	".xls": "application/vnd.ms-excel",
+	".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+	".ppt": "application/vnd.ms-powerpoint",
+	".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+	".odt": "application/vnd.oasis.opendocument.text",
+	".ods": "application/vnd.oasis.opendocument.spreadsheet",
+	".epub": "application/epub+zip",
+
+	// Scripts and data
+	".js": "text/javascript",
+	".mjs": "text/javascript",
+	".cjs": "text/javascript",
+	".json": "application/json",
+	".jsonld": "application/ld+json",
+	".map": "application/json",
+	".webmanifest": "application/manifest+json",
+	".wasm": "application/wasm",
+	".yaml": "application/yaml",
+	".yml": "application/yaml",
+	".toml": "application/toml",
+
+	// Images
+	".png": "image/png",
+	".apng": "image/apng",
+	".jpg": "image/jpeg",
+	".jpeg": "image/jpeg",
+	".gif": "image/gif",
+	".avif": "image/avif",
+	".webp": "image/webp",
+	".svg": "image/svg+xml",
+	".ico": "image/x-icon",
+	".bmp": "image/bmp",
+	".tif": "image/tiff",
+	".tiff": "image/tiff",
+	".heic": "image/heic",
+	".jxl": "image/jxl",
+
+	// Fonts
+	".woff": "font/woff",
+	".woff2": "font/woff2",
+	".ttf": "font/ttf",
+	".otf": "font/otf",
+	".eot": "application/vnd.ms-fontobject",
+
+	// Audio
+	".mp3": "audio/mpeg",
+	".wav": "audio/wav",
+	".ogg": "audio/ogg",
+	".oga": "audio/ogg",
+	".opus": "audio/opus",
+	".flac": "audio/flac",
+	".aac": "audio/aac",
+	".m4a": "audio/mp4",
+	".weba": "audio/webm",
+	".mid": "audio/midi",
+	".midi": "audio/midi",
+
+	// Video
+	".mp4": "video/mp4",
+	".m4v": "video/mp4",
+	".webm": "video/webm",
+	".ogv": "video/ogg",
+	".mov": "video/quicktime",
+	".avi": "video/x-msvideo",
+	".mkv": "video/x-matroska",
+	".mpeg": "video/mpeg",
+	".ts": "video/mp2t",
+	".m3u8": "application/vnd.apple.mpegurl",
+	".mpd": "application/dash+xml",
+
+	// Archives and binaries
+	".zip": "application/zip",
+	".gz": "application/gzip",
+	".tgz": "application/gzip",
+	".br": "application/x-brotli",
+	".tar": "application/x-tar",
+	".7z": "application/x-7z-compressed",
+	".rar": "application/vnd.rar",
+	".bz2": "application/x-bzip2",
+	".xz": "application/x-xz",
+	".bin": "application/octet-stream",
+	".exe": "application/octet-stream",
+	".dmg": "application/x-apple-diskimage",
+	".apk": "application/vnd.android.package-archive",
+}
+
+/**
+ * MIME type used when the extension of a file is unknown.
+ */
+export const defaultMimeType = "application/octet-stream"
+
+/**
+ * Checks whether a MIME type is textual, and so should be sent with a charset.
+ * @param {string} mimeType - The MIME type, without parameters
+ * @returns {boolean}
+ */
+export const isTextType = (mimeType) =>
+	mimeType.startsWith("text/") ||
+	mimeType.endsWith("+json") ||
+	mimeType.endsWith("+xml") ||
+	["application/javascript", "application/json", "application/xml", "application/yaml", "application/toml"].includes(
+		mimeType
+	)
+
+/**
+ * Checks whether a content type is worth compressing.
+ * @param {string} contentType - The content type, with or without parameters
+ * @returns {boolean}
+ */
+export const isCompressible = (contentType) => {
+	const mimeType = contentType.split(";")[0].trim()
+	return isTextType(mimeType) || mimeType === "application/wasm" || mimeType === "application/vnd.ms-fontobject"
+}
+
+/**
+ * Adds `charset=utf-8` to textual MIME types.
+ * @param {string} mimeType - The MIME type
+ * @returns {string} - The content type
+ */
+export const withCharset = (mimeType) =>
+	isTextType(mimeType) && !mimeType.includes(";") ? `${mimeType}; charset=utf-8` : mimeType
+
+/**
+ * Looks up the content type of an extension in the built-in table.
+ * @param {string} extension - The extension, with or without leading dot (e.g. ".json" or "json")
+ * @returns {string|undefined} - The content type, with a charset for textual types
+ */
+export const lookupMimeType = (extension) => {
+	const mimeType = defaultMimeTypes[normalizeExtension(extension)]
+	return mimeType && withCharset(mimeType)
+}
+
+/**
+ * Lower-cases an extension and adds its leading dot if missing.
+ * @param {string} extension - The extension
+ * @returns {string} - The normalized extension
+ */
+export const normalizeExtension = (extension) => {
+	const lowerCased = extension.toLowerCase()
+	return lowerCased[0] === "." ? lowerCased : `.${lowerCased}`
+}
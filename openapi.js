@@ -0,0 +1,115 @@
+// Import the HTTP status messages used as response descriptions
+import { STATUS_CODES } from "node:http"
+
+/**
+ * HTTP methods that can be described by an OpenAPI path item.
+ */
+const operationMethods = new Set(["GET", "PUT", "POST", "DELETE", "OPTIONS", "HEAD", "PATCH"])
+
+/**
+ * Converts a route pattern to an OpenAPI path template and its path parameters.
+ *
+ * `:id(\\d+)` becomes `{id}` with a `pattern`, and a final `*path` wildcard becomes `{path}`.
+ *
+ * @param {string} routePath - The route pattern, e.g. "/users/:id(\\d+)"
+ * @param {object} [paramsSchema] - The JSON schema of the path parameters, if any
+ * @returns {{ path: string, parameters: object[] }}
+ */
+const convertRoutePath = (routePath, paramsSchema = {}) => {
+	const parameters = []
+	const properties = paramsSchema.properties || {}
+
+	const path = routePath
+		.split("/")
+		.map((segment) => {
+			const match = segment.match(/^[:*]([^(]*)(?:\((.*)\))?$/)
+			if (!match) return segment
+
+			const name = match[1] || "*"
+			const schema = properties[name] || { type: "string", ...(match[2] && { pattern: `^(?:${match[2]})$` }) }
+			parameters.push({ name, in: "path", required: true, schema })
+			return `{${name}}`
+		})
+		.join("/")
+
+	return { path, parameters }
+}
+
+/**
+ * Lists the parameters described by the JSON schema of an object, like the query string or the headers.
+ * @param {object} [objectSchema] - The object schema, with `properties` and `required`
+ * @param {string} location - The location of the parameters, "query" or "header"
+ * @returns {object[]} - The OpenAPI parameter objects
+ */
+const schemaParameters = (objectSchema, location) =>
+	Object.entries((objectSchema && objectSchema.properties) || {}).map(([name, schema]) => ({
+		name,
+		in: location,
+		required: Boolean(objectSchema.required && objectSchema.required.includes(name)),
+		schema,
+	}))
+
+/**
+ * Generates an OpenAPI 3 document describing the routes annotated with a `schema` option.
+ *
+ * The `schema` route option can hold the JSON schemas of the `params`, `query`, `headers`
+ * and `body` of the requests, and of the `response` bodies by status code. The `name`,
+ * `summary`, `description`, `tags` and `deprecated` route options complete the operation.
+ *
+ * @example
+ * app.get("/users/:id(\\d+)", showUser, {
+ * 	name: "user.show",
+ * 	summary: "Shows a user",
+ * 	schema: { response: { 200: { type: "object", properties: { name: { type: "string" } } } } },
+ * })
+ *
+ * @param {object[]} routes - The routes, as listed by `app.routes()`
+ * @param {object} [options={}] - The document options
+ * @param {object} [options.info] - The OpenAPI info object, with the title and version of the API
+ * @param {object[]} [options.servers] - The OpenAPI server objects
+ * @returns {object} - The OpenAPI document
+ */
+export const generateOpenAPI = (routes, { info = { title: "API", version: "1.0.0" }, servers } = {}) => {
+	const paths = {}
+	const operationIds = new Set()
+
+	for (const { method, path: routePath, name, options } of routes) {
+		if (!options.schema || !operationMethods.has(method)) continue
+
+		const { params, query, headers, body, response } = options.schema
+		const { path, parameters } = convertRoutePath(routePath, params)
+
+		const operation = {
+			summary: options.summary,
+			description: options.description,
+			tags: options.tags,
+			deprecated: options.deprecated,
+			parameters: [...parameters, ...schemaParameters(query, "query"), ...schemaParameters(headers, "header")],
+			responses: {},
+		}
+
+		// Routes with optional parameters are listed once per path, the operation ID must be unique
+		if (name && !operationIds.has(name)) {
+			operationIds.add(name)
+			operation.operationId = name
+		}
+
+		if (body) {
+			operation.requestBody = { required: true, content: { "application/json": { schema: body } } }
+		}
+
+		for (const [statusCode, schema] of Object.entries(response || {})) {
+			operation.responses[statusCode] = {
+				description: STATUS_CODES[statusCode] || "Response",
+				content: { "application/json": { schema } },
+			}
+		}
+		if (!response) operation.responses.default = { description: "Response" }
+
+		// Leave out the options the route doesn't have
+		const definedMembers = Object.entries(operation).filter(([, value]) => value !== undefined)
+		paths[path] = { ...paths[path], [method.toLowerCase()]: Object.fromEntries(definedMembers) }
+	}
+
+	return { openapi: "3.0.3", info, ...(servers && { servers }), paths }
+}
@@ -0,0 +1,292 @@
+// Import the errors answering the limited requests
+import { ServiceUnavailable, TooManyRequests, sendError } from "./httpErrors.js"
+
+// Import the check of the cache refreshes, which aren't client requests
+import { isRevalidation } from "./cache.js"
+
+/**
+ * Rate limit store keeping the counters in memory, for single-process apps.
+ *
+ * Other stores (e.g. Redis, shared by several processes) implement the same methods,
+ * `hit()` for the fixed-window algorithm and `take()` for the token-bucket one, and
+ * may return promises.
+ */
+export class MemoryRateLimitStore {
+	/**
+	 * @param {object} [options={}] - The store options
+	 * @param {number} [options.pruneInterval=60] - The interval of the sweeps of expired counters in seconds
+	 */
+	constructor({ pruneInterval = 60 } = {}) {
+		this.entries = new Map()
+
+		this.pruneTimer = setInterval(() => this.prune(), pruneInterval * 1000)
+		this.pruneTimer.unref()
+	}
+
+	/**
+	 * Counts a request in the current window of a key.
+	 * @param {string} key - The client key
+	 * @param {number} windowMs - The length of the windows in milliseconds
+	 * @returns {{ count: number, resetTime: number }} - The requests counted in the window, and its end timestamp
+	 */
+	hit(key, windowMs) {
+		const now = Date.now()
+		let entry = this.entries.get(key)
+		if (!entry || entry.expires <= now) {
+			entry = { count: 0, expires: now + windowMs }
+			this.entries.set(key, entry)
+		}
+		entry.count++
+		return { count: entry.count, resetTime: entry.expires }
+	}
+
+	/**
+	 * Takes a token from the bucket of a key, the bucket refilling continuously.
+	 * @param {string} key - The client key
+	 * @param {number} capacity - The size of the bucket
+	 * @param {number} refillRate - The tokens added per millisecond
+	 * @returns {{ allowed: boolean, tokens: number }} - Whether a token was taken, and the tokens left
+	 */
+	take(key, capacity, refillRate) {
+		const now = Date.now()
+		const entry = this.entries.get(key) || { tokens: capacity, updated: now }
+
+		entry.tokens = Math.min(capacity, entry.tokens + (now - entry.updated) * refillRate)
+		entry.updated = now
+		const allowed = entry.tokens >= 1
+		if (allowed) entry.tokens--
+
+		// The bucket can be forgotten once it would be full again
+		entry.expires = now + (capacity - entry.tokens) / refillRate
+		this.entries.set(key, entry)
+		return { allowed, tokens: entry.tokens }
+	}
+
+	/**
+	 * Forgets the counter of a key, e.g. after a successful login.
+	 * @param {string} key - The client key
+	 */
+	reset(key) {
+		this.entries.delete(key)
+	}
+
+	/**
+	 * Evicts the expired counters.
+	 */
+	prune() {
+		const now = Date.now()
+		for (const [key, entry] of this.entries) {
+			if (entry.expires <= now) this.entries.delete(key)
+		}
+	}
+
+	/**
+	 * Stops the sweeps.
+	 */
+	close() {
+		clearInterval(this.pruneTimer)
+	}
+}
+
+/**
+ * Creates the function reading the key of a request's client.
+ * @param {string|function} key - "ip", a header name, or a function receiving the request
+ * @param {boolean} trustProxy - Whether to read the IP from the `X-Forwarded-For` header
+ * @returns {function(http.IncomingMessage): string}
+ */
+const createKeyGenerator = (key, trustProxy) => {
+	if (typeof key === "function") return key
+
+	if (key === "ip") {
+		return (req) => {
+			const forwardedFor = trustProxy && req.headers["x-forwarded-for"]
+			// The first address is the client's, the following ones the proxies'
+			return forwardedFor ? forwardedFor.split(",")[0].trim() : req.socket.remoteAddress
+		}
+	}
+
+	const headerName = key.toLowerCase()
+	return (req) => req.headers[headerName] || ""
+}
+
+/**
+ * Creates a middleware limiting the requests of each client, answering with a 429 over the limit.
+ *
+ * - "fixed-window" counts at most `limit` requests per `windowMs` window.
+ * - "token-bucket" allows bursts of `limit` requests, the bucket refilling at `limit` requests per `windowMs`.
+ *
+ * The responses have the `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset`
+ * and `RateLimit-Policy` headers, and a `Retry-After` header once limited. The background
+ * refreshes of stale cache entries (see `cache()`) aren't counted.
+ *
+ * @example
+ * // Every route under "/api"
+ * app.use("/api", rateLimit({ limit: 100, windowMs: 60000 }))
+ * // A single route, keyed by API key
+ * app.post("/login", handler, { middleware: rateLimit({ limit: 5, key: "X-Api-Key" }) })
+ *
+ * @param {object} [options={}] - The rate limit options
+ * @param {string} [options.algorithm="fixed-window"] - "fixed-window" or "token-bucket"
+ * @param {number} [options.limit=60] - The requests allowed per window, or the size of the bucket
+ * @param {number} [options.windowMs=60000] - The length of the window, or the time to refill the bucket, in milliseconds
+ * @param {string|function} [options.key="ip"] - What identifies a client: "ip", a header name,
+ *                                               or a function receiving the request and returning a string
+ * @param {boolean} [options.trustProxy=false] - Read the IP from `X-Forwarded-For`, when the app is behind a proxy
+ * @param {function} [options.skip] - Function receiving the request and returning true to not limit it
+ * @param {boolean} [options.headers=true] - Whether to send the `RateLimit-*` headers
+ * @param {object} [options.store] - The store of the counters, a new `MemoryRateLimitStore` by default
+ * @returns {function} - The middleware, with the `store` of its counters
+ */
+export const rateLimit = (options = {}) => {
+	const {
+		algorithm = "fixed-window",
+		limit = 60,
+		windowMs = 60000,
+		key = "ip",
+		trustProxy = false,
+		skip,
+		headers = true,
+		store = new MemoryRateLimitStore(),
+	} = options
+
+	if (algorithm !== "fixed-window" && algorithm !== "token-bucket") {
+		throw new TypeError(`Unknown rate limit algorithm "${algorithm}", expected "fixed-window" or "token-bucket"`)
+	}
+
+	const getKey = createKeyGenerator(key, trustProxy)
+	const refillRate = limit / windowMs
+	const policy = `${limit};w=${Math.ceil(windowMs / 1000)}`
+
+	/**
+	 * Counts a request against the limit of its client.
+	 * @returns {Promise<{ allowed: boolean, remaining: number, reset: number }>} - `reset` is
+	 *          the delay in seconds until the limit is fully restored
+	 */
+	const consume = async (clientKey) => {
+		if (algorithm === "token-bucket") {
+			const { allowed, tokens } = await store.take(clientKey, limit, refillRate)
+			// A denied request can retry once a whole token is back
+			const reset = allowed ? (limit - tokens) / refillRate : (1 - tokens) / refillRate
+			return { allowed, remaining: Math.floor(tokens), reset: Math.ceil(reset / 1000) }
+		}
+
+		const { count, resetTime } = await store.hit(clientKey, windowMs)
+		return {
+			allowed: count <= limit,
+			remaining: Math.max(0, limit - count),
+			reset: Math.max(0, Math.ceil((resetTime - Date.now()) / 1000)),
+		}
+	}
+
+	const middleware = async (req, res, next) => {
+		if (isRevalidation(req) || (skip && (await skip(req)))) return next()
+
+		const { allowed, remaining, reset } = await consume(getKey(req))
+
+		if (headers) {
+			res.setHeader("RateLimit-Limit", String(limit))
+			res.setHeader("RateLimit-Remaining", String(remaining))
+			res.setHeader("RateLimit-Reset", String(reset))
+			res.setHeader("RateLimit-Policy", policy)
+		}
+
+		if (!allowed) {
+			throw new TooManyRequests(`Too many requests, retry in ${reset} seconds`, {
+				headers: { "Retry-After": String(reset) },
+			})
+		}
+		next()
+	}
+	middleware.store = store
+	return middleware
+}
+
+/**
+ * Creates a middleware limiting the requests handled at the same time.
+ *
+ * Requests over the limit wait in a queue for a slot to free up. When the queue is full,
+ * or a request waited too long, it's answered with a 503 and a `Retry-After` header.
+ * Use it first, so the requests shed cost as little as possible.
+ *
+ * @example
+ * app.use(concurrencyLimit({ max: 100, queue: 200 }))
+ *
+ * @param {object} [options={}] - The concurrency options
+ * @param {number} [options.max=100] - The requests handled at the same time
+ * @param {number} [options.queue=0] - The requests waiting for a slot, 0 to shed every request over `max`
+ * @param {number} [options.queueTimeout=10000] - How long a request can wait, in milliseconds
+ * @param {number} [options.retryAfter=5] - The `Retry-After` of the shed requests, in seconds
+ * @returns {function} - The middleware, with the `active` and `queued` counts
+ */
+export const concurrencyLimit = (options = {}) => {
+	const { max = 100, queue: maxQueued = 0, queueTimeout = 10000, retryAfter = 5 } = options
+
+	let active = 0
+	const waiting = []
+
+	/**
+	 * Frees the slot of a finished request, handing it over to the first waiting one.
+	 */
+	const release = () => {
+		const waiter = waiting.shift()
+		if (waiter) waiter.resolve(true)
+		else active--
+	}
+
+	/**
+	 * Waits for a slot to be handed over.
+	 * @returns {Promise<boolean>} - Resolves with true once a slot is handed over, false if the request closed first
+	 */
+	const waitForSlot = (res) =>
+		new Promise((resolve, reject) => {
+			const waiter = {}
+			const leave = () => {
+				clearTimeout(timer)
+				res.off("close", onClose)
+				waiting.splice(waiting.indexOf(waiter), 1)
+			}
+			const onClose = () => {
+				leave()
+				resolve(false)
+			}
+			const timer = setTimeout(() => {
+				leave()
+				reject(new ServiceUnavailable("Server busy", { headers: { "Retry-After": String(retryAfter) } }))
+			}, queueTimeout)
+
+			waiter.resolve = (value) => {
+				clearTimeout(timer)
+				res.off("close", onClose)
+				resolve(value)
+			}
+			waiting.push(waiter)
+			res.once("close", onClose)
+		})
+
+	const middleware = async (req, res, next) => {
+		if (active < max) {
+			active++
+		} else if (waiting.length < maxQueued) {
+			try {
+				if (!(await waitForSlot(res))) return
+			} catch (error) {
+				return sendError(req, res, error)
+			}
+		} else {
+			// Shedding is expected under load, answer without logging it as a server error
+			return sendError(
+				req,
+				res,
+				new ServiceUnavailable("Server busy", { headers: { "Retry-After": String(retryAfter) } })
+			)
+		}
+
+		res.once("close", release)
+		next()
+	}
+	Object.defineProperties(middleware, {
+		active: { get: () => active },
+		queued: { get: () => waiting.length },
+	})
+	return middleware
+}
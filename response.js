@@ -0,0 +1,275 @@
+// Import the HTTP status messages for redirect bodies
+import { STATUS_CODES } from "node:http"
+
+// Import the MIME type lookup for content type short names
+import { lookupMimeType } from "./mimeTypes.js"
+
+// Import the view helper transferring data to the client
+import { createTransferHelper } from "./dataTransfer.js"
+
+// Import the cookie serializer and signature
+import { serializeCookie, signCookie } from "./cookies.js"
+
+/**
+ * Completion of the responses, `{ done, callbacks }` by response, see `onResponseDone()`.
+ */
+const completions = new WeakMap()
+
+/**
+ * Calls a function once a response is done: when it's closed, or when its socket is taken
+ * over by `res.upgrade()`, the connection then staying open for another protocol.
+ * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
+ * @param {function} callback - The function to call, right away if the response is already done
+ */
+export const onResponseDone = (nativeRes, callback) => {
+	if (!completions.has(nativeRes)) {
+		completions.set(nativeRes, { done: false, callbacks: [] })
+		nativeRes.once("close", () => completeResponse(nativeRes))
+	}
+
+	const completion = completions.get(nativeRes)
+	if (completion.done) return callback()
+	completion.callbacks.push(callback)
+}
+
+/**
+ * Marks a response as done, calling the functions waiting for it.
+ * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
+ */
+const completeResponse = (nativeRes) => {
+	const completion = completions.get(nativeRes)
+	if (!completion || completion.done) return
+
+	completion.done = true
+	for (const callback of completion.callbacks.splice(0)) callback()
+}
+
+/**
+ * Helper methods added to every native `http.ServerResponse` handled by a Router.
+ *
+ * Each method is called on the response object itself (`this`), and the methods that
+ * don't end the response return it for chaining, e.g. `res.status(404).send("Not Found")`.
+ */
+const responseMethods = {
+	/**
+	 * Sets the HTTP status code of the response.
+	 * @param {number} statusCode - The HTTP status code
+	 * @returns {http.ServerResponse} - The response for chaining
+	 */
+	status(statusCode) {
+		this.statusCode = statusCode
+		return this
+	},
+
+	/**
+	 * Sets one response header, or several from an object of header names and values.
+	 * @param {string|object} field - The header name, or an object of headers
+	 * @param {string|number|string[]} [value] - The header value
+	 * @returns {http.ServerResponse} - The response for chaining
+	 */
+	set(field, value) {
+		if (typeof field === "object") {
+			for (const [name, headerValue] of Object.entries(field)) {
+				this.setHeader(name, headerValue)
+			}
+		} else {
+			this.setHeader(field, value)
+		}
+		return this
+	},
+
+	/**
+	 * Sets the Content-Type header from a full content type or a file extension like "json", "html" or ".png".
+	 * @param {string} contentType - The content type or a file extension
+	 * @returns {http.ServerResponse} - The response for chaining
+	 */
+	type(contentType) {
+		return this.set(
+			"Content-Type",
+			contentType.includes("/") ? contentType : lookupMimeType(contentType) || contentType
+		)
+	},
+
+	/**
+	 * Sends a response body and ends the response.
+	 *
+	 * The Content-Type is inferred when not already set: strings are sent as HTML,
+	 * Buffers as binary data, and other values (objects, arrays, numbers...) as JSON.
+	 *
+	 * @param {string|Buffer|object} [body] - The response body
+	 * @returns {http.ServerResponse} - The response
+	 */
+	send(body) {
+		if (body === undefined || body === null) {
+			this.end()
+			return this
+		}
+
+		if (typeof body === "string") {
+			if (!this.hasHeader("Content-Type")) this.type("html")
+		} else if (Buffer.isBuffer(body)) {
+			if (!this.hasHeader("Content-Type")) this.type("application/octet-stream")
+		} else {
+			return this.json(body)
+		}
+
+		// No body is allowed on 204 No Content and 304 Not Modified responses
+		if (this.statusCode === 204 || this.statusCode === 304) {
+			this.removeHeader("Content-Type")
+			this.end()
+			return this
+		}
+
+		this.setHeader("Content-Length", Buffer.byteLength(body))
+		this.end(body)
+		return this
+	},
+
+	/**
+	 * Sends a value serialized as JSON and ends the response.
+	 * @param {*} data - The value to serialize
+	 * @returns {http.ServerResponse} - The response
+	 */
+	json(data) {
+		if (!this.hasHeader("Content-Type")) this.type("json")
+		return this.send(JSON.stringify(data))
+	},
+
+	/**
+	 * Redirects the request to another URL.
+	 * @param {number|string} statusCode - The redirect status code (302 by default), or the URL
+	 * @param {string} [location] - The URL to redirect to
+	 * @returns {http.ServerResponse} - The response
+	 */
+	redirect(statusCode, location) {
+		if (typeof statusCode === "string") {
+			location = statusCode
+			statusCode = 302
+		}
+
+		this.statusCode = statusCode
+		this.setHeader("Location", location)
+		return this.type("txt").send(`${STATUS_CODES[statusCode]}. Redirecting to ${location}`)
+	},
+
+	/**
+	 * Sets a cookie, adding a `Set-Cookie` header.
+	 * @param {string} name - The cookie name
+	 * @param {string} value - The cookie value
+	 * @param {object} [options={}] - The cookie attributes (`maxAge` in seconds, `expires`, `domain`, `path`,
+	 *                                `secure`, `httpOnly`, `sameSite`, `partitioned`), see `serializeCookie()`
+	 * @param {boolean} [options.signed] - Whether to sign the value with the router's cookie secrets,
+	 *                                     the verified value being read from `req.signedCookies`
+	 * @returns {http.ServerResponse} - The response for chaining
+	 */
+	cookie(name, value, options = {}) {
+		const { signed, ...attributes } = options
+		const cookieValue = signed ? signCookie(String(value), this.app.cookieSecrets) : String(value)
+		this.appendHeader("Set-Cookie", serializeCookie(name, cookieValue, attributes))
+		return this
+	},
+
+	/**
+	 * Clears a cookie. The `path` and `domain` must be the ones the cookie was set with.
+	 * @param {string} name - The cookie name
+	 * @param {object} [options={}] - The cookie attributes
+	 * @returns {http.ServerResponse} - The response for chaining
+	 */
+	clearCookie(name, options = {}) {
+		// An expiry date in the past deletes the cookie, whatever its lifetime was
+		const attributes = { ...options, expires: new Date(0) }
+		delete attributes.maxAge
+		delete attributes.signed
+		return this.cookie(name, "", attributes)
+	},
+
+	/**
+	 * Exposes values to the client, to be emitted by `it.transfer()` in the rendered view.
+	 * @param {object} values - The values to transfer, by key
+	 * @returns {http.ServerResponse} - The response for chaining
+	 */
+	expose(values) {
+		Object.assign(this.locals.exposed, values)
+		return this
+	},
+
+	/**
+	 * Renders a view with the router's view engine and sends it as HTML.
+	 *
+	 * The view receives `app.locals`, then `res.locals` (with the values of the route's `data`
+	 * loaders), then the given data. It also receives a `transfer()` helper emitting the
+	 * exposed values (see `expose()`) in a script element, e.g. `<%~ it.transfer() %>`,
+	 * and a `url()` helper generating the URLs of named routes, e.g. `<%= it.url("user.show", { id: 5 }) %>`.
+	 * With `securityHeaders()` and `csrf()`, it also receives the CSP `nonce` of its inline scripts
+	 * and the `csrfToken` of its forms.
+	 *
+	 * With asynchronous views (`app.setViews({ async: true })`), the response is sent once the
+	 * rendering is done, and the returned promise should be returned or awaited by the route handler.
+	 *
+	 * @param {string} view - The name of the view to render
+	 * @param {object} [data={}] - The data object passed to the view
+	 * @param {object} [options={}] - The render options of the view engine, e.g. `{ layout: false }` with `setViews()`
+	 * @returns {http.ServerResponse|Promise<http.ServerResponse>} - The response
+	 */
+	render(view, data = {}, options = {}) {
+		const viewEngine = this.app && this.app.viewEngine
+		if (!viewEngine) {
+			throw new Error("No view engine configured, call setViewEngine() on the router first")
+		}
+
+		const url = (name, params, query) => this.app.url(name, params, query)
+		const security = {}
+		if (this.locals.nonce) security.nonce = this.locals.nonce
+		const viewData = {
+			...this.app.locals,
+			...this.locals,
+			transfer: createTransferHelper(this),
+			url,
+			...security,
+			...data,
+		}
+		// Only create the token of the client if the view uses it, the other pages can be cached
+		if (this.locals.csrf && !("csrfToken" in data)) {
+			Object.defineProperty(viewData, "csrfToken", {
+				get: () => this.locals.csrf.token(),
+				enumerable: true,
+				configurable: true,
+			})
+		}
+
+		if (viewEngine.async) {
+			return viewEngine.renderAsync(view, viewData, options).then((html) => this.type("html").send(html))
+		}
+		return this.type("html").send(viewEngine.render(view, viewData, options))
+	},
+
+	/**
+	 * Takes the socket over from the response, to switch protocols, e.g. after a WebSocket handshake.
+	 *
+	 * The response is done right away with a 101 status: the request is settled and the
+	 * onResponse hooks run, while the socket stays open for the new protocol.
+	 *
+	 * @returns {net.Socket} - The socket of the response
+	 */
+	upgrade() {
+		const { socket } = this
+		this.detachSocket(socket)
+		this.statusCode = 101
+		completeResponse(this)
+		return socket
+	},
+}
+
+/**
+ * Adds the response helper methods to a native response object.
+ * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
+ * @param {Router} app - The router handling the request
+ * @returns {http.ServerResponse} - The decorated response object
+ */
+export const decorateResponse = (nativeRes, app) => {
+	Object.assign(nativeRes, responseMethods)
+	nativeRes.app = app
+	// Values local to this response, like the values exposed to the client
+	nativeRes.locals = { exposed: {} }
+	return nativeRes
+}
@@ -1,5 +1,59 @@
-// Import the built-in HTTP server module
-import { createServer as _createServer } from "node:http"
+// Import the response class written to upgrade sockets
+import { ServerResponse } from "node:http"
+
+// Import the helper methods added to every response
+import { decorateResponse, onResponseDone } from "./response.js"
+
+// Import the body parser shared by every route
+import { BodyParser } from "./bodyParser.js"
+
+// Import the handler calling the functions exposed to the client
+import { createRPCHandler } from "./rpc.js"
+
+// Import the Server-Sent Events channels
+import { EventChannel } from "./sse.js"
+
+// Import the WebSocket route handlers
+import { createUpgradeHandler } from "./webSocket.js"
+
+// Import the HTTP errors and their content-negotiated responses
+import { BadRequest, HttpError, MethodNotAllowed, NotFound, UpgradeRequired, sendError } from "./httpErrors.js"
+
+// Import the OpenAPI document generator
+import { generateOpenAPI } from "./openapi.js"
+
+// Import the validator of the route schemas
+import { queryToObject, validate } from "./validator.js"
+
+// Import the cookie parser
+import { parseCookies, readSignedCookies } from "./cookies.js"
+
+// Import the views rendered inside a layout
+import { Views } from "./views.js"
+
+// Import the cache of the responses
+import { ResponseCache } from "./cache.js"
+
+// Import the in-process requests of `inject()`
+import { injectRequest } from "./inject.js"
+
+// Import the server running a router
+import { createServer } from "./server.js"
+
+/**
+ * HTTP methods whose request body is parsed before calling the route handler.
+ */
+const methodsWithBody = new Set(["POST", "PUT", "PATCH", "DELETE"])
+
+/**
+ * HTTP methods answered by routes registered with `all()`.
+ */
+const standardMethods = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"]
+
+/**
+ * Key of the WebSocket handlers in `RouteNode.handler`, matched by upgrade requests only.
+ */
+const webSocketMethod = "WS"
 
 /**
  * Router class representing a router for handling HTTP requests.
@@ -11,8 +65,25 @@ class Router {
 		// Initialize handlers for not found routes and errors
 		this.notFoundHandler = null
 		this.errorHandler = null
-		// Stack to hold middleware functions
+		// View engine used by `res.render()` (e.g. an Eta instance)
+		this.viewEngine = null
+		// Values passed to every rendered view, before `res.locals` and the data of the render
+		this.locals = {}
+		// Parser for the request bodies of every route
+		this.bodyParser = new BodyParser()
+		// Stack to hold middleware layers ({ path, handler })
 		this.middlewareStack = []
+		// Functions observing the lifecycle of the requests, by hook name
+		this.hooks = { onRequest: [], onRoute: [], onResponse: [], onError: [] }
+		// Functions callable from the client, and the path prefix of their endpoint
+		this.exposedFunctions = new Map()
+		this.rpcPath = "/__rpc"
+		// Route patterns by route name, for `url()`
+		this.namedRoutes = new Map()
+		// Secret keys signing cookies, the first one signs and all of them verify
+		this.cookieSecrets = []
+		// Responses kept by the `cache()` middleware, see `app.cache.invalidate()`
+		this.cache = new ResponseCache()
 	}
 
 	/**
@@ -20,90 +91,140 @@ class Router {
 	 * @param {RouteNode} currentNode - The current node in the routing tree
 	 * @param {string} currentPrefix - The current prefix for the nested routes
 	 * @param {Router} newRouter - The router containing the nested routes
+	 * @param {function} [wrapHandler] - Optional function wrapping each handler before it is added
 	 */
-	#generateNestedRoutes(currentNode, currentPrefix, newRouter) {
+	#generateNestedRoutes(currentNode, currentPrefix, newRouter, wrapHandler = (handler) => handler) {
 		// Iterate over handler methods and add them to the new router
 		for (const [method, handler] of Object.entries(currentNode.handler)) {
-			newRouter.addRoute(method, currentPrefix, handler)
+			newRouter.addRoute(method, currentPrefix, wrapHandler(handler), currentNode.options[method])
 		}
 
-		// Iterate over child nodes and recursively generate nested routes
-		for (const [pathSegment, subNode] of Object.entries(currentNode.children)) {
-			this.#generateNestedRoutes(subNode, `${currentPrefix}/${pathSegment}`, newRouter)
-		}
-
-		// If the current node has a parameter, generate a route for it as well
-		if (currentNode.param) {
-			this.#generateNestedRoutes(currentNode.param, `${currentPrefix}/:${currentNode.param.paramName}`, newRouter)
+		// Iterate over static, parameter and wildcard child nodes and recursively generate nested routes
+		for (const subNode of currentNode.childNodes()) {
+			this.#generateNestedRoutes(subNode, `${currentPrefix}/${subNode.segment}`, newRouter, wrapHandler)
 		}
 	}
 
 	/**
 	 * Adds a route to the router
+	 *
+	 * Besides static segments, a route path can contain:
+	 *
+	 * - `:name` parameters, matching any non-empty segment.
+	 * - `:name(regex)` parameters constrained by a regular expression, e.g. `/users/:id(\\d+)`.
+	 * - `:name?` optional parameters, the route being registered both with and without them.
+	 * - A final `*name` wildcard capturing the rest of the path, e.g. `/files/*path`.
+	 *
 	 * @param {string} httpMethod - The HTTP method (GET, POST, etc.)
 	 * @param {string} routePath - The path of the route
 	 * @param {function} requestHandler - The function to handle requests for this route
+	 * @param {object} [routeOptions={}] - Options for this route
+	 * @param {number} [routeOptions.bodyLimit] - Maximum size of the request body in bytes
+	 * @param {string} [routeOptions.name] - The name of the route, to generate its URLs with `url()`
+	 * @param {object} [routeOptions.schema] - The JSON schemas the requests are validated against (`params`, `query`,
+	 *                                         `headers` and `body`), also describing the route in `generateOpenAPI()`
+	 * @param {function|function[]} [routeOptions.middleware] - Middleware run for this route only, after the
+	 *                                                         router's middleware and before the body is parsed
+	 * @param {function|object} [routeOptions.data] - Loaders of the data passed to the rendered views, run before
+	 *                                                the route handler, e.g. `{ user: (req) => findUser(req.params.id) }`
 	 */
-	addRoute(httpMethod, routePath, requestHandler) {
-		let currentNode = this.rootNode
-		let pathStart = 1,
-			pathEnd = 1,
-			pathLength = routePath.length
-
-		// Loop through each character in the path
-		for (; pathEnd <= pathLength; ++pathEnd) {
-			if (pathEnd === pathLength || routePath[pathEnd] === "/") {
-				let pathSegment = routePath.substring(pathStart, pathEnd)
-				let nextNode
-
-				// Check if the path segment starts with a colon, indicating a parameter
-				if (pathSegment[0] === ":") {
-					if (!currentNode.param) {
-						currentNode.param = new RouteNode()
-						currentNode.param.paramName = pathSegment.substring(1)
-					}
-					nextNode = currentNode.param
-				} else {
-					// Otherwise, try to find the child node with the current path segment
-					nextNode =
-						currentNode.children[pathSegment] || (currentNode.children[pathSegment] = new RouteNode())
-				}
+	addRoute(httpMethod, routePath, requestHandler, routeOptions = {}) {
+		const pathSegments = routePath.substring(1).split("/")
+
+		pathSegments.forEach((pathSegment, index) => {
+			if (pathSegment[0] === "*" && index !== pathSegments.length - 1) {
+				throw new Error(`Wildcard segment "${pathSegment}" must be the last segment of route "${routePath}"`)
+			}
+		})
+
+		// Register the route once for every combination of its optional segments
+		for (const routeSegments of expandOptionalSegments(pathSegments)) {
+			let currentNode = this.rootNode
 
-				currentNode = nextNode
-				pathStart = pathEnd + 1
+			// An empty combination (e.g. from "/:id?") is the root route "/"
+			for (const pathSegment of routeSegments.length ? routeSegments : [""]) {
+				currentNode = this.#getChildNode(currentNode, pathSegment)
 			}
+
+			// Store the request handler and its options for the final path segment and method
+			currentNode.handler[httpMethod] = requestHandler
+			currentNode.options[httpMethod] = routeOptions
 		}
 
-		// Store the request handler for the final path segment and method
-		currentNode.handler[httpMethod] = requestHandler
+		// The last route registered with a name owns it
+		if (routeOptions.name) this.namedRoutes.set(routeOptions.name, routePath)
+	}
+
+	/**
+	 * Finds or creates the child node of a node for a route path segment
+	 * @param {RouteNode} currentNode - The parent node
+	 * @param {string} pathSegment - The segment as written in the route path, without optional marker
+	 * @returns {RouteNode} - The child node for the segment
+	 */
+	#getChildNode(currentNode, pathSegment) {
+		// Check if the path segment starts with an asterisk, indicating a wildcard
+		if (pathSegment[0] === "*") {
+			const paramName = pathSegment.substring(1) || "*"
+
+			if (!currentNode.wildcard) {
+				currentNode.wildcard = new RouteNode()
+				currentNode.wildcard.segment = pathSegment
+				currentNode.wildcard.path = `${currentNode.path}/${pathSegment}`
+				currentNode.wildcard.paramName = paramName
+			} else if (currentNode.wildcard.paramName !== paramName) {
+				throw new Error(
+					`Wildcard "${pathSegment}" conflicts with the existing wildcard "${currentNode.wildcard.segment}"`
+				)
+			}
+			return currentNode.wildcard
+		}
+
+		// Check if the path segment starts with a colon, indicating a parameter
+		if (pathSegment[0] === ":") {
+			// Parameters with a different name or constraint get their own node
+			let paramNode = currentNode.params.find((node) => node.segment === pathSegment)
+
+			if (!paramNode) {
+				const { name, constraint } = parseParamSegment(pathSegment)
+
+				paramNode = new RouteNode()
+				paramNode.segment = pathSegment
+				paramNode.path = `${currentNode.path}/${pathSegment}`
+				paramNode.paramName = name
+				paramNode.constraint = constraint
+
+				// Keep constrained parameters before unconstrained ones, so they're tried first
+				currentNode.params.push(paramNode)
+				currentNode.params.sort((a, b) => Number(!a.constraint) - Number(!b.constraint))
+			}
+			return paramNode
+		}
+
+		// Otherwise, try to find the child node with the current path segment
+		if (!currentNode.children[pathSegment]) {
+			currentNode.children[pathSegment] = new RouteNode()
+			currentNode.children[pathSegment].segment = pathSegment
+			currentNode.children[pathSegment].path = `${currentNode.path}/${pathSegment}`
+		}
+		return currentNode.children[pathSegment]
 	}
 
 	/**
 	 * Merges nodes from another router recursively
 	 * @param {RouteNode} currentNode - The current node in the current router
 	 * @param {RouteNode} nodeToMerge - The node from the router to be merged
+	 * @param {function} [wrapHandler] - Optional function wrapping each merged handler
 	 */
-	#mergeNodes(currentNode, nodeToMerge) {
+	#mergeNodes(currentNode, nodeToMerge, wrapHandler = (handler) => handler) {
 		// Merge handler methods
 		for (const [method, handler] of Object.entries(nodeToMerge.handler)) {
-			currentNode.handler[method] = handler
-		}
-
-		// Merge child nodes recursively
-		for (const [pathSegment, subNode] of Object.entries(nodeToMerge.children)) {
-			if (!currentNode.children[pathSegment]) {
-				currentNode.children[pathSegment] = new RouteNode()
-			}
-			this.#mergeNodes(currentNode.children[pathSegment], subNode)
+			currentNode.handler[method] = wrapHandler(handler)
+			currentNode.options[method] = nodeToMerge.options[method]
 		}
 
-		// Merge parameter nodes (if any)
-		if (nodeToMerge.param) {
-			if (!currentNode.param) {
-				currentNode.param = new RouteNode()
-				currentNode.param.paramName = nodeToMerge.param.paramName
-			}
-			this.#mergeNodes(currentNode.param, nodeToMerge.param)
+		// Merge static, parameter and wildcard child nodes recursively
+		for (const subNode of nodeToMerge.childNodes()) {
+			this.#mergeNodes(this.#getChildNode(currentNode, subNode.segment), subNode, wrapHandler)
 		}
 	}
 
@@ -112,7 +233,7 @@ class Router {
 	 *
 	 * This method recursively traverses the routing tree starting from the root node and
 	 * prints information about each node, including its prefix, HTTP methods and handlers,
-	 * and child nodes (including parameters).
+	 * and child nodes (including parameters and wildcards).
 	 */
 	printTree() {
 		this.#printNode(this.rootNode, "Root")
@@ -131,7 +252,9 @@ class Router {
 
 		// Print the node's prefix and any existing handlers:
 		console.log(`${prefixSymbol ? `${indentation}${prefixSymbol} ${prefix || "/"}` : prefix}`)
-		for (const [method, handler] of Object.entries(node.handler)) {
+		for (const [method, scopedHandler] of Object.entries(node.handler)) {
+			// Print the original handler of routes scoped to a nested or merged router
+			const handler = scopedHandler.originalHandler || scopedHandler
 			const handlerName =
 				handler.name ||
 				handler
@@ -142,13 +265,112 @@ class Router {
 			console.log(`${indentation}  └─ [${method}] ↠  ${handlerName}`)
 		}
 
-		// Recursively print child nodes and the parameterized child (if any):
-		for (const [childPrefix, childNode] of Object.entries(node.children)) {
-			this.#printNode(childNode, childPrefix, level + 1, "├─")
+		// Recursively print the static, parameterized and wildcard child nodes:
+		for (const childNode of node.childNodes()) {
+			this.#printNode(childNode, childNode.segment, level + 1, "├─")
 		}
-		if (node.param) {
-			this.#printNode(node.param, `:${node.param.paramName}`, level + 1, "├─")
+	}
+
+	/**
+	 * Lists the registered routes, in order of matching precedence.
+	 *
+	 * Routes with optional parameters are listed once per combination of their segments,
+	 * and routes of nested routers with their prefix.
+	 *
+	 * @returns {object[]} - The routes, each one with its `method` ("GET", "ALL", "WS"...),
+	 *                       `path` pattern, `params` names, `name`, `handler` name and `options`
+	 */
+	routes() {
+		const routes = []
+
+		const collectRoutes = (node) => {
+			for (const [method, scopedHandler] of Object.entries(node.handler)) {
+				const options = node.options[method] || {}
+				// Name the original handler of routes scoped to a nested or merged router
+				const handler = scopedHandler.originalHandler || scopedHandler
+
+				routes.push({
+					method,
+					path: node.path || "/",
+					params: node.path
+						.split("/")
+						.filter((segment) => segment[0] === ":" || segment[0] === "*")
+						.map((segment) => parseParamSegment(segment).name),
+					name: options.name || null,
+					handler: handler.name || null,
+					options,
+				})
+			}
+			node.childNodes().forEach(collectRoutes)
+		}
+		collectRoutes(this.rootNode)
+
+		return routes
+	}
+
+	/**
+	 * Generates the URL of a named route.
+	 *
+	 * Parameters are percent-encoded, and must match their constraint. Optional parameters
+	 * left out are removed from the URL, and a wildcard value keeps its slashes.
+	 *
+	 * @example
+	 * app.get("/users/:id(\\d+)", showUser, { name: "user.show" })
+	 * app.url("user.show", { id: 5 }, { tab: "posts" }) // "/users/5?tab=posts"
+	 *
+	 * @param {string} name - The name of the route
+	 * @param {object} [params={}] - The values of the route parameters
+	 * @param {object|URLSearchParams} [query] - The query parameters
+	 * @returns {string} - The URL path, with its query string
+	 * @throws {Error} - If the route doesn't exist, or a parameter is missing or invalid
+	 */
+	url(name, params = {}, query) {
+		const routePath = this.namedRoutes.get(name)
+		if (routePath === undefined) {
+			throw new Error(`No route named "${name}"`)
+		}
+
+		const segments = []
+		for (const segment of routePath.substring(1).split("/")) {
+			if (segment[0] !== ":" && segment[0] !== "*") {
+				segments.push(segment)
+				continue
+			}
+
+			const { name: paramName, constraint, optional, wildcard } = parseParamSegment(segment)
+			const value = params[paramName]
+
+			if (value === undefined || value === null || value === "") {
+				if (optional) continue
+				throw new Error(`Missing parameter "${paramName}" for route "${name}"`)
+			}
+			if (constraint && !constraint.test(String(value))) {
+				throw new Error(`Parameter "${paramName}" of route "${name}" doesn't match ${constraint}`)
+			}
+
+			segments.push(
+				wildcard ? String(value).split("/").map(encodeURIComponent).join("/") : encodeURIComponent(String(value))
+			)
 		}
+
+		const queryString = query ? new URLSearchParams(query).toString() : ""
+		return `/${segments.join("/")}${queryString ? `?${queryString}` : ""}`
+	}
+
+	/**
+	 * Serves an OpenAPI 3 document describing the routes annotated with a `schema` option.
+	 *
+	 * The document is generated on each request, so it includes the routes registered afterwards.
+	 *
+	 * @param {object} [options={}] - The OpenAPI options
+	 * @param {string} [options.path="/openapi.json"] - The path of the document
+	 * @param {object} [options.info] - The OpenAPI info object, with the title and version of the API
+	 * @param {object[]} [options.servers] - The OpenAPI server objects
+	 * @returns {Router} - The current router instance for chaining
+	 */
+	openapi({ path = "/openapi.json", ...documentOptions } = {}) {
+		this.get(path, (req, res) => res.json(generateOpenAPI(this.routes(), documentOptions)))
+		return this
 	}
 
 	/**
@@ -169,99 +391,526 @@ class Router {
 		this.errorHandler = handler
 	}
 
+	/**
+	 * Adds a function called at a step of the lifecycle of every request.
+	 *
+	 * - `onRequest(req, res)`: before routing, e.g. to start timers or tag the request.
+	 *   The request stops there if the hook ends the response.
+	 * - `onRoute(req, res)`: once a route matches, with its method and pattern in `req.route`.
+	 *   The request stops there if the hook ends the response.
+	 * - `onResponse(req, res, duration)`: once the response is finished, the connection
+	 *   is closed or the socket is upgraded, with the time elapsed since the request was
+	 *   received in milliseconds.
+	 * - `onError(error, req, res)`: when a handler throws or calls `next(error)`, before
+	 *   the error middleware. Unlike `onError()`, it observes errors without handling them.
+	 *
+	 * Errors thrown by `onRequest` and `onRoute` hooks are handled like route errors,
+	 * those thrown by `onResponse` and `onError` hooks are only logged.
+	 *
+	 * @param {string} name - The name of the hook: "onRequest", "onRoute", "onResponse" or "onError"
+	 * @param {function} hook - The function to call, can be async
+	 * @returns {Router} - The current router instance for chaining
+	 */
+	addHook(name, hook) {
+		if (!Object.hasOwn(this.hooks, name)) {
+			throw new TypeError(`Unknown hook "${name}", expected one of ${Object.keys(this.hooks).join(", ")}`)
+		}
+		if (typeof hook !== "function") {
+			throw new TypeError(`Router.addHook() requires a function for "${name}"`)
+		}
+
+		this.hooks[name].push(hook)
+		return this
+	}
+
+	/**
+	 * Reports an error that can't be answered anymore, e.g. one thrown by a WebSocket handler
+	 * once the connection is open: it's logged and passed to the `onError` hooks.
+	 * @param {Error} error - The error
+	 * @param {http.IncomingMessage} nativeReq - The request the error belongs to
+	 * @param {http.ServerResponse} nativeRes - The response of the request
+	 * @returns {Promise<void>} - Resolves once the hooks are done
+	 */
+	async reportError(error, nativeReq, nativeRes) {
+		console.error("Internal Server Error:", error)
+		await this.#runObserverHooks("onError", error, nativeReq, nativeRes)
+	}
+
+	/**
+	 * Calls the functions of an observing hook, logging their errors.
+	 * @param {string} name - The name of the hook, "onResponse" or "onError"
+	 * @param {...*} args - The arguments of the hook functions
+	 */
+	async #runObserverHooks(name, ...args) {
+		for (const hook of this.hooks[name]) {
+			try {
+				await hook(...args)
+			} catch (error) {
+				console.error(`Error in ${name} hook:`, error)
+			}
+		}
+	}
+
+	/**
+	 * Sets the view engine used by `res.render()` to render views
+	 * @param {object} engine - A view engine with a `render(view, data)` method, like an Eta instance
+	 * @returns {Router} - The current router instance for chaining
+	 */
+	setViewEngine(engine) {
+		this.viewEngine = engine
+		return this
+	}
+
+	/**
+	 * Renders the views of a directory with Eta, inside a layout, see `Views`.
+	 *
+	 * @example
+	 * app.setViews({ dir: "views", layout: "layouts/main.html" })
+	 *
+	 * @param {object} [options={}] - The views options (`dir`, `layout`, `async`, `precompile`, `extensions`, `engine`)
+	 * @returns {Router} - The current router instance for chaining
+	 * @throws {Error} - If a template can't be compiled
+	 */
+	setViews(options = {}) {
+		return this.setViewEngine(new Views(options))
+	}
+
+	/**
+	 * Exposes a server function to the client, which calls it through an RPC stub.
+	 *
+	 * Only the functions exposed this way are callable, with a `POST <rpcPath>/<name>`
+	 * request whose body is the serialized array of arguments. Rendered views transfer
+	 * the names of the exposed functions, and `getRemoteFunction(name)` from `static/rpc.js`
+	 * returns a stub resolving with the function's result, or rejecting with its `RPCError`.
+	 *
+	 * @param {string} name - The name the client calls the function by
+	 * @param {function} fn - The function, called with the deserialized arguments and `this` set to `{ req, res }`
+	 * @param {object} [options={}] - The call options
+	 * @param {number} [options.maxArgs] - The maximum number of arguments accepted
+	 * @param {function} [options.validate] - A function receiving `(args, req)`, returning false or throwing
+	 *                                        an `RPCError` to reject the call
+	 * @returns {Router} - The current router instance for chaining
+	 */
+	expose(name, fn, options = {}) {
+		if (typeof fn !== "function") {
+			throw new TypeError(`Router.expose() requires a function for "${name}"`)
+		}
+
+		// Register the endpoint with the first exposed function
+		if (!this.exposedFunctions.size) {
+			this.post(`${this.rpcPath}/:name`, createRPCHandler(this.exposedFunctions))
+		}
+
+		this.exposedFunctions.set(name, { fn, options })
+		return this
+	}
+
+	/**
+	 * Sets the secret keys signing cookies (`res.cookie(name, value, { signed: true })`).
+	 *
+	 * To rotate keys, put the new key first: it signs the new cookies, while the old
+	 * keys keep verifying the cookies they signed.
+	 *
+	 * @param {string|string[]} secrets - The secret key, or the keys by order of preference
+	 * @returns {Router} - The current router instance for chaining
+	 */
+	setCookieSecrets(secrets) {
+		this.cookieSecrets = [].concat(secrets)
+		return this
+	}
+
+	/**
+	 * Registers a body parser for a content type, taking precedence over the built-in parsers
+	 * @param {string|function} type - A media type like "application/xml", a wildcard like "text/*",
+	 *                                 or a function receiving the media type and returning a boolean
+	 * @param {function} parser - An async function receiving `(req, { limit, contentType, charset, ... })`
+	 *                            and returning the parsed body
+	 * @returns {Router} - The current router instance for chaining
+	 */
+	addBodyParser(type, parser) {
+		this.bodyParser.register(type, parser)
+		return this
+	}
+
+	/**
+	 * Registers one or more middleware functions, optionally scoped to a path prefix.
+	 *
+	 * Middleware functions receive `(req, res, next)`. They can end the response to
+	 * short-circuit the request, call `next()` to pass control to the next middleware
+	 * (and finally to the route handler), or call `next(error)` to skip to error handling.
+	 *
+	 * Error middleware functions are declared with four arguments `(error, req, res, next)`
+	 * and only run when an error occurred. They can reply, or call `next()` / `next(error)`
+	 * to pass the (possibly replaced) error on, ultimately reaching the `onError` handler.
+	 *
+	 * @param {string|function} mountPath - The path prefix the middleware applies to, or the first middleware
+	 * @param {...function} middlewares - The middleware functions to register
+	 * @returns {Router} - The current router instance for chaining
+	 */
+	use(mountPath, ...middlewares) {
+		if (typeof mountPath === "function") {
+			// No path prefix given: the middleware applies to every request
+			middlewares.unshift(mountPath)
+			mountPath = "/"
+		}
+
+		for (const middleware of middlewares) {
+			if (typeof middleware !== "function") {
+				throw new TypeError("Router.use() requires middleware functions")
+			}
+			this.middlewareStack.push({ path: normalizeMountPath(mountPath), handler: middleware })
+		}
+
+		return this
+	}
+
 	/**
 	 * Handles an incoming HTTP request and routes it to the appropriate handler.
 	 *
 	 * This method is the core of the routing logic. It performs the following steps:
 	 *
-	 * 1. Applies middleware functions to the request and response.
-	 * 2. Extracts the HTTP method and route path from the request.
-	 * 3. Finds a matching route handler using the #findRouteHandler method.
-	 * 4. If a route handler is found:
-	 *   a. Populates the `nativeReq.params` object with extracted parameters.
-	 *   b. Creates a `nativeReq.queryParams` object for query parameters.
-	 *   c. Invokes the route handler function with the request and response objects.
-	 * 5. If a route handler is not found, either calls a custom notFound handler or sends a 404 response.
-	 * 6. Catches any errors that occur during request handling and either calls a custom onError handler or sends a 500 response.
+	 * 1. Adds the response helper methods (`status()`, `send()`, `json()`...) to the response,
+	 *    and extracts the route path and query parameters from the request.
+	 * 2. Finds a matching route handler using the #findRouteHandler method, which also answers
+	 *    `HEAD` requests with `GET` routes, and `OPTIONS` or unregistered methods with the allowed methods.
+	 * 3. Populates `nativeReq.path`, `nativeReq.params`, `nativeReq.queryParams`, `nativeReq.route`,
+	 *    `nativeReq.routeOptions`, `nativeReq.cookies` and `nativeReq.signedCookies`.
+	 *    The lifecycle hooks (see `addHook()`) run before and after routing, on errors and once the response is done.
+	 * 4. Runs the middleware scoped to the route path and the route's own middleware, then parses the request body into
+	 *    `nativeReq.body`, validates the request against the route's schemas and invokes the route handler.
+	 * 5. If no route handler is found, or the route handler calls `next()`, either calls
+	 *    a custom notFound handler or sends a 404 response.
+	 * 6. Passes any error thrown or given to `next(error)` through the error middleware,
+	 *    then either calls a custom onError handler or sends a 500 response.
 	 *
 	 * @param {http.IncomingMessage} nativeReq - The incoming HTTP request object
 	 * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
 	 */
-	async handleRequest(nativeReq, nativeRes) {
+	handleRequest(nativeReq, nativeRes) {
+		return this.#routeRequest(nativeReq, nativeRes, nativeReq.method)
+	}
+
+	/**
+	 * Sends a request through the router without opening a port, for tests.
+	 *
+	 * The request goes through the whole pipeline, hooks, middleware, route handler and
+	 * error handling included, and resolves once the response is closed.
+	 *
+	 * @example
+	 * const response = await app.inject({ method: "POST", url: "/users", body: { name: "Ada" } })
+	 * assert.equal(response.status, 201)
+	 * assert.deepEqual(response.json(), { id: 1, name: "Ada" })
+	 *
+	 * @param {object|string} options - The request options (`method`, `url`, `headers`, `body`, `remoteAddress`),
+	 *                                  or the URL of a GET request, see `injectRequest()`
+	 * @returns {Promise<{ status: number, headers: object, body: string, rawBody: Buffer, json: function }>}
+	 */
+	inject(options) {
+		return injectRequest(this, options)
+	}
+
+	/**
+	 * Handles an HTTP upgrade request, routing it to a WebSocket route registered with `ws()`.
+	 *
+	 * The request goes through the middleware like any other request, so authentication
+	 * applies to WebSockets too. Until the route accepts the connection, the request is
+	 * answered with a regular response written to the socket, e.g. a 401 from a middleware
+	 * or a 404 if no WebSocket route matches.
+	 *
+	 * @param {http.IncomingMessage} nativeReq - The upgrade request
+	 * @param {net.Socket} socket - The socket of the request
+	 * @param {Buffer} head - The data received after the request headers
+	 */
+	handleUpgrade(nativeReq, socket, head) {
+		const nativeRes = new ServerResponse(nativeReq)
+		nativeRes.shouldKeepAlive = false
+		nativeRes.assignSocket(socket)
+		// Close the connection once the upgrade is rejected
+		nativeRes.once("finish", () => socket.end())
+
+		nativeReq.upgradeHead = head
+		return this.#routeRequest(nativeReq, nativeRes, webSocketMethod)
+	}
+
+	/**
+	 * Routes a request to the handler registered for a method, see `handleRequest()`.
+	 * @param {http.IncomingMessage} nativeReq - The incoming HTTP request object
+	 * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
+	 * @param {string} method - The method of the handler, "WS" for upgrade requests
+	 */
+	async #routeRequest(nativeReq, nativeRes, method) {
+		decorateResponse(nativeRes, this)
+
+		// Time the request for the onResponse hooks
+		const startTime = process.hrtime.bigint()
+		if (this.hooks.onResponse.length) {
+			onResponseDone(nativeRes, () => {
+				const duration = Number(process.hrtime.bigint() - startTime) / 1e6
+				this.#runObserverHooks("onResponse", nativeReq, nativeRes, duration)
+			})
+		}
+
+		// Extract route path
+		const { url } = nativeReq
+		const queryDelimiter = url.indexOf("?")
+		const routePath = queryDelimiter === -1 ? url : url.substring(0, queryDelimiter)
+
+		nativeReq.path = routePath
+		nativeReq.queryParams = new URLSearchParams(queryDelimiter === -1 ? "" : url.substring(queryDelimiter)) // Create query parameters object
+		nativeReq.cookies = parseCookies(nativeReq.headers.cookie) // Parse the cookies, signed ones included as they were sent
+		nativeReq.signedCookies = readSignedCookies(nativeReq.cookies, this.cookieSecrets) // Verify the signed cookies
+
 		try {
-			// Apply middleware to the request and response
-			await this.applyMiddleware(nativeReq, nativeRes)
-
-			// Extract HTTP method and route path
-			const { method, url } = nativeReq
-			const queryDelimiter = url.indexOf("?")
-			const routePath = queryDelimiter === -1 ? url : url.substring(0, queryDelimiter)
-
-			// Find a matching route handler
-			const routeHandler = this.#findRouteHandler(method, routePath)
-
-			if (!routeHandler) {
-				// No route handler found:
-				if (this.notFoundHandler) {
-					// Call custom notFound handler if available
-					await this.notFoundHandler(nativeReq, nativeRes)
-					return
-				} else {
-					// Send 404 response (not found)
-					nativeRes.writeHead(404)
-					nativeRes.end("Route Not Found")
-					return
+			try {
+				for (const hook of this.hooks.onRequest) {
+					await hook(nativeReq, nativeRes)
+					if (nativeRes.writableEnded) return
 				}
-			}
 
-			// Route handler found:
-			nativeReq.params = routeHandler.extractedParams // Attach extracted parameters to the request
-			nativeReq.queryParams = new URLSearchParams(queryDelimiter === -1 ? "" : url.substring(queryDelimiter)) // Create query parameters object
+				// Find a matching route handler
+				const routeHandler = this.#findRouteHandler(method, routePath)
+				nativeReq.params = routeHandler ? routeHandler.extractedParams : Object.create(null) // Attach extracted parameters to the request
+				nativeReq.route = routeHandler ? routeHandler.route : null // Attach the matched route ({ method, path })
+				// Attach the options of the matched route, e.g. its `bodyLimit` for the middleware reading the body
+				nativeReq.routeOptions = routeHandler ? routeHandler.routeOptions || {} : null
 
-			const routeHandlerFunc = routeHandler.requestHandler[routePath] || routeHandler.requestHandler
+				if (routeHandler) {
+					for (const hook of this.hooks.onRoute) {
+						await hook(nativeReq, nativeRes)
+						if (nativeRes.writableEnded) return
+					}
+				}
 
-			if (typeof routeHandlerFunc === "function") {
-				// Invoke the route handler function
-				await routeHandlerFunc(nativeReq, nativeRes)
-			} else {
-				// Invalid route handler: send 404 response
-				nativeRes.writeHead(404)
-				nativeRes.end("Route Not Found")
+				// Run the middleware, then parse the body and call the route handler, falling back to the not found handler
+				const handlers = routeHandler
+					? [
+							...[].concat(routeHandler.routeOptions.middleware || []),
+							(req, res, next) => this.#parseBody(req, res, next, routeHandler.routeOptions),
+							(req, res, next) => this.#validateRequest(req, res, next, routeHandler.routeOptions),
+							(req, res, next) => this.#loadViewData(req, res, next, routeHandler.routeOptions),
+							routeHandler.requestHandler,
+						]
+					: []
+				await this.applyMiddleware(nativeReq, nativeRes, routePath, [
+					...handlers,
+					(req, res) => this.#handleNotFound(req, res),
+				])
+			} catch (error) {
+				await this.#runObserverHooks("onError", error, nativeReq, nativeRes)
+				await this.#handleError(error, nativeReq, nativeRes, routePath, (unhandledError) =>
+					this.#handleUncaughtError(unhandledError, nativeReq, nativeRes)
+				)
 			}
 		} catch (error) {
-			// Error handling:
+			// The error middleware or the onError handler failed too
 			console.error("Internal Server Error:", error)
+			if (!nativeRes.headersSent) nativeRes.writeHead(500)
+			nativeRes.end()
+		}
+	}
 
-			if (this.errorHandler) {
-				// Call custom onError handler if available
-				await this.errorHandler(error, nativeReq, nativeRes)
-				return
-			} else {
-				// Send 500 response (internal server error)
-				nativeRes.writeHead(500)
-				nativeRes.end("Internal Server Error")
-			}
+	/**
+	 * Runs the middleware functions in the stack that apply to a route path, followed by the given handlers.
+	 *
+	 * Error middleware is skipped here. Each middleware receives a `next` function
+	 * calling the following one; `next(error)` rejects the returned promise with that
+	 * error so it can be passed to the error middleware.
+	 *
+	 * @param {http.IncomingMessage} nativeReq - The incoming HTTP request object
+	 * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
+	 * @param {string} [routePath="/"] - The path used to select scoped middleware
+	 * @param {function[]} [handlers=[]] - The handlers to run after the middleware
+	 * @returns {Promise<void>} - Resolves once the chain is done or the response is closed
+	 */
+	async applyMiddleware(nativeReq, nativeRes, routePath = "/", handlers = []) {
+		const middlewares = this.middlewareStack
+			.filter((layer) => layer.handler.length < 4 && matchesMountPath(layer.path, routePath))
+			.map((layer) => layer.handler)
+
+		await runChain([...middlewares, ...handlers], nativeReq, nativeRes)
+	}
+
+	/**
+	 * Parses the body of a request into `nativeReq.body` before its route handler is called.
+	 *
+	 * @param {http.IncomingMessage} nativeReq - The incoming HTTP request object
+	 * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
+	 * @param {function} next - Calls the route handler
+	 * @param {object} routeOptions - The options of the matched route
+	 */
+	async #parseBody(nativeReq, nativeRes, next, routeOptions) {
+		// A middleware may already have parsed the body, e.g. to read a CSRF token from a form
+		if (methodsWithBody.has(nativeReq.method) && nativeReq.body === undefined) {
+			nativeReq.body = await this.bodyParser.parse(nativeReq, nativeRes, { limit: routeOptions.bodyLimit })
+		}
+		return next()
+	}
+
+	/**
+	 * Validates the request against the schemas of its route before its route handler is called.
+	 *
+	 * The `schema` route option can declare JSON schemas (see `validator.js`) for the
+	 * `params`, `query`, `headers` and `body` of the requests. Strings of the path parameters,
+	 * query string and headers are converted to the declared numbers, booleans and arrays,
+	 * then `nativeReq.params`, `nativeReq.query` and `nativeReq.body` are replaced with the
+	 * validated values. Invalid requests are rejected with a 400 error listing the violations.
+	 *
+	 * @param {http.IncomingMessage} nativeReq - The incoming HTTP request object
+	 * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
+	 * @param {function} next - Calls the route handler
+	 * @param {object} routeOptions - The options of the matched route
+	 * @throws {BadRequest} - If the request doesn't match the schemas, with the violations in `details.errors`
+	 */
+	#validateRequest(nativeReq, nativeRes, next, routeOptions) {
+		const { schema } = routeOptions
+		if (!schema) return next()
+
+		const errors = []
+		const check = (part, partSchema, value, coerce) => {
+			if (!partSchema) return value
+			const result = validate(partSchema, value, { coerce, path: part })
+			errors.push(...result.errors)
+			return result.value
+		}
+
+		const hasBody = methodsWithBody.has(nativeReq.method)
+		const params = check("params", schema.params, nativeReq.params, true)
+		const query = check("query", schema.query, queryToObject(nativeReq.queryParams), true)
+		check("headers", schema.headers, nativeReq.headers, true)
+		const body = hasBody ? check("body", schema.body, nativeReq.body, false) : nativeReq.body
+
+		if (errors.length) {
+			throw new BadRequest(`Invalid request: ${errors.map((error) => error.message).join(", ")}`, {
+				details: { errors },
+			})
+		}
+
+		nativeReq.params = params
+		nativeReq.query = query
+		nativeReq.body = body
+		return next()
+	}
+
+	/**
+	 * Runs the view data loaders of a route before its route handler is called.
+	 *
+	 * The `data` route option is either a function returning an object, or an object of
+	 * functions returning each value, run in parallel. Both receive the request and the
+	 * response and can be async. The loaded values are added to `nativeRes.locals`, so
+	 * they're passed to the views rendered with `res.render()`.
+	 *
+	 * @param {http.IncomingMessage} nativeReq - The incoming HTTP request object
+	 * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
+	 * @param {function} next - Calls the route handler
+	 * @param {object} routeOptions - The options of the matched route
+	 */
+	async #loadViewData(nativeReq, nativeRes, next, routeOptions) {
+		const { data } = routeOptions
+		if (typeof data === "function") {
+			Object.assign(nativeRes.locals, await data(nativeReq, nativeRes))
+		} else if (data) {
+			const entries = await Promise.all(
+				Object.entries(data).map(async ([key, loader]) => [key, await loader(nativeReq, nativeRes)])
+			)
+			Object.assign(nativeRes.locals, Object.fromEntries(entries))
 		}
+		return next()
 	}
 
 	/**
-	 * Applies all middleware functions in the stack to the request and response.
+	 * Passes an error through the error middleware that applies to a route path.
 	 *
-	 * This method iterates through the `middlewareStack` array and calls each
-	 * middleware function with the `nativeReq` and `nativeRes` objects. Middleware
-	 * functions can modify the request and response objects or short-circuit the
-	 * request handling process by calling `next()` with an error object to trigger
-	 * error handling.
+	 * @param {Error} error - The error to handle
+	 * @param {http.IncomingMessage} nativeReq - The incoming HTTP request object
+	 * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
+	 * @param {string} routePath - The path used to select scoped error middleware
+	 * @param {function} finalHandler - Called with the error if no error middleware handled it
+	 */
+	async #handleError(error, nativeReq, nativeRes, routePath, finalHandler) {
+		let currentError = error
+
+		const errorMiddlewares = this.middlewareStack
+			.filter((layer) => layer.handler.length === 4 && matchesMountPath(layer.path, routePath))
+			.map(
+				(layer) => (req, res, next) =>
+					layer.handler(currentError, req, res, (nextError) => {
+						// Passing a new error replaces the one handed to the following error middleware
+						if (nextError) currentError = nextError
+						return next()
+					})
+			)
+
+		await runChain([...errorMiddlewares, () => finalHandler(currentError)], nativeReq, nativeRes)
+	}
+
+	/**
+	 * Responds to a request that no route handled.
+	 *
+	 * @param {http.IncomingMessage} nativeReq - The incoming HTTP request object
+	 * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
+	 */
+	async #handleNotFound(nativeReq, nativeRes) {
+		if (this.notFoundHandler) {
+			// Call custom notFound handler if available
+			await this.notFoundHandler(nativeReq, nativeRes)
+		} else {
+			// Send 404 response (not found), as JSON or HTML depending on the Accept header
+			sendError(nativeReq, nativeRes, new NotFound("Route Not Found"))
+		}
+	}
+
+	/**
+	 * Responds to an error that no error middleware handled.
 	 *
+	 * @param {Error} error - The unhandled error
 	 * @param {http.IncomingMessage} nativeReq - The incoming HTTP request object
 	 * @param {http.ServerResponse} nativeRes - The outgoing HTTP response object
 	 */
-	async applyMiddleware(nativeReq, nativeRes) {
-		for (const middleware of this.middlewareStack) {
-			await middleware(nativeReq, nativeRes)
+	async #handleUncaughtError(error, nativeReq, nativeRes) {
+		if (!(error instanceof HttpError && error.statusCode < 500)) console.error("Internal Server Error:", error)
+
+		if (this.errorHandler) {
+			// Call custom onError handler if available
+			await this.errorHandler(error, nativeReq, nativeRes)
+		} else if (nativeRes.headersSent) {
+			// Too late to send an error status, end what has been sent so far
+			nativeRes.end()
+		} else {
+			// Answer with the status of HTTP errors (e.g. 404 for NotFound), 500 otherwise
+			sendError(nativeReq, nativeRes, error)
 		}
 	}
 
+	/**
+	 * Wraps a handler of this router so that it runs behind this router's own middleware.
+	 *
+	 * Used when the routes of this router are nested or merged into another router:
+	 * its middleware, including error middleware, keeps applying only to its own routes.
+	 * Errors this router's error middleware does not handle are passed to the outer router.
+	 *
+	 * @param {function} requestHandler - The route handler to wrap
+	 * @param {number} prefixDepth - The number of path segments the routes are nested under
+	 * @returns {function} - The scoped route handler
+	 */
+	#scopeHandler(requestHandler, prefixDepth) {
+		const scopedHandler = async (req, res, next) => {
+			// Match this router's middleware against the path without the nesting prefix
+			const scopedPath = stripPathSegments(req.path, prefixDepth)
+
+			try {
+				await this.applyMiddleware(req, res, scopedPath, [requestHandler, () => next()])
+			} catch (error) {
+				await this.#handleError(error, req, res, scopedPath, (unhandledError) => {
+					throw unhandledError
+				})
+			}
+		}
+
+		// Keep a reference to the handler as registered, for debugging output
+		scopedHandler.originalHandler = requestHandler.originalHandler || requestHandler
+		return scopedHandler
+	}
+
 	/**
 	 * Finds the handler for a specific HTTP method and route path.
 	 *
@@ -270,179 +919,293 @@ class Router {
 	 * It also extracts any dynamic parameters from the path and stores them in the
 	 * `extractedParams` object.
 	 *
+	 * When the path matches a route registered for other methods only, the returned
+	 * handler answers `OPTIONS` requests with the allowed methods, and any other method
+	 * with a 405 Method Not Allowed response. Both set the `Allow` header.
+	 *
 	 * @param {string} httpMethod - The HTTP method of the request
 	 * @param {string} routePath - The path of the request
-	 * @returns {object|null} - An object containing the handler and extracted parameters,
-	 *                       or null if no matching handler is found
+	 * @returns {object|null} - An object containing the handler, its options, extracted parameters and
+	 *                       matched route (`{ method, path }` with the route pattern), or null if no route matches the path
 	 */
 	#findRouteHandler(httpMethod, routePath) {
-		let currentNode = this.rootNode // Start at the root node of the routing tree
 		let extractedParams = Object.create(null) // Object to store extracted parameters
-		let pathStart = 1 // Start parsing path segments from position 1 (after initial slash)
-		const pathLength = routePath.length
-		const stack = [] // Stack for backtracking during path traversal
-
-		/**
-		 * Iterates through the path segments in the `routePath` and attempts to match them
-		 * with nodes in the routing tree.
-		 *
-		 * This loop performs the following steps for each path segment:
-		 *
-		 * 1. Extracts the path segment from the `routePath`.
-		 * 2. Tries to find a child node in the current node with the matching path segment name.
-		 * 3. If no child node is found and the current node has a parameter, attempts to use
-		 *    the parameter to match the path segment.
-		 * 4. If a matching node is found, updates the `currentNode`, extracted parameters (`extractedParams`),
-		 *    and pushes the current state onto a stack for backtracking purposes.
-		 * 5. If no matching node is found after checking both child nodes and the parameter,
-		 *    returns `null` indicating no matching route was found.
-		 *
-		 * @param {string} routePath - The path of the request
-		 * @returns {object|null} - An object containing the handler and extracted parameters,
-		 *                       or null if no matching handler is found
-		 */
-		for (let pathEnd = 1; pathEnd <= pathLength; ++pathEnd) {
-			if (pathEnd === pathLength || routePath[pathEnd] === "/") {
-				const pathSegment = routePath.substring(pathStart, pathEnd)
-				let nextNode = currentNode.children[pathSegment]
-
-				// Handle dynamic parameters (colon-prefixed segments):
-				while (!nextNode && currentNode.param) {
-					nextNode = currentNode.param
-					extractedParams[currentNode.param.paramName] = pathSegment // Extract parameter value
-					pathStart = pathEnd + 1 // Move to the next path segment
-				}
+		const pathSegments = routePath.substring(1).split("/") // Path segments after the initial slash
 
-				if (!nextNode) return null // No matching route found
+		const matchedNode = this.#matchNode(this.rootNode, pathSegments, 0, extractedParams, (node) =>
+			Boolean(resolveHandlerMethod(node, httpMethod))
+		)
 
-				stack.push({ node: nextNode, param: extractedParams }) // Store state for backtracking
+		if (matchedNode) {
+			// Return the handler and extracted parameters if a match is found:
+			const handlerMethod = resolveHandlerMethod(matchedNode, httpMethod)
+			return {
+				requestHandler: matchedNode.handler[handlerMethod],
+				routeOptions: matchedNode.options[handlerMethod],
+				extractedParams,
+				route: { method: handlerMethod, path: matchedNode.path || "/" },
+			}
+		}
+
+		// Look for a route matching the path with any method
+		extractedParams = Object.create(null)
+		const routeNode = this.#matchNode(
+			this.rootNode,
+			pathSegments,
+			0,
+			extractedParams,
+			(node) => Object.keys(node.handler).length > 0
+		)
+
+		// No node of the routing tree matches the path
+		if (!routeNode) return null
+
+		const allowHeader = allowedMethods(routeNode).join(", ")
+		let requestHandler
+		if (httpMethod === "OPTIONS") {
+			requestHandler = (req, res) => res.status(204).set("Allow", allowHeader).send()
+		} else if (httpMethod === "GET" && routeNode.handler[webSocketMethod]) {
+			// Plain GET requests to a WebSocket route
+			requestHandler = (req, res) =>
+				sendError(
+					req,
+					res,
+					new UpgradeRequired(undefined, { headers: { Connection: "Upgrade", Upgrade: "websocket" } })
+				)
+		} else {
+			requestHandler = (req, res) =>
+				sendError(req, res, new MethodNotAllowed(undefined, { headers: { Allow: allowHeader } }))
+		}
+
+		return {
+			requestHandler,
+			routeOptions: {},
+			extractedParams,
+			route: { method: httpMethod, path: routeNode.path || "/" },
+		}
+	}
 
-				currentNode = nextNode
-				pathStart = pathEnd + 1
+	/**
+	 * Recursively matches path segments against the routing tree, backtracking on dead ends.
+	 *
+	 * For each path segment, the candidates are tried in order of precedence:
+	 *
+	 * 1. The static child node with the same name.
+	 * 2. The parameter child nodes, constrained ones first, if their constraint accepts the segment.
+	 * 3. The wildcard child node, capturing the rest of the path.
+	 *
+	 * If a candidate leads to no matching node, the parameters it extracted are removed and
+	 * the next candidate is tried, so `/users/me` can fall back to `/users/:id` when the
+	 * static `me` branch has no handler for the request.
+	 *
+	 * @param {RouteNode} currentNode - The node matching the segments before `segmentIndex`
+	 * @param {string[]} pathSegments - The segments of the request path
+	 * @param {number} segmentIndex - The index of the segment to match
+	 * @param {object} extractedParams - The object receiving the extracted parameters
+	 * @param {function} isMatch - Tells whether a node reached at the end of the path is acceptable
+	 * @returns {RouteNode|null} - The matching node, or null if none is found
+	 */
+	#matchNode(currentNode, pathSegments, segmentIndex, extractedParams, isMatch) {
+		if (segmentIndex === pathSegments.length) {
+			return isMatch(currentNode) ? currentNode : null
+		}
+
+		const pathSegment = pathSegments[segmentIndex]
+
+		// 1. Try the static child node
+		const staticNode = currentNode.children[pathSegment]
+		if (staticNode) {
+			const matchedNode = this.#matchNode(staticNode, pathSegments, segmentIndex + 1, extractedParams, isMatch)
+			if (matchedNode) return matchedNode
+		}
+
+		// 2. Try the parameter child nodes, which never match empty segments
+		if (pathSegment && currentNode.params.length) {
+			const paramValue = decodePathSegment(pathSegment)
+
+			for (const paramNode of currentNode.params) {
+				if (paramNode.constraint && !paramNode.constraint.test(paramValue)) continue
+
+				extractedParams[paramNode.paramName] = paramValue // Extract parameter value
+				const matchedNode = this.#matchNode(paramNode, pathSegments, segmentIndex + 1, extractedParams, isMatch)
+				if (matchedNode) return matchedNode
+				delete extractedParams[paramNode.paramName] // Backtrack
 			}
 		}
 
-		/**
-		 * Checks for a matching handler for the given HTTP method and returns a result object.
-		 *
-		 * @param {string} httpMethod - The HTTP method of the request
-		 * @returns {object|null} - An object containing the handler and extracted parameters,
-		 *                       or null if no matching handler is found
-		 */
-		if (!currentNode.handler[httpMethod]) return null
+		// 3. Try the wildcard child node with the non-empty rest of the path
+		const remainingPath = pathSegments.slice(segmentIndex).join("/")
+		if (currentNode.wildcard && remainingPath && isMatch(currentNode.wildcard)) {
+			extractedParams[currentNode.wildcard.paramName] = decodePathSegment(remainingPath)
+			return currentNode.wildcard
+		}
 
-		// Return the handler and extracted parameters if a match is found:
-		return { requestHandler: currentNode.handler[httpMethod], extractedParams }
+		return null
 	}
 
 	/**
 	 * Adds a GET method to the router
 	 * @param {string} routePath - The path of the route
 	 * @param {function} requestHandler - The function to handle GET requests to this route
+	 * @param {object} [routeOptions] - Options for this route
 	 * @returns {Router} - The current router instance for chaining
 	 */
-	get(routePath, requestHandler) {
-		this.addRoute("GET", routePath, requestHandler)
+	get(routePath, requestHandler, routeOptions) {
+		this.addRoute("GET", routePath, requestHandler, routeOptions)
 		return this
 	}
 
 	/**
-	 * Adds a POST method to the router with improved error handling, request size limit, and content-type checking
+	 * Adds a POST method to the router
+	 *
+	 * The request body is parsed according to its Content-Type and available as `req.body`.
+	 *
 	 * @param {string} routePath - The path of the route
 	 * @param {function} requestHandler - The function to handle POST requests to this route
-	 * @param {number} [maxRequestSize] - Maximum size of the request body in bytes (optional)
+	 * @param {object|number} [routeOptions] - Options for this route, or the maximum size of the request body in bytes
 	 * @returns {Router} - The current router instance for chaining
 	 */
-	post(routePath, requestHandler, maxRequestSize = 1048576) {
-		// Default max request size: 1MB
-		const handler = async (req, res) => {
-			let body = ""
-			let contentType = req.headers["content-type"]
+	post(routePath, requestHandler, routeOptions) {
+		// A number is the maximum request size, as accepted by earlier versions
+		if (typeof routeOptions === "number") routeOptions = { bodyLimit: routeOptions }
 
-			// Check Content-Type header
-			if (!/^application\/json/.test(contentType)) {
-				return res.status(415).send("Unsupported Media Type")
-			}
-
-			// Limit request size
-			if (req.headers["content-length"] > maxRequestSize) {
-				return res.status(413).send("Request Entity Too Large")
-			}
-
-			// Collect the request body data
-			req.on("data", (chunk) => {
-				body += chunk.toString() // Convert Buffer to string
-				if (body.length > maxRequestSize) {
-					// Request size exceeds the limit, abort
-					req.connection.destroy()
-				}
-			})
-
-			// When the request body has been fully received
-			req.on("end", async () => {
-				try {
-					// Parse the JSON body
-					const data = JSON.parse(body) // Assuming JSON body
-
-					// Call the provided request handler with the request, response, and parsed body
-					await requestHandler(req, res, data)
-				} catch (error) {
-					// If there's an error parsing JSON, send a 400 response
-					console.error("Error parsing JSON:", error)
-					res.status(400).send("Invalid JSON")
-				}
-			})
-		}
-
-		// Add the POST route to the router with the defined handler
-		this.addRoute("POST", routePath, handler)
-		return this // Return the current router instance for chaining
+		this.addRoute("POST", routePath, requestHandler, routeOptions)
+		return this
 	}
 
 	/**
 	 * Adds a PUT method to the router
 	 * @param {string} routePath - The path of the route
-	 * @param {function} requestHandler - The function to handle GET requests to this route
+	 * @param {function} requestHandler - The function to handle PUT requests to this route
+	 * @param {object} [routeOptions] - Options for this route
 	 * @returns {Router} - The current router instance for chaining
 	 */
-	put(routePath, requestHandler) {
-		this.addRoute("PUT", routePath, requestHandler)
+	put(routePath, requestHandler, routeOptions) {
+		this.addRoute("PUT", routePath, requestHandler, routeOptions)
 		return this
 	}
 
 	/**
 	 * Adds a DELETE method to the router
 	 * @param {string} routePath - The path of the route
-	 * @param {function} requestHandler - The function to handle GET requests to this route
+	 * @param {function} requestHandler - The function to handle DELETE requests to this route
+	 * @param {object} [routeOptions] - Options for this route
 	 * @returns {Router} - The current router instance for chaining
 	 */
-	delete(routePath, requestHandler) {
-		this.addRoute("DELETE", routePath, requestHandler)
+	delete(routePath, requestHandler, routeOptions) {
+		this.addRoute("DELETE", routePath, requestHandler, routeOptions)
 		return this
 	}
 
 	/**
 	 * Adds a PATCH method to the router
 	 * @param {string} routePath - The path of the route
-	 * @param {function} requestHandler - The function to handle GET requests to this route
+	 * @param {function} requestHandler - The function to handle PATCH requests to this route
+	 * @param {object} [routeOptions] - Options for this route
+	 * @returns {Router} - The current router instance for chaining
+	 */
+	patch(routePath, requestHandler, routeOptions) {
+		this.addRoute("PATCH", routePath, requestHandler, routeOptions)
+		return this
+	}
+
+	/**
+	 * Adds a route answering every HTTP method to the router
+	 *
+	 * Routes registered for a specific method on the same path take precedence.
+	 *
+	 * @param {string} routePath - The path of the route
+	 * @param {function} requestHandler - The function to handle requests to this route
+	 * @param {object} [routeOptions] - Options for this route
+	 * @returns {Router} - The current router instance for chaining
+	 */
+	all(routePath, requestHandler, routeOptions) {
+		this.addRoute("ALL", routePath, requestHandler, routeOptions)
+		return this
+	}
+
+	/**
+	 * Alias of `all()`
+	 * @param {string} routePath - The path of the route
+	 * @param {function} requestHandler - The function to handle requests to this route
+	 * @param {object} [routeOptions] - Options for this route
+	 * @returns {Router} - The current router instance for chaining
+	 */
+	any(routePath, requestHandler, routeOptions) {
+		return this.all(routePath, requestHandler, routeOptions)
+	}
+
+	/**
+	 * Creates a builder registering handlers for several methods on the same path
+	 *
+	 * @example
+	 * app.route("/users/:id").get(showUser).put(updateUser).delete(deleteUser)
+	 *
+	 * @param {string} routePath - The path of the routes
+	 * @returns {object} - A builder with chainable `get`, `post`, `put`, `patch`, `delete`, `all` and `any` methods
+	 */
+	route(routePath) {
+		const routeBuilder = {}
+
+		for (const method of ["get", "post", "put", "patch", "delete", "all", "any"]) {
+			routeBuilder[method] = (requestHandler, routeOptions) => {
+				this[method](routePath, requestHandler, routeOptions)
+				return routeBuilder
+			}
+		}
+
+		return routeBuilder
+	}
+
+	/**
+	 * Registers a WebSocket route, matched by upgrade requests after the middleware
+	 *
+	 * @example
+	 * app.ws("/rooms/:room", (socket, req) => {
+	 * 	socket.on("message", (message) => socket.send(`${req.params.room}: ${message}`))
+	 * })
+	 *
+	 * @param {string} routePath - The path of the route
+	 * @param {function} requestHandler - The function called with `(socket, req)` once the connection is open, see `WebSocket`
+	 * @param {object} [routeOptions={}] - Options for this route, and the `maxMessageSize`, `pingInterval` and `protocols` of its WebSockets
 	 * @returns {Router} - The current router instance for chaining
 	 */
-	patch(routePath, requestHandler) {
-		this.addRoute("PATCH", routePath, requestHandler)
+	ws(routePath, requestHandler, routeOptions = {}) {
+		this.addRoute(webSocketMethod, routePath, createUpgradeHandler(requestHandler, routeOptions), routeOptions)
 		return this
 	}
 
+	/**
+	 * Registers a Server-Sent Events route, pushing events to the pages subscribed to it
+	 *
+	 * @example
+	 * const events = app.sse("/events", (req, stream) => stream.send("continents", continents))
+	 * events.broadcast("continents", [...continents, "Atlantis"])
+	 *
+	 * @param {string} routePath - The path of the event stream
+	 * @param {function} [requestHandler] - The function called with `(req, stream)` for each client, see `EventStream`
+	 * @param {object} [channelOptions] - The heartbeat, retry and history options, see `EventChannel`
+	 * @returns {EventChannel} - The channel, to broadcast events to every connected client
+	 */
+	sse(routePath, requestHandler, channelOptions) {
+		const channel = new EventChannel(channelOptions)
+		this.get(routePath, (req, res) => channel.connect(req, res, requestHandler))
+		return channel
+	}
+
 	/**
 	 * Merges the routes from another router into this router's routing tree.
 	 *
 	 * This method performs a recursive merge, starting from the root nodes of both
 	 * routing trees. It traverses the tree structures and combines routes and handlers
-	 * while preserving any existing routes in the current router.
+	 * while preserving any existing routes in the current router. The middleware of the
+	 * merged router keeps applying only to the merged routes.
 	 *
 	 * @param {Router} routerToMerge - The router object containing the routes to merge
 	 */
 	merge(routerToMerge) {
-		this.#mergeNodes(this.rootNode, routerToMerge.rootNode)
+		this.#mergeNodes(this.rootNode, routerToMerge.rootNode, (handler) => routerToMerge.#scopeHandler(handler, 0))
+		for (const [name, routePath] of routerToMerge.namedRoutes) this.namedRoutes.set(name, routePath)
 	}
 
 	/**
@@ -450,14 +1213,18 @@ class Router {
 	 *
 	 * This method creates a new temporary router, generates nested routes from the
 	 * provided router under the specified prefix, and then merges the nested routes
-	 * into the current router's tree.
+	 * into the current router's tree. The middleware of the nested router keeps applying
+	 * only to the nested routes, with its path prefixes relative to the nesting prefix.
 	 *
 	 * @param {string} prefix - The prefix to be prepended to the nested routes
 	 * @param {Router} routerToNest - The router object containing the routes to be nested
 	 * @returns {Router} - The current router instance for chaining
 	 */
 	nest(prefix, routerToNest) {
-		this.#nestNodes(this.rootNode, routerToNest.rootNode, prefix)
+		this.#nestNodes(this.rootNode, routerToNest, prefix)
+		for (const [name, routePath] of routerToNest.namedRoutes) {
+			this.namedRoutes.set(name, `${prefix}${routePath}`.replace(/\/{2,}/g, "/"))
+		}
 		return this
 	}
 
@@ -465,16 +1232,94 @@ class Router {
 	 * Helper function for nesting routes from another router.
 	 *
 	 * @param {RouteNode} currentNode - The current node in the current router's tree
-	 * @param {RouteNode} nodeToNest - The root node of the router to be nested
+	 * @param {Router} routerToNest - The router to be nested
 	 * @param {string} prefix - The prefix to be prepended to the nested routes
 	 */
-	#nestNodes(currentNode, nodeToNest, prefix) {
+	#nestNodes(currentNode, routerToNest, prefix) {
 		const newRouter = new Router()
-		this.#generateNestedRoutes(nodeToNest, prefix, newRouter)
+		const prefixDepth = prefix.split("/").filter(Boolean).length
+		this.#generateNestedRoutes(routerToNest.rootNode, prefix, newRouter, (handler) =>
+			routerToNest.#scopeHandler(handler, prefixDepth)
+		)
 		this.#mergeNodes(currentNode, newRouter.rootNode)
 	}
 }
 
+/**
+ * Runs a chain of `(req, res, next)` handlers, each one calling the next through `next()`.
+ *
+ * The returned promise resolves when the last handler calls `next()`, or when the
+ * response is closed or upgraded (see `res.upgrade()`) by a handler that short-circuited
+ * the chain. It rejects with the
+ * error given to `next(error)` or thrown by a handler.
+ *
+ * @param {function[]} handlers - The handlers to run in order
+ * @param {http.IncomingMessage} req - The incoming HTTP request object
+ * @param {http.ServerResponse} res - The outgoing HTTP response object
+ * @returns {Promise<void>}
+ */
+function runChain(handlers, req, res) {
+	return new Promise((resolve, reject) => {
+		let index = 0
+
+		const finish = (error) => (error ? reject(error) : resolve())
+
+		const next = async (error) => {
+			if (error) return finish(error)
+
+			const handler = handlers[index++]
+			if (!handler) return finish()
+
+			try {
+				await handler(req, res, next)
+			} catch (handlerError) {
+				finish(handlerError)
+			}
+		}
+
+		// A closed or upgraded response doesn't wait for the handlers anymore
+		onResponseDone(res, () => finish())
+		next()
+	})
+}
+
+/**
+ * Normalizes a middleware mount path to a leading slash and no trailing slash.
+ * @param {string} mountPath - The mount path given to `use()`
+ * @returns {string} - The normalized mount path
+ */
+function normalizeMountPath(mountPath) {
+	const trimmedPath = mountPath.replace(/\/+$/, "")
+	if (!trimmedPath) return "/"
+	return trimmedPath[0] === "/" ? trimmedPath : `/${trimmedPath}`
+}
+
+/**
+ * Checks whether middleware mounted on a path applies to a route path.
+ * @param {string} mountPath - The normalized mount path of the middleware
+ * @param {string} routePath - The path of the request
+ * @returns {boolean} - True if the route path is the mount path or below it
+ */
+function matchesMountPath(mountPath, routePath) {
+	if (mountPath === "/") return true
+	return routePath === mountPath || routePath.startsWith(`${mountPath}/`)
+}
+
+/**
+ * Removes a number of leading segments from a route path.
+ * @param {string} routePath - The path of the request
+ * @param {number} depth - The number of leading segments to remove
+ * @returns {string} - The remaining path, at least "/"
+ */
+function stripPathSegments(routePath, depth) {
+	let segmentStart = 0
+	for (let segment = 0; segment < depth; segment++) {
+		segmentStart = routePath.indexOf("/", segmentStart + 1)
+		if (segmentStart === -1) return "/"
+	}
+	return routePath.substring(segmentStart)
+}
+
 /**
  * Represents a node in the routing tree.
  *
@@ -488,33 +1333,122 @@ class RouteNode {
 	 * This constructor initializes the node's properties with empty objects or null values:
 	 *
 	 * - `handler`: An object to store handlers for different HTTP methods (e.g., GET, POST).
-	 * - `children`: An object to store child nodes representing nested routes.
-	 * - `param`: A reference to a child node representing a dynamic parameter segment.
-	 * - `paramName`: The name of the dynamic parameter, if applicable.
+	 * - `options`: An object to store the route options for each HTTP method.
+	 * - `children`: An object to store static child nodes representing nested routes.
+	 * - `params`: An array of child nodes representing dynamic parameter segments, constrained ones first.
+	 * - `wildcard`: A reference to a child node capturing the rest of the path.
+	 * - `segment`: The route path segment of this node as written in the route (e.g., "users", ":id(\\d+)", "*path").
+	 * - `path`: The route pattern leading to this node (e.g., "/users/:id(\\d+)"), empty for the root node.
+	 * - `paramName`: The name of the dynamic parameter or wildcard, if applicable.
+	 * - `constraint`: The regular expression a parameter value must match, if any.
 	 */
 	constructor() {
 		this.handler = Object.create(null) // Empty object for handlers
+		this.options = Object.create(null) // Empty object for route options
 		this.children = Object.create(null) // Empty object for child nodes
-		this.param = null // Initially no dynamic parameter
+		this.params = [] // Initially no dynamic parameters
+		this.wildcard = null // Initially no wildcard
+		this.segment = "" // The root node has no segment
+		this.path = "" // The root node has no path segments
 		this.paramName = null // Initially no parameter name
+		this.constraint = null // Initially no parameter constraint
+	}
+
+	/**
+	 * Lists the static, parameter and wildcard child nodes, in order of matching precedence.
+	 * @returns {RouteNode[]} - The child nodes
+	 */
+	childNodes() {
+		return [...Object.values(this.children), ...this.params, ...(this.wildcard ? [this.wildcard] : [])]
 	}
 }
 
 /**
- * Creates an HTTP server instance and attaches the provided router to handle incoming requests.
+ * Finds which registered method of a node handles a request method.
  *
- * This function utilizes the underlying `_createServer` function, which likely encapsulates
- * the actual server creation logic. It then wraps the router's `handleRequest` method in a
- * callback function and passes it to `_createServer`. This way, whenever a request arrives,
- * the router's `handleRequest` method will be responsible for handling it.
+ * A handler registered for the exact method comes first, then `HEAD` requests are
+ * handled by the `GET` handler (Node.js leaves out the body), then `all()` routes,
+ * which don't handle WebSocket upgrades.
  *
- * @param {Router} router - The router object to handle incoming requests
- * @returns {http.Server} - The created HTTP server instance
+ * @param {RouteNode} node - The node matching the request path
+ * @param {string} httpMethod - The HTTP method of the request
+ * @returns {string|undefined} - The key of the handler in `node.handler`, if any
  */
-function createServer(router) {
-	return _createServer((req, res) => {
-		router.handleRequest(req, res)
-	})
+function resolveHandlerMethod(node, httpMethod) {
+	if (node.handler[httpMethod]) return httpMethod
+	if (httpMethod === "HEAD" && node.handler.GET) return "GET"
+	if (node.handler.ALL && httpMethod !== webSocketMethod) return "ALL"
+}
+
+/**
+ * Lists the HTTP methods allowed on a node, for the `Allow` header.
+ * @param {RouteNode} node - The node matching the request path
+ * @returns {string[]} - The allowed methods
+ */
+function allowedMethods(node) {
+	if (node.handler.ALL) return standardMethods
+
+	const methods = new Set(Object.keys(node.handler))
+	methods.delete(webSocketMethod)
+	if (methods.has("GET")) methods.add("HEAD")
+	methods.add("OPTIONS")
+	return [...methods]
+}
+
+/**
+ * Parses a parameter (`:name`, `:name(regex)`, `:name?`) or wildcard (`*name`) route segment.
+ * @param {string} pathSegment - The segment as written in the route path
+ * @returns {{ name: string, constraint: RegExp|null, optional: boolean, wildcard: boolean }}
+ */
+function parseParamSegment(pathSegment) {
+	const wildcard = pathSegment[0] === "*"
+	const optional = !wildcard && pathSegment.endsWith("?")
+	const segment = optional ? pathSegment.slice(0, -1) : pathSegment
+
+	const constraintStart = segment.indexOf("(")
+	const hasConstraint = !wildcard && constraintStart !== -1 && segment.endsWith(")")
+
+	return {
+		name: segment.substring(1, hasConstraint ? constraintStart : undefined) || (wildcard ? "*" : ""),
+		constraint: hasConstraint
+			? new RegExp(`^(?:${segment.substring(constraintStart + 1, segment.length - 1)})$`)
+			: null,
+		optional,
+		wildcard,
+	}
+}
+
+/**
+ * Expands a route's optional parameter segments (`:name?`) into every combination of segments.
+ * @param {string[]} pathSegments - The segments of the route path
+ * @returns {string[][]} - The segments of each route to register, without optional markers
+ */
+function expandOptionalSegments(pathSegments) {
+	return pathSegments.reduce(
+		(combinations, pathSegment) => {
+			if (pathSegment[0] !== ":" || !pathSegment.endsWith("?")) {
+				return combinations.map((segments) => [...segments, pathSegment])
+			}
+
+			// Each combination is registered once without the segment and once with it
+			const requiredSegment = pathSegment.slice(0, -1)
+			return combinations.flatMap((segments) => [segments, [...segments, requiredSegment]])
+		},
+		[[]]
+	)
+}
+
+/**
+ * Decodes a percent-encoded path segment, keeping it as is when it's malformed.
+ * @param {string} pathSegment - The raw path segment
+ * @returns {string} - The decoded path segment
+ */
+function decodePathSegment(pathSegment) {
+	try {
+		return decodeURIComponent(pathSegment)
+	} catch {
+		return pathSegment
+	}
 }
 
 export { Router, createServer }
@@ -0,0 +1,107 @@
+// Import the serializer shared with the client
+import { deserialize, serialize } from "./static/serializer.js"
+
+/**
+ * Content type of RPC requests and responses, whose bodies are serialized with `static/serializer.js`.
+ */
+export const rpcContentType = "application/x-serialized+json"
+
+/**
+ * Error thrown by exposed functions, or raised while calling them, that is sent to the client.
+ *
+ * The client stub rejects with a `RemoteError` carrying the same name, code, message and details.
+ * Other errors thrown by exposed functions are logged and sent as a generic internal error.
+ */
+export class RPCError extends Error {
+	/**
+	 * @param {string} message - The error message, sent to the client
+	 * @param {object} [options={}] - The error options
+	 * @param {string} [options.code="RPC_ERROR"] - A machine-readable error code
+	 * @param {number} [options.status=400] - The HTTP status of the response
+	 * @param {*} [options.details] - Serializable details about the error
+	 */
+	constructor(message, { code = "RPC_ERROR", status = 400, details } = {}) {
+		super(message)
+		this.name = "RPCError"
+		this.code = code
+		this.status = status
+		this.details = details
+	}
+}
+
+/**
+ * Sends a serialized RPC response.
+ * @param {http.ServerResponse} res - The outgoing HTTP response object
+ * @param {number} status - The HTTP status code
+ * @param {object} payload - `{ result }` or `{ error }`
+ */
+const sendPayload = (res, status, payload) => {
+	res.status(status).type(rpcContentType).send(serialize(payload))
+}
+
+/**
+ * Sends an RPC error response.
+ * @param {http.ServerResponse} res - The outgoing HTTP response object
+ * @param {RPCError} error - The error to send
+ */
+const sendError = (res, { name, code, message, details, status }) => {
+	sendPayload(res, status, { error: { name, code, message, details } })
+}
+
+/**
+ * Creates the route handler calling the exposed functions.
+ *
+ * The request body is the serialized array of arguments. The function runs with
+ * `this` set to `{ req, res }`, and its (awaited) result is sent back serialized.
+ *
+ * @param {Map<string, { fn: function, options: object }>} exposedFunctions - The allow-list of callable functions, by name
+ * @returns {function} - The route handler for `POST <rpcPath>/:name`
+ */
+export const createRPCHandler = (exposedFunctions) => async (req, res) => {
+	const exposed = exposedFunctions.get(req.params.name)
+	if (!exposed) {
+		return sendError(
+			res,
+			new RPCError(`Function "${req.params.name}" is not exposed`, { code: "NOT_FOUND", status: 404 })
+		)
+	}
+
+	const contentType = String(req.headers["content-type"] || "")
+		.split(";")[0]
+		.trim()
+	if (contentType !== rpcContentType) {
+		return sendError(
+			res,
+			new RPCError(`RPC requests must be sent as ${rpcContentType}`, { code: "UNSUPPORTED_MEDIA_TYPE", status: 415 })
+		)
+	}
+
+	const { fn, options } = exposed
+	let args
+	try {
+		args = deserialize(req.body)
+	} catch {
+		return sendError(res, new RPCError("Malformed arguments", { code: "INVALID_ARGUMENTS" }))
+	}
+
+	try {
+		if (!Array.isArray(args)) {
+			throw new RPCError("Arguments must be an array", { code: "INVALID_ARGUMENTS" })
+		}
+		if (options.maxArgs !== undefined && args.length > options.maxArgs) {
+			throw new RPCError(`At most ${options.maxArgs} arguments are accepted`, { code: "INVALID_ARGUMENTS" })
+		}
+		if (options.validate && (await options.validate(args, req)) === false) {
+			throw new RPCError("Invalid arguments", { code: "INVALID_ARGUMENTS" })
+		}
+
+		const result = await fn.apply({ req, res }, args)
+		sendPayload(res, 200, { result })
+	} catch (error) {
+		if (error instanceof RPCError) return sendError(res, error)
+
+		// Don't leak the details of unexpected errors to the client
+		console.error(`Error in exposed function "${req.params.name}":`, error)
+		sendError(res, new RPCError("Internal Server Error", { code: "INTERNAL_ERROR", status: 500 }))
+	}
+}
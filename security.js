@@ -0,0 +1,232 @@
+// Import the generators of nonces and tokens
+import { randomBytes, timingSafeEqual } from "node:crypto"
+
+// Import the errors rejecting forbidden requests
+import { Forbidden } from "./httpErrors.js"
+
+/**
+ * Default Content-Security-Policy directives. `{nonce}` is replaced with the nonce of the request.
+ */
+export const defaultCSPDirectives = {
+	"default-src": ["'self'"],
+	"script-src": ["'self'", "'nonce-{nonce}'"],
+	"style-src": ["'self'"],
+	"img-src": ["'self'", "data:"],
+	"font-src": ["'self'"],
+	"connect-src": ["'self'"],
+	"object-src": ["'none'"],
+	"base-uri": ["'self'"],
+	"form-action": ["'self'"],
+	"frame-ancestors": ["'none'"],
+}
+
+/**
+ * Creates a middleware setting security headers on every response.
+ *
+ * Each request gets a random CSP nonce in `res.locals.nonce`, allowed by the default
+ * `script-src`. Rendered views receive it as `it.nonce` for their inline scripts, and it's
+ * added to the data transfer and live reload scripts.
+ *
+ * @param {object} [options={}] - The headers options, each header can be disabled with false
+ * @param {object|false} [options.contentSecurityPolicy] - CSP directives merged with `defaultCSPDirectives`,
+ *                                                          a null directive removing a default one
+ * @param {boolean} [options.reportOnly=false] - Send the CSP as `Content-Security-Policy-Report-Only`
+ * @param {object|false} [options.hsts] - `{ maxAge = 15552000, includeSubDomains = true, preload = false }`
+ * @param {string|false} [options.frameOptions="DENY"] - The `X-Frame-Options` header
+ * @param {string|false} [options.referrerPolicy="strict-origin-when-cross-origin"] - The `Referrer-Policy` header
+ * @param {string|false} [options.crossOriginOpenerPolicy="same-origin"] - The `Cross-Origin-Opener-Policy` header
+ * @returns {function} - The middleware
+ */
+export const securityHeaders = (options = {}) => {
+	const {
+		contentSecurityPolicy = {},
+		reportOnly = false,
+		hsts = {},
+		frameOptions = "DENY",
+		referrerPolicy = "strict-origin-when-cross-origin",
+		crossOriginOpenerPolicy = "same-origin",
+	} = options
+
+	// Build the policy once, only the nonce changes per request
+	const policy =
+		contentSecurityPolicy &&
+		Object.entries({ ...defaultCSPDirectives, ...contentSecurityPolicy })
+			.filter(([, sources]) => sources !== null && sources !== false)
+			.map(([directive, sources]) => [directive, ...[].concat(sources)].join(" "))
+			.join("; ")
+
+	const hstsHeader =
+		hsts &&
+		[
+			`max-age=${hsts.maxAge ?? 15552000}`,
+			hsts.includeSubDomains !== false && "includeSubDomains",
+			hsts.preload && "preload",
+		]
+			.filter(Boolean)
+			.join("; ")
+
+	return (req, res, next) => {
+		const nonce = randomBytes(16).toString("base64")
+		res.locals.nonce = nonce
+
+		if (policy) {
+			const header = reportOnly ? "Content-Security-Policy-Report-Only" : "Content-Security-Policy"
+			res.setHeader(header, policy.replaceAll("{nonce}", nonce))
+		}
+		if (hstsHeader) res.setHeader("Strict-Transport-Security", hstsHeader)
+		if (frameOptions) res.setHeader("X-Frame-Options", frameOptions)
+		if (referrerPolicy) res.setHeader("Referrer-Policy", referrerPolicy)
+		if (crossOriginOpenerPolicy) res.setHeader("Cross-Origin-Opener-Policy", crossOriginOpenerPolicy)
+		res.setHeader("X-Content-Type-Options", "nosniff")
+
+		next()
+	}
+}
+
+/**
+ * Creates a CORS middleware, answering the preflight requests of allowed origins.
+ *
+ * @example
+ * app.use("/api", cors({ origin: ["https://example.com"], credentials: true }))
+ *
+ * @param {object} [options={}] - The CORS options
+ * @param {string|string[]|RegExp|function} [options.origin="*"] - The allowed origins: "*", an origin, a list of origins,
+ *                                                                  a pattern, or a function receiving the origin and the request
+ * @param {string[]} [options.methods] - The allowed methods, GET, HEAD, POST, PUT, PATCH and DELETE by default
+ * @param {string[]} [options.allowedHeaders] - The allowed request headers, those asked by the preflight request by default
+ * @param {string[]} [options.exposedHeaders=[]] - The response headers readable by the client
+ * @param {boolean} [options.credentials=false] - Whether cookies and credentials are allowed
+ * @param {number} [options.maxAge=600] - How long browsers can cache the preflight response, in seconds
+ * @returns {function} - The middleware
+ */
+export const cors = (options = {}) => {
+	const {
+		origin = "*",
+		methods = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"],
+		allowedHeaders,
+		exposedHeaders = [],
+		credentials = false,
+		maxAge = 600,
+	} = options
+
+	/**
+	 * Checks whether an origin is allowed.
+	 */
+	const isAllowed = async (requestOrigin, req) => {
+		if (origin === "*") return true
+		if (typeof origin === "function") return origin(requestOrigin, req)
+		if (origin instanceof RegExp) return origin.test(requestOrigin)
+		return [].concat(origin).includes(requestOrigin)
+	}
+
+	return async (req, res, next) => {
+		const requestOrigin = req.headers.origin
+		// The response depends on the origin, unless every origin gets the same one
+		if (origin !== "*" || credentials) res.appendHeader("Vary", "Origin")
+
+		if (!requestOrigin || !(await isAllowed(requestOrigin, req))) return next()
+
+		// Credentials can't be used with the "*" wildcard, the origin is echoed instead
+		res.setHeader("Access-Control-Allow-Origin", origin === "*" && !credentials ? "*" : requestOrigin)
+		if (credentials) res.setHeader("Access-Control-Allow-Credentials", "true")
+		if (exposedHeaders.length) res.setHeader("Access-Control-Expose-Headers", exposedHeaders.join(", "))
+
+		const isPreflight = req.method === "OPTIONS" && req.headers["access-control-request-method"]
+		if (!isPreflight) return next()
+
+		res.setHeader("Access-Control-Allow-Methods", methods.join(", "))
+		const requestedHeaders = req.headers["access-control-request-headers"]
+		if (allowedHeaders || requestedHeaders) {
+			res.setHeader("Access-Control-Allow-Headers", allowedHeaders ? allowedHeaders.join(", ") : requestedHeaders)
+			if (!allowedHeaders) res.appendHeader("Vary", "Access-Control-Request-Headers")
+		}
+		res.setHeader("Access-Control-Max-Age", String(maxAge))
+		res.status(204).send()
+	}
+}
+
+/**
+ * Methods that don't change state, and so aren't checked for a CSRF token.
+ */
+const safeMethods = new Set(["GET", "HEAD", "OPTIONS"])
+
+/**
+ * Compares two tokens in constant time.
+ * @param {string} [a] - A token
+ * @param {string} [b] - Another token
+ * @returns {boolean}
+ */
+const tokensMatch = (a, b) => {
+	if (typeof a !== "string" || typeof b !== "string") return false
+	const bufferA = Buffer.from(a)
+	const bufferB = Buffer.from(b)
+	return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB)
+}
+
+/**
+ * Creates a middleware protecting the state-changing requests (POST, PUT, PATCH, DELETE) against CSRF.
+ *
+ * - "double-submit": the token is kept in a cookie, and sent back in a header or form field.
+ *   Other sites can't read the cookie, so they can't send the matching token.
+ * - "synchronizer": the token is kept in the session (see `session()`), which must run first.
+ *
+ * `req.csrfToken()` returns the token of the request, created on first use. Rendered views
+ * receive it as `it.csrfToken` for their forms (`<input type="hidden" name="_csrf">`), and
+ * it's transferred to the client, where the RPC stubs send it in the header.
+ *
+ * Requests matching no route aren't checked, so they get their 404. Forms are parsed with
+ * the `bodyLimit` of the matched route, see `addRoute()`.
+ *
+ * @param {object} [options={}] - The CSRF options
+ * @param {string} [options.mode="double-submit"] - "double-submit" or "synchronizer"
+ * @param {string} [options.cookie="csrf-token"] - The name of the token cookie, in double-submit mode
+ * @param {object} [options.cookieOptions={}] - The attributes of the token cookie, `sameSite: "Strict"` by default
+ * @param {string} [options.header="X-CSRF-Token"] - The request header carrying the token
+ * @param {string} [options.field="_csrf"] - The field of URL-encoded form bodies carrying the token
+ * @returns {function} - The middleware
+ */
+export const csrf = (options = {}) => {
+	const { mode = "double-submit", cookie = "csrf-token", header = "X-CSRF-Token", field = "_csrf" } = options
+	const cookieOptions = { sameSite: "Strict", ...options.cookieOptions }
+
+	if (mode !== "double-submit" && mode !== "synchronizer") {
+		throw new TypeError(`Unknown CSRF mode "${mode}", expected "double-submit" or "synchronizer"`)
+	}
+
+	return async (req, res, next) => {
+		if (mode === "synchronizer" && !req.session) {
+			throw new Error("CSRF synchronizer tokens need a session, use the session middleware before csrf()")
+		}
+
+		// Reads the token of the client, from the session or the cookie
+		const storedToken = () => (mode === "synchronizer" ? req.session.csrfToken : req.cookies[cookie])
+
+		req.csrfToken = () => {
+			let token = storedToken()
+			if (!token) {
+				token = randomBytes(32).toString("base64url")
+				if (mode === "synchronizer") req.session.csrfToken = token
+				else {
+					res.cookie(cookie, token, cookieOptions)
+					req.cookies[cookie] = token
+				}
+			}
+			return token
+		}
+		// Read by the view data and the data transfer
+		res.locals.csrf = { header, token: req.csrfToken }
+
+		// Nothing changes state on the paths without a route, they're answered with a 404
+		if (safeMethods.has(req.method) || !req.route) return next()
+
+		let sentToken = req.headers[header.toLowerCase()]
+		if (!sentToken && String(req.headers["content-type"]).startsWith("application/x-www-form-urlencoded")) {
+			// Parse the form before the route does, to read the token field
+			req.body = await res.app.bodyParser.parse(req, res, { limit: req.routeOptions.bodyLimit })
+			sentToken = req.body && req.body[field]
+		}
+
+		if (!tokensMatch(sentToken, storedToken())) throw new Forbidden("Invalid CSRF token")
+		next()
+	}
+}
@@ -0,0 +1,238 @@
+// Import the built-in HTTP server module
+import { createServer as _createServer } from "node:http"
+
+// Import the error answering requests whose body is too slow
+import { RequestTimeout, sendError } from "./httpErrors.js"
+
+/**
+ * Answers a health check request with a JSON status.
+ * @param {http.ServerResponse} res - The outgoing HTTP response object
+ * @param {number} statusCode - The HTTP status code
+ * @param {string} status - The reported status
+ */
+const sendHealth = (res, statusCode, status) => {
+	const body = JSON.stringify({ status })
+	res.writeHead(statusCode, {
+		"Content-Type": "application/json; charset=utf-8",
+		"Content-Length": Buffer.byteLength(body),
+		"Cache-Control": "no-store",
+	})
+	res.end(body)
+}
+
+/**
+ * Creates an HTTP server instance and attaches the provided router to handle incoming requests.
+ *
+ * Requests are passed to the router's `handleRequest` method, and upgrade requests to its
+ * `handleUpgrade` method, for its WebSocket routes. The server keeps track of the requests
+ * in flight, until both their handler is done and their response is closed, so it can
+ * shut down without cutting them off:
+ *
+ * `server.shutdown({ timeout })` stops accepting connections and emits a "draining" event on the
+ * server (for the app to close its long-lived streams, e.g. `channel.close()`). The responses
+ * still to come are sent with `Connection: close`, idle keep-alive connections are closed and
+ * the open WebSockets are closed with a 1001 code. The returned promise resolves once the
+ * in-flight requests and the WebSockets are done, the connections left being closed when the
+ * timeout elapses. `server.close(callback)` shuts down the same way, but returns the server
+ * like the native method. While the server listens, SIGTERM and SIGINT shut it down and exit
+ * the process; a second signal exits right away.
+ *
+ * Health checks are answered before routing: the liveness endpoint always answers 200, the
+ * readiness endpoint answers 503 while draining or when `readinessCheck` returns false.
+ *
+ * @example
+ * const server = createServer(app, { bodyTimeout: 10000 }).listen(5000)
+ * server.on("draining", () => liveValues.close())
+ *
+ * @param {Router} router - The router object to handle incoming requests
+ * @param {object} [options={}] - The server options
+ * @param {number} [options.headersTimeout=60000] - Time allowed to receive the request headers, in milliseconds
+ * @param {number} [options.requestTimeout=300000] - Time allowed to receive the whole request, in milliseconds
+ * @param {number} [options.keepAliveTimeout=5000] - Time an idle keep-alive connection stays open, in milliseconds
+ * @param {number} [options.bodyTimeout=30000] - Time allowed to receive a request body, answered with a 408 when
+ *                                               exceeded, 0 to disable
+ * @param {number} [options.shutdownTimeout=10000] - Default time `shutdown()` waits for the in-flight requests
+ * @param {string[]|false} [options.signals=["SIGTERM", "SIGINT"]] - Process signals closing the listening server
+ * @param {string|false} [options.livenessPath="/livez"] - The path of the liveness endpoint
+ * @param {string|false} [options.readinessPath="/readyz"] - The path of the readiness endpoint
+ * @param {function} [options.readinessCheck] - Async function returning false when the app can't serve
+ *                                              requests yet, e.g. until the database is connected
+ * @returns {http.Server} - The created HTTP server instance
+ */
+export function createServer(router, options = {}) {
+	const {
+		headersTimeout = 60000,
+		requestTimeout = 300000,
+		keepAliveTimeout = 5000,
+		bodyTimeout = 30000,
+		shutdownTimeout = 10000,
+		signals = ["SIGTERM", "SIGINT"],
+		livenessPath = "/livez",
+		readinessPath = "/readyz",
+		readinessCheck,
+	} = options
+
+	// Work of the requests in flight, by response
+	const inFlight = new Map()
+	// Closing of the upgraded connections, by upgrade request
+	const upgrades = new Map()
+	let draining = false
+	let closing = null
+
+	/**
+	 * Tracks a request until its handler is done and its response is closed.
+	 * @param {http.ServerResponse} res - The outgoing HTTP response object
+	 * @param {Promise} handling - The promise returned by the router
+	 */
+	const track = (res, handling) => {
+		const closed = new Promise((resolve) => res.once("close", resolve))
+		const work = Promise.all([handling, closed]).finally(() => inFlight.delete(res))
+		inFlight.set(res, work)
+	}
+
+	/**
+	 * Answers with a 408 the requests whose body isn't received in time.
+	 * @param {http.IncomingMessage} req - The incoming HTTP request object
+	 * @param {http.ServerResponse} res - The outgoing HTTP response object
+	 */
+	const limitBodyTime = (req, res) => {
+		const hasBody = req.headers["transfer-encoding"] || Number(req.headers["content-length"])
+		if (!bodyTimeout || !hasBody) return
+
+		const timer = setTimeout(() => {
+			if (res.headersSent) return req.socket.destroy()
+			// The body is abandoned, so the connection can't be reused
+			sendError(req, res, new RequestTimeout("Request body timeout", { headers: { Connection: "close" } }))
+			res.once("finish", () => req.socket.destroy())
+		}, bodyTimeout)
+		req.once("end", () => clearTimeout(timer))
+		res.once("close", () => clearTimeout(timer))
+	}
+
+	const server = _createServer(async (req, res) => {
+		if (draining) res.setHeader("Connection", "close")
+
+		const path = req.url.split("?")[0]
+		if (livenessPath && path === livenessPath) return sendHealth(res, 200, "ok")
+		if (readinessPath && path === readinessPath) {
+			if (draining) return sendHealth(res, 503, "draining")
+			const ready = readinessCheck ? await Promise.resolve(readinessCheck()).catch(() => false) : true
+			return ready === false ? sendHealth(res, 503, "unavailable") : sendHealth(res, 200, "ready")
+		}
+
+		limitBodyTime(req, res)
+		track(res, router.handleRequest(req, res))
+	})
+	server.on("upgrade", async (req, socket, head) => {
+		upgrades.set(
+			req,
+			new Promise((resolve) => socket.once("close", resolve)).finally(() => upgrades.delete(req))
+		)
+		await router.handleUpgrade(req, socket, head)
+		// The connection was accepted while the server was shutting down
+		if (draining) closeWebSocket(req)
+	})
+
+	server.headersTimeout = headersTimeout
+	server.requestTimeout = requestTimeout
+	server.keepAliveTimeout = keepAliveTimeout
+
+	/**
+	 * Asks the client of an upgraded connection to go away.
+	 * @param {http.IncomingMessage} req - The upgrade request
+	 */
+	const closeWebSocket = (req) => {
+		if (req.webSocket) req.webSocket.close(1001, "Server shutting down")
+	}
+
+	/**
+	 * Stops accepting connections, then waits for the in-flight requests and the WebSockets.
+	 * @param {number} timeout - Time to wait before closing the connections left, in milliseconds
+	 * @returns {Promise<void>} - Resolves once every connection is closed
+	 */
+	const drain = async (timeout) => {
+		draining = true
+		server.emit("draining")
+
+		// Don't keep the connections of the pending responses alive
+		for (const res of inFlight.keys()) {
+			if (!res.headersSent) res.setHeader("Connection", "close")
+		}
+		for (const req of upgrades.keys()) closeWebSocket(req)
+
+		const closed = new Promise((resolve) => closeServer(resolve))
+		let timer
+		let hasTimedOut = false
+		const timedOut = new Promise((resolve) => {
+			timer = setTimeout(() => {
+				hasTimedOut = true
+				resolve()
+			}, timeout)
+		})
+
+		// Requests can still arrive on the connections kept alive, until their response closes them
+		while ((inFlight.size || upgrades.size) && !hasTimedOut) {
+			await Promise.race([Promise.all([...inFlight.values(), ...upgrades.values()]), timedOut])
+		}
+		// Connections still open are either idle or stuck past the timeout
+		server.closeAllConnections()
+		for (const req of upgrades.keys()) req.socket.destroy()
+		clearTimeout(timer)
+		await closed
+	}
+
+	const closeServer = server.close.bind(server)
+
+	/**
+	 * Shuts the server down gracefully, see `createServer()`.
+	 * @param {object} [shutdownOptions={}] - The shutdown options
+	 * @param {number} [shutdownOptions.timeout] - Time to wait for the in-flight requests, `shutdownTimeout` by default
+	 * @returns {Promise<void>} - Resolves once the server is closed, rejects if it wasn't running
+	 */
+	server.shutdown = (shutdownOptions = {}) => {
+		if (!closing && !server.listening) {
+			const error = new Error("Server is not running")
+			error.code = "ERR_SERVER_NOT_RUNNING"
+			return Promise.reject(error)
+		}
+
+		if (!closing) closing = drain(shutdownOptions.timeout ?? shutdownTimeout)
+		return closing
+	}
+
+	/**
+	 * Shuts the server down gracefully, like `shutdown()` with the default timeout.
+	 * @param {function} [callback] - Called once the server is closed, with an error if it wasn't running
+	 * @returns {http.Server} - The server
+	 */
+	server.close = (callback) => {
+		server.shutdown().then(() => callback && callback(), callback || (() => {}))
+		return server
+	}
+
+	if (signals) {
+		const onSignal = () => {
+			// A second signal doesn't wait for the requests anymore
+			if (closing) process.exit(1)
+			server.shutdown().then(
+				() => process.exit(0),
+				(error) => {
+					console.error("Failed to close the server:", error)
+					process.exit(1)
+				}
+			)
+		}
+		// Only a listening server owns the process, e.g. not one created by tests
+		server.on("listening", () => {
+			for (const signal of signals) {
+				process.off(signal, onSignal)
+				process.on(signal, onSignal)
+			}
+		})
+		server.on("close", () => {
+			for (const signal of signals) process.off(signal, onSignal)
+		})
+	}
+
+	return server
+}
@@ -0,0 +1,325 @@
+// Import the generator of session IDs
+import { randomBytes, randomUUID } from "node:crypto"
+
+// Import the file functions of the file store
+import { mkdir, readdir, readFile, rename, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import path from "node:path"
+
+// Import the signature of the session cookie
+import { signCookie, unsignCookie } from "./cookies.js"
+
+/**
+ * Session IDs are 32 random bytes in base64url.
+ */
+const sessionIdPattern = /^[\w-]{43}$/
+
+/**
+ * Generates a new session ID.
+ * @returns {string}
+ */
+const generateSessionId = () => randomBytes(32).toString("base64url")
+
+/**
+ * Session store keeping the sessions in memory, for development and single-process apps.
+ *
+ * Expired sessions are evicted when read, and swept periodically.
+ */
+export class MemorySessionStore {
+	/**
+	 * @param {object} [options={}] - The store options
+	 * @param {number} [options.pruneInterval=60] - The interval of the sweeps in seconds
+	 */
+	constructor({ pruneInterval = 60 } = {}) {
+		this.sessions = new Map()
+
+		this.pruneTimer = setInterval(() => this.prune(), pruneInterval * 1000)
+		this.pruneTimer.unref()
+	}
+
+	/**
+	 * Reads a session.
+	 * @param {string} id - The session ID
+	 * @returns {object|undefined} - The session data, or undefined if it doesn't exist or expired
+	 */
+	get(id) {
+		const entry = this.sessions.get(id)
+		if (!entry) return undefined
+
+		if (entry.expires <= Date.now()) {
+			this.sessions.delete(id)
+			return undefined
+		}
+		// Return a copy, so changes are only kept when the session is saved
+		return JSON.parse(entry.data)
+	}
+
+	/**
+	 * Saves a session.
+	 * @param {string} id - The session ID
+	 * @param {object} data - The session data, serializable as JSON
+	 * @param {number} ttl - The lifetime of the session in seconds
+	 */
+	set(id, data, ttl) {
+		this.sessions.set(id, { data: JSON.stringify(data), expires: Date.now() + ttl * 1000 })
+	}
+
+	/**
+	 * Deletes a session.
+	 * @param {string} id - The session ID
+	 */
+	destroy(id) {
+		this.sessions.delete(id)
+	}
+
+	/**
+	 * Evicts the expired sessions.
+	 */
+	prune() {
+		const now = Date.now()
+		for (const [id, entry] of this.sessions) {
+			if (entry.expires <= now) this.sessions.delete(id)
+		}
+	}
+
+	/**
+	 * Stops the sweeps.
+	 */
+	close() {
+		clearInterval(this.pruneTimer)
+	}
+}
+
+/**
+ * Session store keeping each session in a JSON file, so sessions survive restarts.
+ *
+ * Expired sessions are removed when read, and swept periodically.
+ */
+export class FileStore {
+	/**
+	 * @param {object} [options={}] - The store options
+	 * @param {string} [options.directory] - The directory of the session files, "sessions" in the OS temporary directory by default
+	 * @param {number} [options.pruneInterval=3600] - The interval of the sweeps in seconds
+	 */
+	constructor({ directory = path.join(tmpdir(), "sessions"), pruneInterval = 3600 } = {}) {
+		this.directory = path.resolve(directory)
+		this.ready = mkdir(this.directory, { recursive: true })
+
+		this.pruneTimer = setInterval(() => this.prune().catch(() => {}), pruneInterval * 1000)
+		this.pruneTimer.unref()
+	}
+
+	/**
+	 * Gets the path of a session file.
+	 * @param {string} id - The session ID
+	 * @returns {string}
+	 */
+	filePath(id) {
+		// The ID comes from a cookie, never let it point outside of the directory
+		if (!sessionIdPattern.test(id)) throw new Error("Invalid session ID")
+		return path.join(this.directory, `${id}.json`)
+	}
+
+	/**
+	 * Reads a session.
+	 * @param {string} id - The session ID
+	 * @returns {Promise<object|undefined>} - The session data, or undefined if it doesn't exist or expired
+	 */
+	async get(id) {
+		await this.ready
+		let entry
+		try {
+			entry = JSON.parse(await readFile(this.filePath(id), "utf8"))
+		} catch {
+			return undefined
+		}
+
+		if (entry.expires <= Date.now()) {
+			await this.destroy(id)
+			return undefined
+		}
+		return entry.data
+	}
+
+	/**
+	 * Saves a session, writing a temporary file first so a crash never leaves a truncated session.
+	 *
+	 * Each save has its own temporary file, concurrent saves of a session never mix their writes.
+	 * @param {string} id - The session ID
+	 * @param {object} data - The session data, serializable as JSON
+	 * @param {number} ttl - The lifetime of the session in seconds
+	 */
+	async set(id, data, ttl) {
+		await this.ready
+		const filePath = this.filePath(id)
+		const temporaryPath = `${filePath}.${randomUUID()}.tmp`
+		await writeFile(temporaryPath, JSON.stringify({ data, expires: Date.now() + ttl * 1000 }))
+		await rename(temporaryPath, filePath)
+	}
+
+	/**
+	 * Deletes a session.
+	 * @param {string} id - The session ID
+	 */
+	async destroy(id) {
+		await rm(this.filePath(id), { force: true })
+	}
+
+	/**
+	 * Removes the expired sessions.
+	 */
+	async prune() {
+		await this.ready
+		for (const fileName of await readdir(this.directory)) {
+			if (fileName.endsWith(".json")) await this.get(fileName.slice(0, -5))
+		}
+	}
+
+	/**
+	 * Stops the sweeps.
+	 */
+	close() {
+		clearInterval(this.pruneTimer)
+	}
+}
+
+/**
+ * The session of a request, available as `req.session`.
+ *
+ * The session data are the own properties of the object, e.g. `req.session.userId = 5`,
+ * and must be serializable as JSON. The session is saved when the response ends if its
+ * data changed.
+ */
+export class Session {
+	#id
+	#manager
+
+	/**
+	 * @param {string} id - The session ID
+	 * @param {object} data - The session data
+	 * @param {object} manager - The state shared with the session middleware
+	 */
+	constructor(id, data, manager) {
+		this.#id = id
+		this.#manager = manager
+		Object.assign(this, data)
+	}
+
+	/**
+	 * The session ID.
+	 * @returns {string}
+	 */
+	get id() {
+		return this.#id
+	}
+
+	/**
+	 * Gives the session a new ID, keeping its data, and deletes the old one from the store.
+	 *
+	 * Call it when the privileges of the user change (login, logout, role change), so an
+	 * attacker who planted or stole the previous session ID can't use it.
+	 */
+	async regenerate() {
+		await this.#manager.store.destroy(this.#id)
+		this.#id = generateSessionId()
+		this.#manager.regenerated = true
+	}
+
+	/**
+	 * Deletes the session from the store and clears its cookie.
+	 */
+	async destroy() {
+		await this.#manager.store.destroy(this.#id)
+		for (const key of Object.keys(this)) delete this[key]
+		this.#manager.destroyed = true
+	}
+}
+
+/**
+ * Creates a middleware loading the session of each request into `req.session`.
+ *
+ * The session ID is kept in a signed, HTTP-only cookie. New sessions are only stored, and
+ * their cookie only sent, once they hold data.
+ *
+ * @example
+ * app.use(session({ secrets: [process.env.SESSION_SECRET], store: new FileStore() }))
+ * app.post("/login", async (req, res) => {
+ * 	await req.session.regenerate()
+ * 	req.session.userId = user.id
+ * 	res.redirect("/")
+ * })
+ *
+ * @param {object} [options={}] - The session options
+ * @param {object} [options.store] - The session store, with `get(id)`, `set(id, data, ttl)` and `destroy(id)`
+ *                                   methods that can be async, a `MemorySessionStore` by default
+ * @param {string[]} [options.secrets] - The secret keys signing the session cookie, the app's cookie secrets by default
+ * @param {string} [options.name="sid"] - The name of the session cookie
+ * @param {number} [options.ttl=86400] - The lifetime of the sessions in seconds
+ * @param {boolean} [options.rolling=false] - Whether every response extends the session, instead of only the changes
+ * @param {object} [options.cookie={}] - The attributes of the session cookie, `httpOnly` and `sameSite: "Lax"` by default
+ * @returns {function} - The session middleware
+ * @throws {TypeError} - If `secrets` is given but empty
+ */
+export const session = (options = {}) => {
+	const { store = new MemorySessionStore(), name = "sid", ttl = 86400, rolling = false } = options
+	const cookieOptions = { httpOnly: true, sameSite: "Lax", ...options.cookie, maxAge: ttl }
+
+	if (options.secrets && !options.secrets.length) {
+		throw new TypeError("session() needs at least one secret to sign its cookie")
+	}
+
+	// Sessions being saved, the next requests of a session wait for its save to read it
+	const pendingSaves = new Map()
+
+	return async (req, res, next) => {
+		const secrets = options.secrets || res.app.cookieSecrets
+		if (!secrets.length) {
+			throw new Error(
+				"session() needs secrets to sign its cookie, pass `secrets` or call setCookieSecrets() on the router"
+			)
+		}
+
+		const cookieId = unsignCookie(req.cookies[name], secrets)
+		if (cookieId) await pendingSaves.get(cookieId)
+		const storedData = cookieId && sessionIdPattern.test(cookieId) ? await store.get(cookieId) : undefined
+
+		const manager = { store, regenerated: false, destroyed: false }
+		req.session = new Session(storedData ? cookieId : generateSessionId(), storedData || {}, manager)
+
+		const isNew = !storedData
+		const initialData = JSON.stringify(storedData || {})
+		const isModified = () => JSON.stringify(req.session) !== initialData
+
+		// Set the cookie with the headers, the session is only saved once the response ends
+		const writeHead = res.writeHead
+		res.writeHead = function (...args) {
+			if (manager.destroyed) {
+				if (!isNew) res.clearCookie(name, cookieOptions)
+			} else if (manager.regenerated || rolling || isModified()) {
+				res.cookie(name, signCookie(req.session.id, secrets), cookieOptions)
+			}
+			return writeHead.apply(this, args)
+		}
+
+		const end = res.end
+		let ended = false
+		res.end = function (...args) {
+			const shouldSave = !manager.destroyed && (manager.regenerated || isModified() || (rolling && !isNew))
+			if (!ended && shouldSave) {
+				const { id } = req.session
+				const data = { ...req.session }
+				const saving = Promise.resolve()
+					.then(() => store.set(id, data, ttl))
+					.catch((error) => console.error("Failed to save the session:", error))
+				pendingSaves.set(id, saving)
+				saving.then(() => {
+					if (pendingSaves.get(id) === saving) pendingSaves.delete(id)
+				})
+			}
+			ended = true
+			return end.apply(this, args)
+		}
+
+		next()
+	}
+}
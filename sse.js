@@ -0,0 +1,183 @@
+// Import the serializer shared with the client
+import { serialize } from "./static/serializer.js"
+
+/**
+ * A Server-Sent Events stream to one client.
+ *
+ * Event data is serialized with `static/serializer.js`, so any transferable value can be
+ * sent, and `subscribe()` from `static/liveValues.js` deserializes it on the client.
+ */
+export class EventStream {
+	/**
+	 * @param {http.IncomingMessage} req - The incoming HTTP request object
+	 * @param {http.ServerResponse} res - The outgoing HTTP response object
+	 */
+	constructor(req, res) {
+		this.req = req
+		this.res = res
+		this.closed = false
+		// The id of the last event received by the client before reconnecting, if any
+		this.lastEventId = req.headers["last-event-id"] || req.queryParams.get("lastEventId") || null
+		this.closeListeners = []
+
+		res.once("close", () => {
+			this.closed = true
+			for (const listener of this.closeListeners) listener()
+			this.closeListeners = []
+		})
+	}
+
+	/**
+	 * Sends an event.
+	 * @param {string} event - The event name, e.g. the name of a live value
+	 * @param {*} data - The event data, any serializable value
+	 * @param {string|number} [id] - The event id, sent back by the client as `Last-Event-ID` when reconnecting
+	 * @returns {boolean} - False if the stream is closed
+	 */
+	send(event, data, id) {
+		return this.write(formatEvent(event, serialize(data), id))
+	}
+
+	/**
+	 * Sends a comment, ignored by the client but keeping the connection alive through proxies.
+	 * @param {string} [text=""] - The comment
+	 * @returns {boolean} - False if the stream is closed
+	 */
+	comment(text = "") {
+		return this.write(`: ${text}\n\n`)
+	}
+
+	/**
+	 * Writes a raw chunk to the stream.
+	 * @param {string} chunk - The chunk, in the event stream format
+	 * @returns {boolean} - False if the stream is closed
+	 */
+	write(chunk) {
+		if (this.closed) return false
+		this.res.write(chunk)
+		return true
+	}
+
+	/**
+	 * Registers a function called when the client disconnects or the stream is closed.
+	 * @param {function} listener - The function to call
+	 * @returns {EventStream} - The stream for chaining
+	 */
+	onClose(listener) {
+		if (this.closed) listener()
+		else this.closeListeners.push(listener)
+		return this
+	}
+
+	/**
+	 * Ends the stream. Clients reconnect after the retry delay unless the server answers with 204.
+	 */
+	close() {
+		if (!this.closed) this.res.end()
+	}
+}
+
+/**
+ * The connected clients of a Server-Sent Events route, returned by `app.sse()`.
+ *
+ * Broadcast events get increasing ids and are kept in a bounded history, so clients
+ * reconnecting with `Last-Event-ID` receive the events they missed.
+ */
+export class EventChannel {
+	/**
+	 * @param {object} [options={}] - The channel options
+	 * @param {number} [options.heartbeat=30000] - The interval of the heartbeat comments in milliseconds, 0 to disable
+	 * @param {number} [options.retry=1000] - The reconnection delay of the clients in milliseconds
+	 * @param {number} [options.historySize=100] - The number of broadcast events kept for resuming clients
+	 */
+	constructor({ heartbeat = 30000, retry = 1000, historySize = 100 } = {}) {
+		this.streams = new Set()
+		this.retry = retry
+		this.historySize = historySize
+		this.history = []
+		this.lastId = 0
+
+		// Keep the connections alive through proxies
+		if (heartbeat) {
+			this.heartbeat = setInterval(() => {
+				for (const stream of this.streams) stream.comment("heartbeat")
+			}, heartbeat)
+			this.heartbeat.unref()
+		}
+	}
+
+	/**
+	 * Opens the event stream of a request, replays the missed events and calls the route handler.
+	 * @param {http.IncomingMessage} req - The incoming HTTP request object
+	 * @param {http.ServerResponse} res - The outgoing HTTP response object
+	 * @param {function} handler - The route handler, receiving `(req, stream)`
+	 */
+	async connect(req, res, handler) {
+		res.writeHead(200, {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+			// Disable response buffering by nginx
+			"X-Accel-Buffering": "no",
+		})
+
+		// HEAD requests only get the headers
+		if (req.method === "HEAD") return res.end()
+
+		res.write(`retry: ${this.retry}\n\n`)
+
+		const stream = new EventStream(req, res)
+		this.streams.add(stream)
+		stream.onClose(() => this.streams.delete(stream))
+
+		// Replay the broadcast events sent since the last one a resuming client received
+		const lastEventId = stream.lastEventId === null ? NaN : Number(stream.lastEventId)
+		if (Number.isInteger(lastEventId)) {
+			for (const entry of this.history) {
+				if (entry.id > lastEventId) stream.write(entry.chunk)
+			}
+		}
+
+		if (handler) await handler(req, stream)
+	}
+
+	/**
+	 * Sends an event to every connected client.
+	 * @param {string} event - The event name
+	 * @param {*} data - The event data, any serializable value
+	 * @returns {number} - The id of the event
+	 */
+	broadcast(event, data) {
+		const id = ++this.lastId
+		const chunk = formatEvent(event, serialize(data), id)
+
+		this.history.push({ id, chunk })
+		if (this.history.length > this.historySize) this.history.shift()
+
+		for (const stream of this.streams) stream.write(chunk)
+		return id
+	}
+
+	/**
+	 * Stops the heartbeat and closes every stream.
+	 */
+	close() {
+		clearInterval(this.heartbeat)
+		for (const stream of this.streams) stream.close()
+		this.streams.clear()
+	}
+}
+
+/**
+ * Formats an event in the event stream format.
+ * @param {string} event - The event name
+ * @param {string} data - The event data, split in one `data` field per line
+ * @param {string|number} [id] - The event id
+ * @returns {string} - The event chunk
+ */
+const formatEvent = (event, data, id) => {
+	let chunk = id === undefined ? "" : `id: ${id}\n`
+	chunk += `event: ${event}\n`
+	for (const line of data.split(/\r\n|\r|\n/)) chunk += `data: ${line}\n`
+	return `${chunk}\n`
+}
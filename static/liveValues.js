@@ -0,0 +1,37 @@
+import { deserialize } from "./serializer.js"
+
+/*
+ * Event sources, by path, shared by the subscriptions to the same stream.
+ */
+const eventSources = new Map()
+
+/*
+ * Subscribes to a value pushed by the server with Server-Sent Events (see `app.sse()`).
+ * @param {string} name - The name of the value, the event name used by the server.
+ * @param {function(*): void} callback - Called with each new (deserialized) value.
+ * @param {Object} [options={}] - The subscription options.
+ * @param {string} [options.path="/events"] - The path of the event stream.
+ * @returns {function(): void} - A function ending the subscription.
+ */
+export const subscribe = (name, callback, { path = "/events" } = {}) => {
+	let source = eventSources.get(path)
+	if (!source) {
+		source = new EventSource(path)
+		source.subscriptions = 0
+		eventSources.set(path, source)
+	}
+
+	const listener = (event) => callback(deserialize(event.data))
+	source.addEventListener(name, listener)
+	source.subscriptions++
+
+	return () => {
+		source.removeEventListener(name, listener)
+
+		// Close the connection with the last subscription
+		if (--source.subscriptions === 0) {
+			source.close()
+			eventSources.delete(path)
+		}
+	}
+}
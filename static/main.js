@@ -1,26 +1,41 @@
-import { parseHiddenJSON } from "./parseHiddenJSON.js"
+import { getRemoteFunction } from "./rpc.js"
+import { getTransferred } from "./transfer.js"
+import { subscribe } from "./liveValues.js"
 
-// 3. Retrieve hidden JSON data from a DOM element, parse it, and remove the element from the DOM
-const greeting = parseHiddenJSON("greeting")
-const continents = parseHiddenJSON("continents")
+// 3. Retrieve the values and functions transferred by the server
+const continents = getTransferred("continents", [])
+const greeting = getRemoteFunction("greeting")
 
 // Get greeting heading element
 const greetingHeading = document.getElementById("greeting-heading")
 
-// Use the greeting function as the inner text of the greeting heading
-greetingHeading.innerText = greeting
+// Call the greeting function on the server and use its result as the inner text of the greeting heading
+greetingHeading.innerText = await greeting()
 
 // Get the continents' list element
 const continentsList = document.getElementById("continents-list")
 
-// Display each continent as a list item in the continents' list
-continents.forEach((continent) => {
-	// Create a list item element for each continent
-	let listItem = document.createElement("li")
+/**
+ * Displays each continent as a list item in the continents' list
+ * @param {string[]} continents - The continents to display
+ */
+const renderContinents = (continents) => {
+	// Remove the continents displayed before
+	continentsList.replaceChildren()
 
-	// Set the continent's name as the inner text of the created list item
-	listItem.innerText = continent
+	continents.forEach((continent) => {
+		// Create a list item element for each continent
+		let listItem = document.createElement("li")
 
-	// Append the list item to the continents' list element
-	continentsList.append(listItem)
-})
+		// Set the continent's name as the inner text of the created list item
+		listItem.innerText = continent
+
+		// Append the list item to the continents' list element
+		continentsList.append(listItem)
+	})
+}
+
+renderContinents(continents)
+
+// 4. Update the continents' list when the server pushes a new value
+subscribe("continents", renderContinents)
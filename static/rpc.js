@@ -0,0 +1,89 @@
+import { deserialize, serialize } from "./serializer.js"
+import { getTransferred } from "./transfer.js"
+
+/*
+ * Content type of RPC requests and responses.
+ */
+const rpcContentType = "application/x-serialized+json"
+
+/*
+ * Error rejected by remote function stubs when the server call fails.
+ */
+export class RemoteError extends Error {
+	/*
+	 * @param {Object} error - The error sent by the server.
+	 * @param {string} error.name - The name of the error on the server.
+	 * @param {string} error.code - A machine-readable error code.
+	 * @param {string} error.message - The error message.
+	 * @param {*} [error.details] - Details about the error.
+	 * @param {number} status - The HTTP status of the response.
+	 */
+	constructor({ name, code, message, details }, status) {
+		super(message)
+		this.name = "RemoteError"
+		this.remoteName = name
+		this.code = code
+		this.details = details
+		this.status = status
+	}
+}
+
+/*
+ * Reads the names and endpoint of the functions exposed by the server.
+ * @returns {{ endpoint: string, functions: string[] }}
+ */
+const getExposedFunctions = () => getTransferred("__rpc", { endpoint: "/__rpc", functions: [] })
+
+/*
+ * Builds the headers of RPC requests, with the CSRF token transferred by the server if any.
+ * @returns {Object} - The request headers.
+ */
+const getRequestHeaders = () => {
+	const headers = { "Content-Type": rpcContentType, Accept: rpcContentType }
+	// The token is only transferred when the server protects its routes with `csrf()`
+	const csrf = getTransferred("__csrf", {})
+	if (csrf.header) headers[csrf.header] = csrf.token
+	return headers
+}
+
+/*
+ * Creates a stub calling a function exposed by the server with `app.expose()`.
+ * @param {string} name - The name of the exposed function.
+ * @returns {function(...*): Promise<*>} - An async function sending its arguments to the server,
+ *                                         resolving with the result or rejecting with a `RemoteError`.
+ * @throws {Error} - If the server doesn't expose a function with this name.
+ */
+export const getRemoteFunction = (name) => {
+	const { endpoint, functions } = getExposedFunctions()
+
+	if (!functions.includes(name)) {
+		throw new Error(
+			`Function "${name}" is not exposed by the server (exposed functions: ${functions.join(", ") || "none"}).`
+		)
+	}
+
+	return async (...args) => {
+		const response = await fetch(`${endpoint}/${encodeURIComponent(name)}`, {
+			method: "POST",
+			headers: getRequestHeaders(),
+			body: serialize(args),
+		})
+
+		// Errors raised before reaching the function (e.g. a body too large) are not serialized
+		if (!(response.headers.get("Content-Type") || "").startsWith(rpcContentType)) {
+			throw new RemoteError({ name: "Error", code: "HTTP_ERROR", message: await response.text() }, response.status)
+		}
+
+		const payload = deserialize(await response.text())
+		if (payload.error) throw new RemoteError(payload.error, response.status)
+
+		return payload.result
+	}
+}
+
+/*
+ * Creates stubs for every function exposed by the server.
+ * @returns {Object} - The stubs, by function name.
+ */
+export const getRemoteFunctions = () =>
+	Object.fromEntries(getExposedFunctions().functions.map((name) => [name, getRemoteFunction(name)]))
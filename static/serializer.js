@@ -0,0 +1,250 @@
+/*
+ * Serializer and deserializer for values transferred between the server and the client.
+ *
+ * Unlike JSON, they round-trip `undefined`, `NaN`, `Infinity`, `-0`, BigInt, Dates, Maps,
+ * Sets, RegExps, URLs, Errors, typed arrays, sparse arrays, repeated references and
+ * circular references. This module has no dependency, so it's shared by the server
+ * (data transfer and RPC) and the browser.
+ *
+ * The serialized form is a JSON array of nodes, the root value being the first one.
+ * Objects and arrays reference their members by node index, so each object is only
+ * serialized once however many times it's referenced. Special values that have no node
+ * are encoded as negative indexes. A value that has no node at all (e.g. `undefined`)
+ * is serialized as its negative index alone.
+ */
+
+const UNDEFINED = -1
+const HOLE = -2
+const NAN = -3
+const POSITIVE_INFINITY = -4
+const NEGATIVE_INFINITY = -5
+const NEGATIVE_ZERO = -6
+
+/*
+ * Values of the special negative indexes.
+ */
+const specialValues = {
+	[UNDEFINED]: undefined,
+	[NAN]: NaN,
+	[POSITIVE_INFINITY]: Infinity,
+	[NEGATIVE_INFINITY]: -Infinity,
+	[NEGATIVE_ZERO]: -0,
+}
+
+/*
+ * Typed array constructors, by name.
+ */
+const typedArrays = {
+	Int8Array,
+	Uint8Array,
+	Uint8ClampedArray,
+	Int16Array,
+	Uint16Array,
+	Int32Array,
+	Uint32Array,
+	Float32Array,
+	Float64Array,
+	BigInt64Array,
+	BigUint64Array,
+}
+
+/*
+ * Encodes the bytes of a typed array in base64.
+ * @param {ArrayBufferView} view - The typed array.
+ * @returns {string} - The base64 encoded bytes.
+ */
+const bytesToBase64 = (view) => {
+	const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength)
+	let binary = ""
+	for (let index = 0; index < bytes.length; index++) {
+		binary += String.fromCharCode(bytes[index])
+	}
+	return btoa(binary)
+}
+
+/*
+ * Decodes base64 encoded bytes.
+ * @param {string} base64 - The base64 encoded bytes.
+ * @returns {ArrayBuffer} - The bytes.
+ */
+const base64ToBytes = (base64) => {
+	const binary = atob(base64)
+	const bytes = new Uint8Array(binary.length)
+	for (let index = 0; index < binary.length; index++) {
+		bytes[index] = binary.charCodeAt(index)
+	}
+	return bytes.buffer
+}
+
+/*
+ * Serializes a value to a string.
+ * @param {*} value - The value to serialize.
+ * @returns {string} - The serialized value, a JSON string.
+ * @throws {TypeError} - If the value contains a function or a symbol.
+ */
+export const serialize = (value) => {
+	const nodes = []
+	const indexes = new Map()
+
+	/*
+	 * Adds a value to the nodes, returning its index or its special negative index.
+	 */
+	const encode = (value) => {
+		if (value === undefined) return UNDEFINED
+
+		if (typeof value === "number") {
+			if (Number.isNaN(value)) return NAN
+			if (value === Infinity) return POSITIVE_INFINITY
+			if (value === -Infinity) return NEGATIVE_INFINITY
+			if (Object.is(value, -0)) return NEGATIVE_ZERO
+		}
+
+		if (typeof value === "function" || typeof value === "symbol") {
+			throw new TypeError(`Cannot serialize a value of type ${typeof value}.`)
+		}
+
+		const isObject = typeof value === "object" && value !== null
+		if (isObject && indexes.has(value)) return indexes.get(value)
+
+		// Reserve the node before encoding the members, so circular references find it
+		const index = nodes.length
+		nodes.push(null)
+		if (isObject) indexes.set(value, index)
+		nodes[index] = isObject ? encodeObject(value) : typeof value === "bigint" ? ["BigInt", value.toString()] : value
+
+		return index
+	}
+
+	/*
+	 * Creates the node of an object, referencing its members by index.
+	 */
+	const encodeObject = (object) => {
+		if (Array.isArray(object)) {
+			const node = []
+			for (let index = 0; index < object.length; index++) {
+				node.push(index in object ? encode(object[index]) : HOLE)
+			}
+			return node
+		}
+
+		if (object instanceof Date) return ["Date", object.getTime()]
+		if (object instanceof RegExp) return ["RegExp", object.source, object.flags]
+		if (typeof URL !== "undefined" && object instanceof URL) return ["URL", object.href]
+		if (object instanceof Error) return ["Error", object.name, object.message]
+		if (object instanceof Map) return ["Map", ...[...object].flatMap(([key, value]) => [encode(key), encode(value)])]
+		if (object instanceof Set) return ["Set", ...[...object].map(encode)]
+
+		if (ArrayBuffer.isView(object)) {
+			const typedArrayName = Object.keys(typedArrays).find((name) => object instanceof typedArrays[name])
+			if (!typedArrayName) throw new TypeError("Cannot serialize a DataView.")
+			return [typedArrayName, bytesToBase64(object)]
+		}
+
+		// Any other object is serialized like a plain object, from its own enumerable properties
+		const node = Object.create(null)
+		for (const key of Object.keys(object)) {
+			node[key] = encode(object[key])
+		}
+		return node
+	}
+
+	const rootIndex = encode(value)
+	return JSON.stringify(rootIndex < 0 ? rootIndex : nodes)
+}
+
+/*
+ * Deserializes a string produced by `serialize()`.
+ * @param {string|Array|number} serialized - The serialized value, or the result of parsing it as JSON.
+ * @returns {*} - The value.
+ * @throws {TypeError} - If the string is not a valid serialized value.
+ */
+export const deserialize = (serialized) => {
+	const parsed = typeof serialized === "string" ? JSON.parse(serialized) : serialized
+	if (typeof parsed === "number") return specialValues[parsed]
+	if (!Array.isArray(parsed)) throw new TypeError("Invalid serialized value.")
+
+	const nodes = parsed
+	const values = new Map()
+
+	/*
+	 * Rebuilds the value of a node, registering containers before their members for circular references.
+	 */
+	const hydrate = (index) => {
+		if (index < 0) return specialValues[index]
+		if (values.has(index)) return values.get(index)
+		if (!(index in nodes)) throw new TypeError(`Invalid serialized reference ${index}.`)
+
+		const node = nodes[index]
+
+		if (node === null || typeof node !== "object") {
+			values.set(index, node)
+			return node
+		}
+
+		if (Array.isArray(node) && typeof node[0] !== "string") {
+			const array = new Array(node.length)
+			values.set(index, array)
+			node.forEach((memberIndex, position) => {
+				if (memberIndex !== HOLE) array[position] = hydrate(memberIndex)
+			})
+			return array
+		}
+
+		if (Array.isArray(node)) {
+			const [type, ...members] = node
+			let value
+
+			switch (type) {
+				case "BigInt":
+					value = BigInt(members[0])
+					break
+				case "Date":
+					value = new Date(members[0] ?? NaN)
+					break
+				case "RegExp":
+					value = new RegExp(members[0], members[1])
+					break
+				case "URL":
+					value = new URL(members[0])
+					break
+				case "Error":
+					value = new Error(members[1])
+					value.name = members[0]
+					break
+				case "Map":
+					value = new Map()
+					values.set(index, value)
+					for (let position = 0; position < members.length; position += 2) {
+						value.set(hydrate(members[position]), hydrate(members[position + 1]))
+					}
+					return value
+				case "Set":
+					value = new Set()
+					values.set(index, value)
+					for (const memberIndex of members) value.add(hydrate(memberIndex))
+					return value
+				default:
+					if (!Object.hasOwn(typedArrays, type)) throw new TypeError(`Unknown serialized type "${type}".`)
+					value = new typedArrays[type](base64ToBytes(members[0]))
+			}
+
+			values.set(index, value)
+			return value
+		}
+
+		const object = {}
+		values.set(index, object)
+		for (const [key, memberIndex] of Object.entries(node)) {
+			// Define "__proto__" as an own property instead of replacing the prototype
+			Object.defineProperty(object, key, {
+				value: hydrate(memberIndex),
+				enumerable: true,
+				writable: true,
+				configurable: true,
+			})
+		}
+		return object
+	}
+
+	return hydrate(0)
+}
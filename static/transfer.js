@@ -0,0 +1,57 @@
+import { deserialize } from "./serializer.js"
+
+/*
+ * Values transferred by the server, read once from the script elements rendered by `it.transfer()`.
+ */
+let transferredData = null
+
+/*
+ * Reads and merges the values of every transferred data script element, then removes them from the DOM.
+ * @returns {Object} - The transferred values, by key.
+ */
+const readTransferredData = () => {
+	const data = {}
+
+	for (const element of document.querySelectorAll('script[type="application/json"][data-transfer]')) {
+		Object.assign(data, deserialize(element.textContent))
+		element.remove()
+	}
+
+	return data
+}
+
+/*
+ * Describes the type of a value, telling arrays and null apart from objects.
+ * @param {*} value - The value.
+ * @returns {string} - The type name.
+ */
+const typeOf = (value) => (value === null ? "null" : Array.isArray(value) ? "array" : typeof value)
+
+/*
+ * Retrieves a value transferred by the server.
+ * @param {string} key - The key of the value, as given to `it.transfer()` or `res.expose()` on the server.
+ * @param {*} [defaultValue] - The value returned if the key wasn't transferred. When given, the
+ *                             transferred value must have the same type (string, number, array...).
+ * @returns {*} - The transferred value, or the default value.
+ * @throws {Error} - If the key wasn't transferred and no default value is given.
+ * @throws {TypeError} - If the transferred value doesn't have the type of the default value.
+ */
+export const getTransferred = (key, defaultValue) => {
+	transferredData ??= readTransferredData()
+
+	if (!Object.hasOwn(transferredData, key)) {
+		if (defaultValue !== undefined) return defaultValue
+
+		const availableKeys = Object.keys(transferredData).join(", ") || "none"
+		throw new Error(`No value transferred for key "${key}" (transferred keys: ${availableKeys}).`)
+	}
+
+	const value = transferredData[key]
+	if (defaultValue !== undefined && typeOf(value) !== typeOf(defaultValue)) {
+		throw new TypeError(
+			`Transferred value "${key}" is of type ${typeOf(value)}, expected ${typeOf(defaultValue)} like its default value.`
+		)
+	}
+
+	return value
+}
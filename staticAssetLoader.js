@@ -1,9 +1,43 @@
 // Import necessary functions from the 'fs' module
-import { readFileSync, readdirSync, statSync } from "fs"
+import { createReadStream } from "fs"
+import { realpath, stat } from "fs/promises"
 
 // Import the 'path' module for path manipulation
 import path from "path"
 
+// Import the stream and compression modules to stream files to the response
+import { pipeline } from "stream/promises"
+import { createBrotliCompress, createGzip } from "zlib"
+
+// Import the MIME type registry
+import { defaultMimeType, defaultMimeTypes, isCompressible, normalizeExtension, withCharset } from "./mimeTypes.js"
+
+// Import the HTTP errors answered by the router
+import { Forbidden, NotFound } from "./httpErrors.js"
+
+// Import the response cache keeping the assets in memory, and its ETag comparison
+import { cache, matchesETag } from "./cache.js"
+
+/**
+ * Default pattern of file names containing a content hash (e.g. "main.3f2a9c1b.js"),
+ * which are served with an immutable Cache-Control header.
+ */
+const hashedFilePattern = /[.-][0-9a-f]{8,}\./i
+
+/**
+ * Files smaller than this size in bytes are not compressed on the fly.
+ */
+const compressionThreshold = 1024
+
+/**
+ * Content encodings supported for compressed responses, in order of preference,
+ * with the extension of their precompressed files and their on-the-fly compressor.
+ */
+const encodings = [
+	{ name: "br", extension: ".br", createCompressor: createBrotliCompress },
+	{ name: "gzip", extension: ".gz", createCompressor: createGzip },
+]
+
 /**
  * StaticAssetLoader class for serving static assets from a directory.
  */
@@ -13,96 +47,404 @@ class StaticAssetLoader {
 	 */
 	constructor() {
 		this.directory = "static" // Default directory
-		this.staticAssets = this.getFiles(this.directory)
+		this.mimeTypes = new Map(Object.entries(defaultMimeTypes)) // Extensions and their MIME types
+	}
+
+	/**
+	 * Method to determine content type based on file extension.
+	 *
+	 * Textual types get a `charset=utf-8` parameter.
+	 *
+	 * @param {string} file - The file path.
+	 * @returns {string} - The content type.
+	 */
+	getContentType(file) {
+		const mimeType = this.mimeTypes.get(path.extname(file).toLowerCase())
+		// Default to binary data if the content type is not recognized
+		return mimeType ? withCharset(mimeType) : defaultMimeType
+	}
+
+	/**
+	 * Method to register or override the MIME type of one or more extensions for this loader.
+	 * @param {string|object} extension - The extension (e.g. ".glb" or "glb"), or an object of extensions and MIME types.
+	 * @param {string} [mimeType] - The MIME type of the extension.
+	 * @returns {StaticAssetLoader} - The loader instance for chaining.
+	 */
+	registerType(extension, mimeType) {
+		if (typeof extension === "object") {
+			for (const [name, type] of Object.entries(extension)) {
+				this.registerType(name, type)
+			}
+		} else {
+			this.mimeTypes.set(normalizeExtension(extension), mimeType)
+		}
+		return this
 	}
 
 	/**
-	 * Method to get files from their directory recursively.
-	 * @param {string} dirName - The directory path.
-	 * @returns {string[]} - Array of file paths.
+	 * Method to send a file, streaming it with caching, range and compression support.
+	 *
+	 * - `ETag` and `Last-Modified` headers are set, and conditional requests
+	 *   (`If-None-Match`, `If-Modified-Since`) are answered with 304 Not Modified.
+	 * - A single byte `Range` is answered with 206 Partial Content (416 if unsatisfiable),
+	 *   honoring `If-Range`.
+	 * - Clients accepting Brotli or gzip get a precompressed `.br` / `.gz` sibling of the
+	 *   file if one exists, or else a response compressed on the fly for text-like types.
+	 *
+	 * @param {http.IncomingMessage} req - The incoming HTTP request object.
+	 * @param {http.ServerResponse} res - The outgoing HTTP response object.
+	 * @param {string} filePath - The absolute path of the file to send.
+	 * @param {object} [options={}] - The caching and compression options.
+	 * @param {number} [options.maxAge=0] - The Cache-Control max-age in seconds.
+	 * @param {RegExp|boolean} [options.immutable] - Pattern of the file names served as immutable for a year,
+	 *                                               hashed file names by default, or false to disable.
+	 * @param {boolean} [options.compress=true] - Whether to compress text-like files on the fly.
+	 * @param {boolean} [options.precompressed=true] - Whether to look for precompressed `.br` / `.gz` files.
+	 * @returns {Promise<boolean>} - False if the file doesn't exist, true once it's sent.
 	 */
-	getFiles(dirName) {
-		let files = []
-		const items = readdirSync(dirName, { withFileTypes: true })
-
-		for (const item of items) {
-			if (item.isDirectory()) {
-				files = [...files, ...this.getFiles(`${dirName}/${item.name}`)]
-			} else {
-				files.push(`${dirName}/${item.name}`)
+	async sendFile(req, res, filePath, options = {}) {
+		const { maxAge = 0, immutable = hashedFilePattern, compress = true, precompressed = true } = options
+
+		const stats = await statFile(filePath)
+		if (!stats) return false
+
+		const contentType = this.getContentType(filePath)
+		const isImmutable = immutable instanceof RegExp ? immutable.test(path.basename(filePath)) : immutable === true
+
+		res.setHeader("Content-Type", contentType)
+		// Browsers must not guess another type than the one sent
+		res.setHeader("X-Content-Type-Options", "nosniff")
+		res.setHeader("Last-Modified", stats.mtime.toUTCString())
+		res.setHeader("Accept-Ranges", "bytes")
+		res.setHeader("Cache-Control", isImmutable ? "public, max-age=31536000, immutable" : `public, max-age=${maxAge}`)
+
+		// Pick a precompressed file or an on-the-fly compression the client accepts
+		const acceptedEncodings = parseAcceptEncoding(req.headers["accept-encoding"])
+		const canCompress = compress && isCompressible(contentType) && stats.size >= compressionThreshold
+		let encoding = null
+		let sourcePath = filePath
+		let sourceStats = stats
+
+		for (const candidate of encodings) {
+			if (!acceptedEncodings.has(candidate.name)) continue
+
+			const compressedStats = precompressed && (await statFile(filePath + candidate.extension))
+			if (compressedStats) {
+				encoding = candidate
+				sourcePath = filePath + candidate.extension
+				sourceStats = compressedStats
+				break
+			}
+			if (canCompress) {
+				encoding = { ...candidate, onTheFly: true }
+				break
+			}
+		}
+
+		if (precompressed || canCompress) res.setHeader("Vary", "Accept-Encoding")
+
+		// Each encoding of the file is a different representation with its own ETag
+		const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}${encoding ? `-${encoding.name}` : ""}"`
+		res.setHeader("ETag", etag)
+
+		if (isNotModified(req, etag, stats.mtime)) {
+			res.status(304).send()
+			return true
+		}
+
+		if (encoding) res.setHeader("Content-Encoding", encoding.name)
+
+		// Byte ranges are only served on the identity encoding
+		let range = null
+		if (!encoding && req.headers.range && isRangeFresh(req, etag, stats.mtime)) {
+			range = parseRange(req.headers.range, stats.size)
+
+			if (range === -1) {
+				res.status(416).set("Content-Range", `bytes */${stats.size}`).type("txt").send("Range Not Satisfiable")
+				return true
+			}
+			if (range) {
+				res.status(206).set("Content-Range", `bytes ${range.start}-${range.end}/${stats.size}`)
 			}
 		}
 
-		return files
+		if (!encoding || !encoding.onTheFly) {
+			res.setHeader("Content-Length", range ? range.end - range.start + 1 : sourceStats.size)
+		}
+
+		// HEAD requests only get the headers
+		if (req.method === "HEAD") {
+			res.end()
+			return true
+		}
+
+		const streams = [createReadStream(sourcePath, range || {})]
+		if (encoding && encoding.onTheFly) streams.push(encoding.createCompressor())
+
+		try {
+			await pipeline(...streams, res)
+		} catch (err) {
+			// The client going away while the file is streamed is not an error
+			if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") throw err
+		}
+
+		return true
 	}
 
 	/**
-	 * Method to determine content type based on file extension.
-	 * @param {string} file - The file path.
-	 * @returns {string} - The content type.
+	 * Method to resolve a request path to a file inside a root directory.
+	 *
+	 * The path is resolved segment by segment: segments that are `..`, or that contain
+	 * encoded slashes, backslashes or null bytes once decoded, are forbidden. Resolved
+	 * files are finally checked against the real path of the root directory, so symbolic
+	 * links can't lead outside of it either.
+	 *
+	 * @param {string} rootDir - The absolute path of the root directory.
+	 * @param {string} relativePath - The raw (percent-encoded) request path below the mount prefix.
+	 * @param {object} [options={}] - The resolution options.
+	 * @param {string|false} [options.index="index.html"] - The file served for directories, or false.
+	 * @param {string} [options.dotfiles="ignore"] - "allow", "deny" (403) or "ignore" (not found) dotfiles.
+	 * @param {string[]} [options.extensions=[]] - Extensions tried when the file isn't found, e.g. [".html"].
+	 * @returns {Promise<object|null>} - `{ filePath }` for a file, `{ forbidden: true }`, `{ redirect: true }`
+	 *                                   for a directory requested without a trailing slash, or null if not found.
 	 */
-	getContentType(file) {
-		const extname = path.extname(file)
-		switch (extname) {
-			case ".css":
-				return "text/css"
-			case ".js":
-			case ".mjs":
-				return "application/javascript"
-			case ".png":
-				return "image/png"
-			case ".jpg":
-			case ".jpeg":
-				return "image/jpeg"
-			case ".gif":
-				return "image/gif"
-			case ".avif":
-				return "image/avif"
-			case ".svg":
-				return "image/svg+xml"
-			case ".ico":
-				return "image/x-icon"
-			case ".webp":
-				return "image/webp"
-			default:
-				return "application/octet-stream" // Default to binary data if the content type is not recognized
+	async resolveFile(rootDir, relativePath, { index = "index.html", dotfiles = "ignore", extensions = [] } = {}) {
+		const segments = []
+
+		for (const rawSegment of relativePath.split("/")) {
+			if (!rawSegment || rawSegment === ".") continue
+
+			let segment
+			try {
+				segment = decodeURIComponent(rawSegment)
+			} catch {
+				return null
+			}
+
+			// Encoded slashes, backslashes, null bytes and parent directories could escape the root directory
+			if (segment === ".." || /[\/\\\0]/.test(segment)) return { forbidden: true }
+
+			if (segment[0] === ".") {
+				if (dotfiles === "deny") return { forbidden: true }
+				if (dotfiles !== "allow") return null
+			}
+
+			segments.push(segment)
 		}
+
+		let filePath = path.join(rootDir, ...segments)
+		if (!isInsideDirectory(rootDir, filePath)) return { forbidden: true }
+
+		let stats = await statPath(filePath)
+
+		if (stats && stats.isDirectory()) {
+			if (!index || !(await statFile(path.join(filePath, index)))) return null
+			// Relative URLs in the index file need the trailing slash
+			if (!relativePath.endsWith("/")) return { redirect: true }
+
+			filePath = path.join(filePath, index)
+			stats = await statPath(filePath)
+		}
+
+		if (!stats) {
+			// Try the file with each of the default extensions
+			for (const extension of extensions) {
+				stats = await statFile(filePath + extension)
+				if (stats) {
+					filePath += extension
+					break
+				}
+			}
+		}
+
+		if (!stats || !stats.isFile()) return null
+
+		// Symbolic links must not lead outside of the root directory
+		if (!isInsideDirectory(await realpath(rootDir), await realpath(filePath))) return { forbidden: true }
+
+		return { filePath }
 	}
 
 	/**
 	 * Method to serve static assets using Router app.
-	 * @param {object} app - The Router app instance.
-	 * @param {string} [directory="static"] - The directory containing static assets.
+	 *
+	 * A single wildcard route is registered under the prefix, resolving the requested
+	 * files at request time, so files added after startup are served too.
+	 *
+	 * @param {object} app - The Router app instance receiving the requests.
+	 * @param {object|string} [options={}] - The mount options, or the directory of the assets
+	 *                                      (served under `/<directory>` as in earlier versions).
+	 * @param {string} [options.root="static"] - The directory containing static assets, relative to the current directory or absolute.
+	 * @param {string} [options.prefix] - The URL prefix of the assets, `/<root>` by default.
+	 * @param {string|false} [options.index="index.html"] - The file served for directories, or false.
+	 * @param {string} [options.dotfiles="ignore"] - "allow", "deny" (403) or "ignore" (not found) dotfiles.
+	 * @param {boolean} [options.fallthrough=true] - Whether missing files are passed on to the router's not found handling,
+	 *                                                instead of being answered with a 404 error.
+	 * @param {string[]} [options.extensions=[]] - Extensions tried when the file isn't found, e.g. [".html"].
+	 * @param {boolean} [options.spa=false] - Whether unknown paths without an extension get the root index file,
+	 *                                        for single-page applications doing their own routing.
+	 * @param {object} [options.cache] - The options of the `cache()` middleware keeping the assets in memory
+	 *                                   instead of reading them on each request, e.g. `{ ttl: 300 }`.
+	 *
+	 * The caching and compression options (`maxAge`, `immutable`, `compress`, `precompressed`)
+	 * are passed to `sendFile()`.
 	 */
-	serveStaticAssets(app, directory = "static") {
-		const staticAssets = this.getFiles(directory)
-
-		staticAssets.forEach((el) => {
-			app.get(`/${el}`, (req, res) => {
-				const filePath = path.join(process.cwd(), `/${el}`)
-
-				try {
-					const stats = statSync(filePath)
-					if (stats.isFile()) {
-						const contentType = this.getContentType(filePath)
-						res.setHeader("Content-Type", contentType)
-
-						const fileContents = readFileSync(filePath)
-						res.end(fileContents)
-					} else {
-						// If it's not a file, send a 404 Not Found response.
-						res.end("Not Found")
-					}
-				} catch (err) {
-					console.error(`Error while serving file: ${err.message}`)
-
-					res.writeHead(302, { Location: "/500" })
-					res.end()
-					return
-				}
-			})
-		})
+	serveStaticAssets(app, options = {}) {
+		// A string is the directory of the assets, as accepted by earlier versions
+		if (typeof options === "string") options = { root: options }
+
+		const { root = this.directory, fallthrough = true, spa = false, cache: cacheOptions, ...fileOptions } = options
+		const rootDir = path.resolve(root)
+		const prefix = `/${options.prefix ?? root}`.replace(/\/{2,}/g, "/").replace(/\/+$/, "")
+
+		const serveAsset = async (req, res, next) => {
+			const notFound = () => {
+				if (!fallthrough) throw new NotFound()
+				next()
+			}
+			const relativePath = req.path.substring(prefix.length)
+
+			let resolved = await this.resolveFile(rootDir, relativePath, fileOptions)
+
+			// Let single-page applications route unknown paths themselves
+			if (!resolved && spa && !path.extname(relativePath)) {
+				resolved = await this.resolveFile(rootDir, "/", fileOptions)
+			}
+
+			if (!resolved) return notFound()
+
+			if (resolved.forbidden) throw new Forbidden()
+
+			if (resolved.redirect) {
+				return res.redirect(301, `${req.path}/${req.url.substring(req.path.length)}`)
+			}
+
+			if (!(await this.sendFile(req, res, resolved.filePath, fileOptions))) notFound()
+		}
+
+		// Routes registered afterwards for the prefix itself (e.g. "/") replace the index route
+		const routeOptions = cacheOptions ? { middleware: cache(cacheOptions) } : {}
+		app.get(prefix || "/", serveAsset, routeOptions)
+		app.get(`${prefix}/*path`, serveAsset, routeOptions)
 	}
 }
 
+/**
+ * Gets the stats of a path.
+ * @param {string} filePath - The path.
+ * @returns {Promise<fs.Stats|null>} - The stats, or null if the path doesn't exist.
+ */
+const statPath = async (filePath) => {
+	try {
+		return await stat(filePath)
+	} catch (err) {
+		if (err.code === "ENOENT" || err.code === "ENOTDIR") return null
+		throw err
+	}
+}
+
+/**
+ * Checks whether a path is a directory or inside it.
+ * @param {string} directory - The absolute path of the directory.
+ * @param {string} filePath - The absolute path to check.
+ * @returns {boolean}
+ */
+const isInsideDirectory = (directory, filePath) =>
+	filePath === directory || filePath.startsWith(directory.endsWith(path.sep) ? directory : directory + path.sep)
+
+/**
+ * Gets the stats of a file.
+ * @param {string} filePath - The file path.
+ * @returns {Promise<fs.Stats|null>} - The stats, or null if the path doesn't exist or isn't a file.
+ */
+const statFile = async (filePath) => {
+	const stats = await statPath(filePath)
+	return stats && stats.isFile() ? stats : null
+}
+
+/**
+ * Parses an Accept-Encoding header.
+ * @param {string} [header=""] - The Accept-Encoding header.
+ * @returns {Set<string>} - The accepted encodings, without those with a zero quality.
+ */
+const parseAcceptEncoding = (header = "") => {
+	const accepted = new Set()
+
+	for (const entry of header.split(",")) {
+		const [name, ...parameters] = entry.trim().toLowerCase().split(";")
+		const quality = parameters.find((parameter) => parameter.trim().startsWith("q="))
+		if (name && (!quality || Number(quality.trim().substring(2)) > 0)) accepted.add(name)
+	}
+
+	return accepted
+}
+
+/**
+ * Checks whether the client's cached copy is still fresh.
+ *
+ * `If-None-Match` takes precedence over `If-Modified-Since`, as required by RFC 9110.
+ *
+ * @param {http.IncomingMessage} req - The incoming HTTP request object.
+ * @param {string} etag - The current ETag of the file.
+ * @param {Date} lastModified - The modification date of the file.
+ * @returns {boolean} - True if a 304 Not Modified response can be sent.
+ */
+const isNotModified = (req, etag, lastModified) => {
+	if (req.method !== "GET" && req.method !== "HEAD") return false
+
+	const ifNoneMatch = req.headers["if-none-match"]
+	if (ifNoneMatch) return matchesETag(ifNoneMatch, etag)
+
+	const ifModifiedSince = Date.parse(req.headers["if-modified-since"])
+	// HTTP dates have a precision of one second
+	return !Number.isNaN(ifModifiedSince) && Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince
+}
+
+/**
+ * Checks whether a Range request applies to the current version of the file, according to `If-Range`.
+ * @param {http.IncomingMessage} req - The incoming HTTP request object.
+ * @param {string} etag - The current ETag of the file.
+ * @param {Date} lastModified - The modification date of the file.
+ * @returns {boolean} - True if the range can be served.
+ */
+const isRangeFresh = (req, etag, lastModified) => {
+	const ifRange = req.headers["if-range"]
+	if (!ifRange) return true
+
+	// An entity tag validator must match the current ETag exactly
+	if (ifRange.includes('"')) return ifRange.trim() === etag
+
+	return Math.floor(lastModified.getTime() / 1000) * 1000 <= Date.parse(ifRange)
+}
+
+/**
+ * Parses a Range header for a single byte range.
+ * @param {string} header - The Range header.
+ * @param {number} size - The size of the file.
+ * @returns {{ start: number, end: number }|null|-1} - The inclusive range, null to ignore the header
+ *                                                      (invalid or multiple ranges), or -1 if unsatisfiable.
+ */
+const parseRange = (header, size) => {
+	const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim())
+	if (!match || (!match[1] && !match[2])) return null
+	// A last byte before the first one makes the range invalid, not unsatisfiable (RFC 9110, section 14.1.1)
+	if (match[1] && match[2] && Number(match[2]) < Number(match[1])) return null
+
+	let start, end
+	if (!match[1]) {
+		// Suffix range: the last N bytes
+		start = Math.max(size - Number(match[2]), 0)
+		end = size - 1
+	} else {
+		start = Number(match[1])
+		end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1
+	}
+
+	if (start > end || start >= size) return -1
+	return { start, end }
+}
+
 export const staticAssetLoader = new StaticAssetLoader()
+
+// Export the class too, to create loaders with their own MIME types
+export { StaticAssetLoader }
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+
+import { enableAccessLog } from "../accessLog.js"
+import { Router } from "../router.js"
+
+/**
+ * Creates a router logging its requests into an array.
+ * @param {object} [options={}] - The access log options
+ * @returns {{ app: Router, entries: object[], lines: string[] }}
+ */
+const createLoggedRouter = (options = {}) => {
+	const app = new Router()
+	const entries = []
+	const lines = []
+	enableAccessLog(app, {
+		sinks: [
+			(line, entry) => {
+				lines.push(line)
+				entries.push(entry)
+			},
+		],
+		...options,
+	})
+	app.get("/users/:id", (req, res) => res.send(`user ${req.params.id}`))
+	app.get("/crash", () => {
+		throw new Error("crashed")
+	})
+	return { app, entries, lines }
+}
+
+describe("access log", () => {
+	it("logs the route pattern, status, size and request ID of each request", async () => {
+		const { app, entries, lines } = createLoggedRouter()
+		const response = await app.inject({ url: "/users/42?token=secret", headers: { "User-Agent": "test client" } })
+
+		assert.equal(entries.length, 1)
+		const [entry] = entries
+		assert.equal(entry.method, "GET")
+		assert.equal(entry.route, "/users/:id")
+		assert.equal(entry.status, 200)
+		assert.equal(entry.bytes, Buffer.byteLength("user 42"))
+		assert.equal(entry.userAgent, "test client")
+		assert.equal(entry.aborted, false)
+		assert.equal(entry.id, response.headers["x-request-id"])
+		assert.ok(!lines[0].includes("secret"))
+		assert.deepEqual(JSON.parse(lines[0]), entry)
+	})
+
+	it("keeps a valid incoming request ID", async () => {
+		const { app, entries } = createLoggedRouter()
+
+		await app.inject({ url: "/users/1", headers: { "X-Request-Id": "abc-123" } })
+		await app.inject({ url: "/users/1", headers: { "X-Request-Id": "bad id\nforged line" } })
+
+		assert.equal(entries[0].id, "abc-123")
+		assert.notEqual(entries[1].id, "bad id\nforged line")
+	})
+
+	it("formats the lines in the Common Log Format", async () => {
+		const { app, lines } = createLoggedRouter({ format: "clf" })
+		await app.inject("/missing")
+
+		assert.match(
+			lines[0],
+			/^127\.0\.0\.1 - - \[\d{2}\/\w{3}\/\d{4}:\d{2}:\d{2}:\d{2} \+0000\] "GET - HTTP\/1\.1" 404 \d+ /
+		)
+	})
+
+	it("always logs the server errors when sampling", async (t) => {
+		t.mock.method(console, "error", () => {})
+		const { app, entries } = createLoggedRouter({ sampleRate: 0 })
+
+		await app.inject("/users/1")
+		await app.inject("/crash")
+
+		assert.deepEqual(
+			entries.map(({ status }) => status),
+			[500]
+		)
+	})
+
+	it("rejects unknown formats", () => {
+		assert.throws(() => enableAccessLog(new Router(), { format: "xml" }), TypeError)
+	})
+})
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict"
+import { existsSync } from "node:fs"
+import { mkdtemp, readdir, rm } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import path from "node:path"
+import { after, before, describe, it } from "node:test"
+
+import { Router } from "../router.js"
+
+/**
+ * Builds a `multipart/form-data` body.
+ * @param {string} boundary - The boundary of the parts
+ * @param {object[]} parts - The parts, `{ name, value }` fields or `{ name, filename, value }` files
+ * @returns {string} - The body
+ */
+const buildMultipart = (boundary, parts) =>
+	parts
+		.map(
+			({ name, filename, value }) =>
+				`--${boundary}\r\n` +
+				`Content-Disposition: form-data; name="${name}"${filename ? `; filename="${filename}"` : ""}\r\n` +
+				(filename ? "Content-Type: text/plain\r\n" : "") +
+				`\r\n${value}\r\n`
+		)
+		.join("") + `--${boundary}--\r\n`
+
+describe("body limits", () => {
+	const app = new Router()
+	app.post("/small", (req, res) => res.json(req.body), { bodyLimit: 16 })
+	app.post("/default", (req, res) => res.json(req.body))
+
+	it("parses bodies within the limit", async () => {
+		const response = await app.inject({ method: "POST", url: "/small", body: { a: 1 } })
+
+		assert.equal(response.status, 200)
+		assert.deepEqual(response.json(), { a: 1 })
+	})
+
+	it("rejects bodies over the limit of the route", async () => {
+		const response = await app.inject({ method: "POST", url: "/small", body: { text: "more than sixteen bytes" } })
+
+		assert.equal(response.status, 413)
+		assert.equal(response.headers.connection, "close")
+	})
+
+	it("rejects streamed bodies once they exceed the limit", async () => {
+		async function* chunks() {
+			yield '{"text":"'
+			yield "x".repeat(32)
+			yield '"}'
+		}
+		const response = await app.inject({
+			method: "POST",
+			url: "/small",
+			headers: { "Content-Type": "application/json" },
+			body: chunks(),
+		})
+
+		assert.equal(response.status, 413)
+	})
+
+	it("applies the parser's limit to the other routes", async () => {
+		app.bodyParser.limit = 8
+		try {
+			const response = await app.inject({ method: "POST", url: "/default", body: { text: "too long" } })
+			assert.equal(response.status, 413)
+		} finally {
+			app.bodyParser.limit = 1048576
+		}
+	})
+
+	it("rejects invalid JSON with a 400", async () => {
+		const response = await app.inject({
+			method: "POST",
+			url: "/default",
+			headers: { "Content-Type": "application/json" },
+			body: "{",
+		})
+
+		assert.equal(response.status, 400)
+	})
+})
+
+describe("multipart uploads", () => {
+	const boundary = "test-boundary"
+	const headers = { "Content-Type": `multipart/form-data; boundary=${boundary}` }
+	let uploadDir
+	let app
+
+	before(async () => {
+		uploadDir = await mkdtemp(path.join(tmpdir(), "uploads-"))
+		app = new Router()
+		app.bodyParser.uploadDir = uploadDir
+	})
+
+	after(() => rm(uploadDir, { recursive: true, force: true }))
+
+	it("writes the files to the upload directory and removes them once the response is closed", async () => {
+		let uploadedFile
+		app.post("/upload", (req, res) => {
+			uploadedFile = req.files[0]
+			assert.ok(existsSync(uploadedFile.path))
+			res.json({ fields: req.body, filename: uploadedFile.filename, size: uploadedFile.size })
+		})
+
+		const response = await app.inject({
+			method: "POST",
+			url: "/upload",
+			headers,
+			body: buildMultipart(boundary, [
+				{ name: "title", value: "Notes" },
+				{ name: "file", filename: "notes.txt", value: "hello" },
+			]),
+		})
+
+		assert.equal(response.status, 200)
+		assert.deepEqual(response.json(), { fields: { title: "Notes" }, filename: "notes.txt", size: 5 })
+		assert.equal(path.dirname(uploadedFile.path), uploadDir)
+
+		// The files are removed asynchronously
+		await new Promise((resolve) => setTimeout(resolve, 50))
+		assert.deepEqual(await readdir(uploadDir), [])
+	})
+
+	it("removes the files written before the body exceeded the limit", async () => {
+		app.post("/limited", (req, res) => res.send("unreachable"), { bodyLimit: 256 })
+
+		async function* chunks() {
+			yield buildMultipart(boundary, [{ name: "first", filename: "first.txt", value: "small" }]).replace(
+				`--${boundary}--\r\n`,
+				""
+			)
+			yield `--${boundary}\r\nContent-Disposition: form-data; name="second"; filename="second.txt"\r\n\r\n`
+			yield "x".repeat(512)
+			yield `\r\n--${boundary}--\r\n`
+		}
+		const response = await app.inject({ method: "POST", url: "/limited", headers, body: chunks() })
+
+		assert.equal(response.status, 413)
+		await new Promise((resolve) => setTimeout(resolve, 50))
+		assert.deepEqual(await readdir(uploadDir), [])
+	})
+
+	it("rejects a body without a boundary", async () => {
+		const response = await app.inject({
+			method: "POST",
+			url: "/upload",
+			headers: { "Content-Type": "multipart/form-data" },
+			body: buildMultipart(boundary, [{ name: "title", value: "Notes" }]),
+		})
+
+		assert.equal(response.status, 400)
+	})
+})
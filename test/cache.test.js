@@ -0,0 +1,226 @@
+import assert from "node:assert/strict"
+import { mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import path from "node:path"
+import { describe, it } from "node:test"
+
+import { ResponseCache, cache } from "../cache.js"
+import { enableAccessLog } from "../accessLog.js"
+import { rateLimit } from "../rateLimit.js"
+import { Router } from "../router.js"
+import { csrf, securityHeaders } from "../security.js"
+
+/**
+ * Reads the nonce of the Content Security Policy of a response.
+ * @param {object} headers - The response headers
+ * @returns {string} - The nonce
+ */
+const nonceOf = (headers) => headers["content-security-policy"].match(/'nonce-([^']+)'/)[1]
+
+describe("response cache", () => {
+	it("sends cached responses until they expire or are invalidated", async () => {
+		const app = new Router()
+		let calls = 0
+		app.get("/continents", (req, res) => res.json({ calls: ++calls }), {
+			middleware: cache({ ttl: 60, tags: ["continents"] }),
+		})
+
+		const first = await app.inject("/continents")
+		const second = await app.inject("/continents")
+		assert.equal(first.headers["x-cache"], "MISS")
+		assert.equal(second.headers["x-cache"], "HIT")
+		assert.deepEqual(second.json(), { calls: 1 })
+
+		app.cache.invalidate("continents")
+		const third = await app.inject("/continents")
+		assert.equal(third.headers["x-cache"], "MISS")
+		assert.deepEqual(third.json(), { calls: 2 })
+	})
+
+	it("answers a matching If-None-Match with a 304", async () => {
+		const app = new Router()
+		app.get("/data", (req, res) => res.json({ value: 1 }), { middleware: cache() })
+
+		const { headers } = await app.inject("/data")
+		assert.ok(headers.etag)
+
+		const revalidated = await app.inject({ url: "/data", headers: { "If-None-Match": headers.etag } })
+		assert.equal(revalidated.status, 304)
+		assert.equal(revalidated.body, "")
+
+		const changed = await app.inject({ url: "/data", headers: { "If-None-Match": '"other"' } })
+		assert.equal(changed.status, 200)
+	})
+
+	it("gives cached pages the nonce of each request", async () => {
+		const app = new Router()
+		app.use(securityHeaders())
+		let calls = 0
+		app.get(
+			"/page",
+			(req, res) => {
+				calls++
+				res.type("html").send(`<script nonce="${res.locals.nonce}">start()</script>`)
+			},
+			{ middleware: cache() }
+		)
+
+		const first = await app.inject("/page")
+		const second = await app.inject("/page")
+
+		assert.equal(second.headers["x-cache"], "HIT")
+		assert.equal(calls, 1)
+		assert.notEqual(nonceOf(second.headers), nonceOf(first.headers))
+		assert.equal(second.body, `<script nonce="${nonceOf(second.headers)}">start()</script>`)
+		assert.equal(second.headers["content-length"], String(Buffer.byteLength(second.body)))
+		// The body changes with every request
+		assert.equal(second.headers.etag, undefined)
+	})
+
+	it("doesn't cache the responses using the CSRF token", async () => {
+		const app = new Router()
+		app.use(csrf())
+		let calls = 0
+		app.get(
+			"/form",
+			(req, res) => {
+				calls++
+				res.type("html").send(`<input type="hidden" name="_csrf" value="${req.csrfToken()}">`)
+			},
+			{ middleware: cache() }
+		)
+
+		const first = await app.inject("/form")
+		const second = await app.inject("/form")
+
+		assert.equal(calls, 2)
+		assert.notEqual(second.headers["x-cache"], "HIT")
+		assert.notEqual(second.body, first.body)
+	})
+
+	it("doesn't cache the responses reading the token from the response locals", async () => {
+		const app = new Router()
+		app.use(csrf())
+		let calls = 0
+		app.get(
+			"/page",
+			(req, res) => {
+				calls++
+				res.json({ token: res.locals.csrf.token() })
+			},
+			{ middleware: cache() }
+		)
+
+		await app.inject("/page")
+		await app.inject("/page")
+
+		assert.equal(calls, 2)
+	})
+
+	it("caches the rendered views that don't use the CSRF token", async () => {
+		const dir = await mkdtemp(path.join(tmpdir(), "views-"))
+		try {
+			await writeFile(path.join(dir, "about.html"), "<p>About</p>")
+			await writeFile(path.join(dir, "form.html"), '<input name="_csrf" value="<%= it.csrfToken %>">')
+			const app = new Router().setViews({ dir, layout: false })
+			app.use(csrf())
+			app.get("/about", (req, res) => res.render("about.html"), { middleware: cache() })
+			app.get("/form", (req, res) => res.render("form.html"), { middleware: cache() })
+
+			await app.inject("/about")
+			const about = await app.inject("/about")
+			assert.equal(about.headers["x-cache"], "HIT")
+			assert.equal(about.headers["set-cookie"], undefined)
+
+			await app.inject("/form")
+			const form = await app.inject("/form")
+			assert.notEqual(form.headers["x-cache"], "HIT")
+			assert.match(form.body, /value="[\w-]+"/)
+		} finally {
+			await rm(dir, { recursive: true, force: true })
+		}
+	})
+
+	it("only replaces the nonce of text bodies", async () => {
+		const app = new Router()
+		app.use(securityHeaders())
+		app.get("/file", (req, res) => res.type("bin").send(Buffer.from(`\xff${res.locals.nonce}\xfe`, "latin1")), {
+			middleware: cache(),
+		})
+
+		const first = await app.inject("/file")
+		const second = await app.inject("/file")
+
+		assert.equal(second.headers["x-cache"], "HIT")
+		assert.deepEqual(second.rawBody, first.rawBody)
+	})
+
+	it("caches each variant of the responses separately", async () => {
+		const app = new Router()
+		app.get(
+			"/greeting",
+			(req, res) =>
+				res.set("Vary", "Accept-Language").send(req.headers["accept-language"] === "fr" ? "Bonjour" : "Hello"),
+			{ middleware: cache() }
+		)
+
+		for (const language of ["fr", "en", "fr", "en"]) {
+			await app.inject({ url: "/greeting", headers: { "Accept-Language": language } })
+		}
+		const french = await app.inject({ url: "/greeting", headers: { "Accept-Language": "fr" } })
+
+		assert.equal(french.headers["x-cache"], "HIT")
+		assert.equal(french.body, "Bonjour")
+		assert.equal(app.cache.entries.size, 2)
+	})
+
+	it("forgets the vary headers of the evicted entries", async () => {
+		const app = new Router()
+		app.cache = new ResponseCache({ maxBytes: 2000 })
+		app.get("/search", (req, res) => res.set("Vary", "Accept").json({ q: req.queryParams.get("q") }), {
+			middleware: cache(),
+		})
+
+		for (let index = 0; index < 200; index++) await app.inject(`/search?q=${index}`)
+
+		assert.ok(app.cache.entries.size < 200)
+		assert.equal(app.cache.variants.size, app.cache.entries.size)
+
+		app.cache.clear()
+		assert.equal(app.cache.variants.size, 0)
+	})
+
+	it("refreshes stale entries in the background, without counting the refreshes as client requests", async () => {
+		const app = new Router()
+		const lines = []
+		enableAccessLog(app, { sinks: [(line) => lines.push(JSON.parse(line))] })
+		app.use(rateLimit({ limit: 3 }))
+		let calls = 0
+		app.get("/news", (req, res) => res.json({ calls: ++calls }), {
+			middleware: cache({ ttl: 0.01, staleWhileRevalidate: 60 }),
+		})
+
+		await app.inject("/news")
+		await new Promise((resolve) => setTimeout(resolve, 20))
+		const stale = await app.inject("/news")
+		assert.equal(stale.headers["x-cache"], "STALE")
+		assert.deepEqual(stale.json(), { calls: 1 })
+
+		while (app.cache.revalidating.size) await new Promise((resolve) => setTimeout(resolve, 5))
+		assert.equal(calls, 2)
+
+		const third = await app.inject("/news")
+		assert.equal(third.status, 200)
+		assert.equal(third.headers["ratelimit-remaining"], "0")
+		assert.equal(lines.length, 3)
+	})
+
+	it("only caches successful GET responses", async () => {
+		const app = new Router()
+		let calls = 0
+		app.get("/missing", (req, res) => res.status(404).send(`missing ${++calls}`), { middleware: cache() })
+
+		await app.inject("/missing")
+		assert.equal((await app.inject("/missing")).body, "missing 2")
+	})
+})
@@ -0,0 +1,158 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+
+import { Router } from "../router.js"
+import { csrf } from "../security.js"
+import { session } from "../session.js"
+
+/**
+ * Reads the `name=value` pairs of the cookies set by a response.
+ * @param {object} headers - The response headers
+ * @returns {string} - The cookies, as a `Cookie` request header
+ */
+const cookiesOf = (headers) =>
+	[]
+		.concat(headers["set-cookie"] || [])
+		.map((cookie) => cookie.split(";")[0])
+		.join("; ")
+
+/**
+ * Creates a protected router with a page sending the token and a state-changing route.
+ * @param {object} [options] - The CSRF options
+ * @returns {Router}
+ */
+const createProtectedRouter = (options) => {
+	const app = new Router()
+	if (options && options.mode === "synchronizer") app.use(session({ secrets: ["test secret"] }))
+	app.use(csrf(options))
+	app.get("/form", (req, res) => res.json({ token: req.csrfToken() }))
+	app.post("/transfer", (req, res) => res.json({ done: true, body: req.body }))
+	return app
+}
+
+/**
+ * Loads the form page and returns its token and cookies.
+ * @param {Router} app - The router
+ * @returns {Promise<{ token: string, cookie: string }>}
+ */
+const loadForm = async (app) => {
+	const response = await app.inject("/form")
+	return { token: response.json().token, cookie: cookiesOf(response.headers) }
+}
+
+describe("csrf", () => {
+	it("lets safe methods through and sets the token cookie", async () => {
+		const response = await createProtectedRouter().inject("/form")
+
+		assert.equal(response.status, 200)
+		assert.match([].concat(response.headers["set-cookie"])[0], /^csrf-token=[\w-]+; .*SameSite=Strict/)
+	})
+
+	it("rejects state-changing requests without a token", async () => {
+		const app = createProtectedRouter()
+		const { cookie } = await loadForm(app)
+		const response = await app.inject({ method: "POST", url: "/transfer", headers: { Cookie: cookie }, body: {} })
+
+		assert.equal(response.status, 403)
+	})
+
+	it("rejects a token that doesn't match the cookie", async () => {
+		const app = createProtectedRouter()
+		const { cookie } = await loadForm(app)
+		const { token: otherToken } = await loadForm(app)
+		const response = await app.inject({
+			method: "POST",
+			url: "/transfer",
+			headers: { Cookie: cookie, "X-CSRF-Token": otherToken },
+			body: {},
+		})
+
+		assert.equal(response.status, 403)
+	})
+
+	it("accepts the token sent in the header", async () => {
+		const app = createProtectedRouter()
+		const { token, cookie } = await loadForm(app)
+		const response = await app.inject({
+			method: "POST",
+			url: "/transfer",
+			headers: { Cookie: cookie, "X-CSRF-Token": token },
+			body: { amount: 10 },
+		})
+
+		assert.equal(response.status, 200)
+		assert.deepEqual(response.json(), { done: true, body: { amount: 10 } })
+	})
+
+	it("accepts the token sent in a form field, keeping the parsed form as the body", async () => {
+		const app = createProtectedRouter()
+		const { token, cookie } = await loadForm(app)
+		const response = await app.inject({
+			method: "POST",
+			url: "/transfer",
+			headers: { Cookie: cookie, "Content-Type": "application/x-www-form-urlencoded" },
+			body: `amount=10&_csrf=${encodeURIComponent(token)}`,
+		})
+
+		assert.equal(response.status, 200)
+		assert.equal(response.json().body.amount, "10")
+	})
+
+	it("keeps the token in the session in synchronizer mode", async () => {
+		const app = createProtectedRouter({ mode: "synchronizer" })
+		const { token, cookie } = await loadForm(app)
+		assert.ok(!cookie.includes("csrf-token="))
+
+		const accepted = await app.inject({
+			method: "POST",
+			url: "/transfer",
+			headers: { Cookie: cookie, "X-CSRF-Token": token },
+			body: {},
+		})
+		assert.equal(accepted.status, 200)
+
+		// Another session doesn't share the token
+		const { cookie: otherCookie } = await loadForm(app)
+		const rejected = await app.inject({
+			method: "POST",
+			url: "/transfer",
+			headers: { Cookie: otherCookie, "X-CSRF-Token": token },
+			body: {},
+		})
+		assert.equal(rejected.status, 403)
+	})
+
+	it("lets the requests to unknown paths get their 404", async () => {
+		const response = await createProtectedRouter().inject({ method: "POST", url: "/missing", body: {} })
+
+		assert.equal(response.status, 404)
+	})
+
+	it("parses the forms with the body limit of the route", async () => {
+		const app = createProtectedRouter()
+		app.post("/upload", (req, res) => res.json({ size: req.body.data.length }), { bodyLimit: 2 * 1048576 })
+		app.post("/comment", (req, res) => res.json({ size: req.body.data.length }), { bodyLimit: 1000 })
+		const { token, cookie } = await loadForm(app)
+		const postForm = (url, size) =>
+			app.inject({
+				method: "POST",
+				url,
+				headers: { Cookie: cookie, "Content-Type": "application/x-www-form-urlencoded" },
+				body: `_csrf=${encodeURIComponent(token)}&data=${"x".repeat(size)}`,
+			})
+
+		const upload = await postForm("/upload", 1500000)
+		assert.equal(upload.status, 200)
+		assert.deepEqual(upload.json(), { size: 1500000 })
+		assert.equal((await postForm("/comment", 2000)).status, 413)
+	})
+
+	it("requires a session in synchronizer mode", async (t) => {
+		t.mock.method(console, "error", () => {})
+		const app = new Router()
+		app.use(csrf({ mode: "synchronizer" }))
+		app.get("/", (req, res) => res.send("unreachable"))
+
+		assert.equal((await app.inject("/")).status, 500)
+	})
+})
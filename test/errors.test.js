@@ -0,0 +1,109 @@
+import assert from "node:assert/strict"
+import { fileURLToPath } from "node:url"
+import { beforeEach, describe, it } from "node:test"
+
+import { BadRequest } from "../httpErrors.js"
+import { Router } from "../router.js"
+
+const viewsDir = fileURLToPath(new URL("../views", import.meta.url))
+
+/**
+ * Creates a router whose routes fail with a client error and an unexpected error.
+ * @returns {Router}
+ */
+const createFailingRouter = () => {
+	const app = new Router()
+	app.get("/invalid", () => {
+		throw new BadRequest("Missing name", { details: { field: "name" } })
+	})
+	app.get("/crash", () => {
+		throw new Error("Database password leaked")
+	})
+	return app
+}
+
+describe("error responses", () => {
+	beforeEach((t) => {
+		// Unexpected errors are logged
+		t.mock.method(console, "error", () => {})
+	})
+
+	it("sends problem details to JSON clients", async () => {
+		const response = await createFailingRouter().inject({
+			url: "/invalid",
+			headers: { Accept: "application/json" },
+		})
+
+		assert.equal(response.status, 400)
+		assert.equal(response.headers["content-type"], "application/problem+json")
+		assert.equal(response.headers.vary, "Accept")
+		assert.deepEqual(response.json(), {
+			type: "about:blank",
+			title: "Bad Request",
+			status: 400,
+			detail: "Missing name",
+			instance: "/invalid",
+			field: "name",
+		})
+	})
+
+	it("hides the message of server errors", async () => {
+		const response = await createFailingRouter().inject({
+			url: "/crash",
+			headers: { Accept: "application/json" },
+		})
+
+		assert.equal(response.status, 500)
+		assert.equal(response.json().detail, "Internal Server Error")
+		assert.ok(!response.body.includes("password"))
+	})
+
+	it("sends problem details to clients accepting any format", async () => {
+		const response = await createFailingRouter().inject("/invalid")
+
+		assert.equal(response.headers["content-type"], "application/problem+json")
+	})
+
+	it("sends plain text to clients asking for it", async () => {
+		const response = await createFailingRouter().inject({ url: "/invalid", headers: { Accept: "text/plain" } })
+
+		assert.equal(response.status, 400)
+		assert.match(response.headers["content-type"], /^text\/plain/)
+		assert.equal(response.body, "Missing name")
+	})
+
+	it("falls back to plain text for HTML clients without a view engine", async () => {
+		const response = await createFailingRouter().inject({ url: "/invalid", headers: { Accept: "text/html" } })
+
+		assert.match(response.headers["content-type"], /^text\/plain/)
+	})
+
+	it("renders the error view of the status for HTML clients", async () => {
+		const app = createFailingRouter().setViews({ dir: viewsDir })
+		const response = await app.inject({ url: "/missing", headers: { Accept: "text/html,*/*;q=0.8" } })
+
+		assert.equal(response.status, 404)
+		assert.match(response.headers["content-type"], /^text\/html/)
+		assert.match(response.body, /<h1>Page Not Found<\/h1>/)
+	})
+
+	it("renders the generic error view for the other statuses", async () => {
+		const app = createFailingRouter().setViews({ dir: viewsDir })
+		const response = await app.inject({ url: "/crash", headers: { Accept: "text/html" } })
+
+		assert.equal(response.status, 500)
+		assert.match(response.headers["content-type"], /^text\/html/)
+		assert.ok(!response.body.includes("password"))
+	})
+
+	it("lets error middleware answer first", async () => {
+		const app = createFailingRouter()
+		app.use((error, req, res, next) => {
+			if (error instanceof BadRequest) return res.status(422).json({ error: error.message })
+			next(error)
+		})
+
+		assert.deepEqual((await app.inject("/invalid")).json(), { error: "Missing name" })
+		assert.equal((await app.inject("/crash")).status, 500)
+	})
+})
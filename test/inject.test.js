@@ -0,0 +1,77 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+
+import { Router } from "../router.js"
+
+describe("inject", () => {
+	it("sends a GET request when given a URL", async () => {
+		const app = new Router()
+		app.get("/search", (req, res) => res.json({ method: req.method, q: req.queryParams.get("q") }))
+
+		const response = await app.inject("/search?q=lakes")
+
+		assert.equal(response.status, 200)
+		assert.equal(response.headers["content-type"], "application/json; charset=utf-8")
+		assert.deepEqual(response.json(), { method: "GET", q: "lakes" })
+	})
+
+	it("sends values as JSON bodies", async () => {
+		const app = new Router()
+		app.post("/users", (req, res) => res.status(201).json({ id: 1, ...req.body }))
+
+		const response = await app.inject({ method: "post", url: "/users", body: { name: "Ada" } })
+
+		assert.equal(response.status, 201)
+		assert.deepEqual(response.json(), { id: 1, name: "Ada" })
+	})
+
+	it("sends streamed bodies chunked", async () => {
+		const app = new Router()
+		app.post("/echo", (req, res) => res.json({ encoding: req.headers["transfer-encoding"], body: req.body }))
+
+		async function* chunks() {
+			yield "hello "
+			yield "world"
+		}
+		const response = await app.inject({
+			method: "POST",
+			url: "/echo",
+			headers: { "Content-Type": "text/plain" },
+			body: chunks(),
+		})
+
+		assert.deepEqual(response.json(), { encoding: "chunked", body: "hello world" })
+	})
+
+	it("simulates the address of the client", async () => {
+		const app = new Router()
+		app.get("/ip", (req, res) => res.send(req.socket.remoteAddress))
+
+		assert.equal((await app.inject("/ip")).body, "127.0.0.1")
+		assert.equal((await app.inject({ url: "/ip", remoteAddress: "203.0.113.7" })).body, "203.0.113.7")
+	})
+
+	it("reads the headers given to writeHead()", async () => {
+		const app = new Router()
+		app.get("/raw", (req, res) => {
+			res.setHeader("Set-Cookie", ["a=1", "b=2"])
+			res.writeHead(202, { "Content-Type": "text/plain", "X-Custom": "yes" })
+			res.end("accepted")
+		})
+
+		const response = await app.inject("/raw")
+
+		assert.equal(response.status, 202)
+		assert.equal(response.headers["x-custom"], "yes")
+		assert.deepEqual(response.headers["set-cookie"], ["a=1", "b=2"])
+		assert.equal(response.body, "accepted")
+	})
+
+	it("keeps binary bodies intact", async () => {
+		const app = new Router()
+		const bytes = Buffer.from([0, 255, 128, 10, 13])
+		app.get("/bytes", (req, res) => res.type("bin").send(bytes))
+
+		assert.deepEqual((await app.inject("/bytes")).rawBody, bytes)
+	})
+})
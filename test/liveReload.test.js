@@ -0,0 +1,59 @@
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import path from "node:path"
+import { after, before, describe, it } from "node:test"
+
+import { enableLiveReload } from "../liveReload.js"
+import { Router } from "../router.js"
+import { securityHeaders } from "../security.js"
+import { deserialize } from "../static/serializer.js"
+
+describe("live reload", () => {
+	let directory
+	let app
+	let liveReload
+
+	before(async () => {
+		directory = await mkdtemp(path.join(tmpdir(), "live-reload-"))
+		await mkdir(path.join(directory, "assets"))
+		await mkdir(path.join(directory, "views"))
+
+		app = new Router()
+		app.use(securityHeaders())
+		liveReload = enableLiveReload(app, {
+			staticDir: path.join(directory, "assets"),
+			staticPrefix: "/assets",
+			viewsDir: path.join(directory, "views"),
+		})
+		app.get("/", (req, res) => res.type("html").send("<html><body><h1>Home</h1></body></html>"))
+		app.get("/data", (req, res) => res.json({ body: "</body>" }))
+	})
+
+	after(async () => {
+		liveReload.close()
+		await rm(directory, { recursive: true, force: true })
+	})
+
+	it("injects the client script in HTML pages, with the nonce of the response", async () => {
+		const response = await app.inject("/")
+		const nonce = response.headers["content-security-policy"].match(/'nonce-([^']+)'/)[1]
+
+		assert.ok(response.body.includes(`<script type="module" nonce="${nonce}">`))
+		assert.match(response.body, /import \{ deserialize \} from "\/assets\/serializer\.js"/)
+		assert.match(response.body, /<\/script><\/body><\/html>$/)
+		assert.deepEqual((await app.inject("/data")).json(), { body: "</body>" })
+	})
+
+	it("sends the serialized path of the changed stylesheets", async () => {
+		const pending = app.inject("/__live-reload")
+		await new Promise((resolve) => setTimeout(resolve, 50))
+		await writeFile(path.join(directory, "assets", "site.css"), "body { color: teal }")
+		await new Promise((resolve) => setTimeout(resolve, 300))
+		liveReload.close()
+
+		const { body } = await pending
+		const data = body.match(/event: css\n(?:id: \d+\n)?data: (.*)\n/)[1]
+		assert.equal(deserialize(data), "/assets/site.css")
+	})
+})
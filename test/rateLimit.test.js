@@ -0,0 +1,151 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+
+import { concurrencyLimit, rateLimit } from "../rateLimit.js"
+import { Router } from "../router.js"
+
+/**
+ * Creates a router with a rate limited route.
+ * @param {object} options - The rate limit options
+ * @returns {{ app: Router, limiter: function }}
+ */
+const createLimitedRouter = (options) => {
+	const app = new Router()
+	const limiter = rateLimit(options)
+	app.use(limiter)
+	app.get("/", (req, res) => res.send("ok"))
+	return { app, limiter }
+}
+
+/**
+ * Sends GET requests one after the other and lists their statuses.
+ * @param {Router} app - The router
+ * @param {number} count - The number of requests
+ * @param {object} [options={}] - More request options, e.g. `remoteAddress`
+ * @returns {Promise<number[]>}
+ */
+const statusesOf = async (app, count, options = {}) => {
+	const statuses = []
+	for (let index = 0; index < count; index++) statuses.push((await app.inject({ url: "/", ...options })).status)
+	return statuses
+}
+
+describe("rateLimit", () => {
+	it("limits the requests of each window with a 429", async () => {
+		const { app } = createLimitedRouter({ limit: 2 })
+
+		assert.deepEqual(await statusesOf(app, 3), [200, 200, 429])
+
+		const limited = await app.inject("/")
+		assert.equal(limited.headers["ratelimit-limit"], "2")
+		assert.equal(limited.headers["ratelimit-remaining"], "0")
+		assert.equal(limited.headers["ratelimit-policy"], "2;w=60")
+		assert.ok(Number(limited.headers["retry-after"]) > 0)
+	})
+
+	it("counts each client separately", async () => {
+		const { app } = createLimitedRouter({ limit: 1 })
+
+		assert.deepEqual(await statusesOf(app, 2, { remoteAddress: "203.0.113.1" }), [200, 429])
+		assert.deepEqual(await statusesOf(app, 1, { remoteAddress: "203.0.113.2" }), [200])
+	})
+
+	it("only reads the forwarded address when trusting the proxy", async () => {
+		const forwardedFrom = (address) => ({ headers: { "X-Forwarded-For": `${address}, 10.0.0.1` } })
+
+		const { app: trusting } = createLimitedRouter({ limit: 1, trustProxy: true })
+		assert.deepEqual(await statusesOf(trusting, 1, forwardedFrom("203.0.113.1")), [200])
+		assert.deepEqual(await statusesOf(trusting, 1, forwardedFrom("203.0.113.2")), [200])
+
+		const { app: untrusting } = createLimitedRouter({ limit: 1 })
+		assert.deepEqual(await statusesOf(untrusting, 1, forwardedFrom("203.0.113.1")), [200])
+		assert.deepEqual(await statusesOf(untrusting, 1, forwardedFrom("203.0.113.2")), [429])
+	})
+
+	it("refills the token bucket over time", async () => {
+		const { app } = createLimitedRouter({ algorithm: "token-bucket", limit: 2, windowMs: 400 })
+
+		assert.deepEqual(await statusesOf(app, 3), [200, 200, 429])
+		await new Promise((resolve) => setTimeout(resolve, 250))
+		assert.deepEqual(await statusesOf(app, 1), [200])
+	})
+
+	it("skips the requests chosen by the application", async () => {
+		const { app } = createLimitedRouter({ limit: 1, skip: (req) => req.headers["x-internal"] === "yes" })
+
+		assert.deepEqual(await statusesOf(app, 3, { headers: { "X-Internal": "yes" } }), [200, 200, 200])
+		assert.deepEqual(await statusesOf(app, 2), [200, 429])
+	})
+
+	it("forgets the counter of a reset client", async () => {
+		const { app, limiter } = createLimitedRouter({ limit: 1 })
+
+		assert.deepEqual(await statusesOf(app, 2), [200, 429])
+		limiter.store.reset("127.0.0.1")
+		assert.deepEqual(await statusesOf(app, 1), [200])
+	})
+
+	it("rejects unknown algorithms", () => {
+		assert.throws(() => rateLimit({ algorithm: "leaky-bucket" }), TypeError)
+	})
+})
+
+describe("concurrencyLimit", () => {
+	/**
+	 * Waits for the event loop to run the handlers of the sent requests.
+	 * @returns {Promise<void>}
+	 */
+	const tick = () => new Promise((resolve) => setImmediate(resolve))
+
+	/**
+	 * Creates a router whose requests are handled once released.
+	 * @param {object} options - The concurrency options
+	 * @returns {{ app: Router, release: function, limiter: function }} - `release()` waits for a request
+	 *                                                                   being handled and lets it finish
+	 */
+	const createBusyRouter = (options) => {
+		const app = new Router()
+		const limiter = concurrencyLimit(options)
+		const pending = []
+		app.use(limiter)
+		app.get("/", async (req, res) => {
+			await new Promise((resolve) => pending.push(resolve))
+			res.send("done")
+		})
+		const release = async () => {
+			while (!pending.length) await tick()
+			pending.shift()()
+		}
+		return { app, release, limiter }
+	}
+
+	it("sheds the requests over the limit with a 503", async () => {
+		const { app, release } = createBusyRouter({ max: 1, retryAfter: 3 })
+
+		const first = app.inject("/")
+		await tick()
+		const shed = await app.inject("/")
+		assert.equal(shed.status, 503)
+		assert.equal(shed.headers["retry-after"], "3")
+
+		await release()
+		assert.equal((await first).status, 200)
+	})
+
+	it("queues the requests until a slot is free", async () => {
+		const { app, release, limiter } = createBusyRouter({ max: 1, queue: 1 })
+
+		const first = app.inject("/")
+		await tick()
+		const second = app.inject("/")
+		await tick()
+		assert.equal(limiter.active, 1)
+		assert.equal(limiter.queued, 1)
+
+		await release()
+		assert.equal((await first).status, 200)
+		await release()
+		assert.equal((await second).status, 200)
+		assert.equal(limiter.active, 0)
+	})
+})
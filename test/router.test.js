@@ -0,0 +1,109 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+
+import { Router } from "../router.js"
+
+/**
+ * Creates a router answering every route with the route pattern and the extracted parameters.
+ * @param {string[]} routePaths - The paths of the GET routes
+ * @returns {Router}
+ */
+const createEchoRouter = (routePaths) => {
+	const app = new Router()
+	for (const routePath of routePaths) {
+		app.get(routePath, (req, res) => res.json({ route: req.route.path, params: { ...req.params } }))
+	}
+	return app
+}
+
+describe("routing", () => {
+	it("prefers static segments, then parameters, then wildcards", async () => {
+		const app = createEchoRouter(["/users/me", "/users/:id", "/users/*rest"])
+
+		assert.deepEqual((await app.inject("/users/me")).json(), { route: "/users/me", params: {} })
+		assert.deepEqual((await app.inject("/users/42")).json(), { route: "/users/:id", params: { id: "42" } })
+		assert.deepEqual((await app.inject("/users/42/posts")).json(), {
+			route: "/users/*rest",
+			params: { rest: "42/posts" },
+		})
+	})
+
+	it("tries constrained parameters before the other ones", async () => {
+		const app = createEchoRouter(["/items/:id(\\d+)", "/items/:slug"])
+
+		assert.equal((await app.inject("/items/7")).json().route, "/items/:id(\\d+)")
+		assert.equal((await app.inject("/items/seven")).json().route, "/items/:slug")
+	})
+
+	it("backtracks to the next candidate when a branch has no matching route", async () => {
+		const app = createEchoRouter(["/users/me/settings", "/users/:id/posts"])
+
+		assert.deepEqual((await app.inject("/users/me/posts")).json(), {
+			route: "/users/:id/posts",
+			params: { id: "me" },
+		})
+		assert.equal((await app.inject("/users/me/settings")).json().route, "/users/me/settings")
+	})
+
+	it("drops the parameters of abandoned branches", async () => {
+		const app = createEchoRouter(["/:a/x/y", "/:b/x/z"])
+
+		assert.deepEqual((await app.inject("/v/x/z")).json().params, { b: "v" })
+	})
+
+	it("backtracks to a route registered for the request method", async () => {
+		const app = new Router()
+		app.post("/users/me", (req, res) => res.send("static"))
+		app.get("/users/:id", (req, res) => res.send(`param ${req.params.id}`))
+
+		assert.equal((await app.inject("/users/me")).body, "param me")
+		assert.equal((await app.inject({ method: "POST", url: "/users/me" })).body, "static")
+	})
+
+	it("answers unknown paths with a 404", async () => {
+		const app = createEchoRouter(["/users/:id"])
+
+		assert.equal((await app.inject("/users")).status, 404)
+		assert.equal((await app.inject("/users/1/2")).status, 404)
+	})
+})
+
+describe("methods", () => {
+	const createApp = () => {
+		const app = new Router()
+		app.get("/resource", (req, res) => res.type("txt").send("content"))
+		app.put("/resource", (req, res) => res.status(204).send())
+		return app
+	}
+
+	it("answers other methods with a 405 and the allowed methods", async () => {
+		const response = await createApp().inject({ method: "DELETE", url: "/resource" })
+
+		assert.equal(response.status, 405)
+		assert.equal(response.headers.allow, "GET, PUT, HEAD, OPTIONS")
+	})
+
+	it("answers OPTIONS requests with the allowed methods", async () => {
+		const response = await createApp().inject({ method: "OPTIONS", url: "/resource" })
+
+		assert.equal(response.status, 204)
+		assert.equal(response.headers.allow, "GET, PUT, HEAD, OPTIONS")
+		assert.equal(response.body, "")
+	})
+
+	it("handles HEAD requests with the GET route, without the body", async () => {
+		const response = await createApp().inject({ method: "HEAD", url: "/resource" })
+
+		assert.equal(response.status, 200)
+		assert.equal(response.headers["content-type"], "text/plain; charset=utf-8")
+		assert.equal(response.headers["content-length"], "7")
+		assert.equal(response.body, "")
+	})
+
+	it("lets all() routes handle every method", async () => {
+		const app = new Router()
+		app.all("/any", (req, res) => res.send(req.method))
+
+		assert.equal((await app.inject({ method: "PATCH", url: "/any" })).body, "PATCH")
+	})
+})
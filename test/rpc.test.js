@@ -0,0 +1,124 @@
+import assert from "node:assert/strict"
+import { beforeEach, describe, it } from "node:test"
+
+import { Router } from "../router.js"
+import { RPCError, rpcContentType } from "../rpc.js"
+import { csrf } from "../security.js"
+import { deserialize, serialize } from "../static/serializer.js"
+
+/**
+ * Calls an exposed function like the client stubs of `static/rpc.js` do.
+ * @param {Router} app - The router
+ * @param {string} name - The name of the function
+ * @param {*[]} args - The arguments
+ * @param {object} [headers={}] - Extra request headers
+ * @returns {Promise<{ status: number, payload: object }>} - The status and the deserialized response, if it's
+ *                                                         an RPC one and not e.g. a CSRF error
+ */
+const call = async (app, name, args, headers = {}) => {
+	const response = await app.inject({
+		method: "POST",
+		url: `${app.rpcPath}/${name}`,
+		headers: { "Content-Type": rpcContentType, Accept: rpcContentType, ...headers },
+		body: serialize(args),
+	})
+	const isRPCResponse = String(response.headers["content-type"]).startsWith(rpcContentType)
+	return { status: response.status, payload: isRPCResponse ? deserialize(response.body) : undefined }
+}
+
+describe("rpc", () => {
+	let app
+
+	beforeEach(() => {
+		app = new Router()
+		app.expose("add", (a, b) => a + b, { maxArgs: 2 })
+		app.expose("nextDay", (date) => new Date(date.getTime() + 86400000))
+		app.expose("whoami", function () {
+			return this.req.headers["user-agent"]
+		})
+		app.expose("positive", (value) => value, { validate: ([value]) => value > 0 })
+		app.expose("withdraw", () => {
+			throw new RPCError("Insufficient funds", { code: "INSUFFICIENT_FUNDS", status: 409, details: { balance: 5 } })
+		})
+		app.expose("crash", () => {
+			throw new Error("Database password leaked")
+		})
+	})
+
+	it("calls the exposed functions with the deserialized arguments", async () => {
+		assert.deepEqual(await call(app, "add", [2, 3]), { status: 200, payload: { result: 5 } })
+
+		const { payload } = await call(app, "nextDay", [new Date(0)])
+		assert.ok(payload.result instanceof Date)
+		assert.equal(payload.result.getTime(), 86400000)
+	})
+
+	it("calls the functions with the request", async () => {
+		const { payload } = await call(app, "whoami", [], { "User-Agent": "test client" })
+
+		assert.equal(payload.result, "test client")
+	})
+
+	it("only calls the exposed functions", async () => {
+		const { status, payload } = await call(app, "constructor", [])
+
+		assert.equal(status, 404)
+		assert.equal(payload.error.code, "NOT_FOUND")
+	})
+
+	it("rejects requests that aren't serialized", async () => {
+		const response = await app.inject({ method: "POST", url: `${app.rpcPath}/add`, body: [2, 3] })
+
+		assert.equal(response.status, 415)
+		assert.equal(deserialize(response.body).error.code, "UNSUPPORTED_MEDIA_TYPE")
+	})
+
+	it("validates the arguments", async () => {
+		assert.equal((await call(app, "add", [1, 2, 3])).payload.error.code, "INVALID_ARGUMENTS")
+		assert.equal((await call(app, "positive", [-1])).payload.error.code, "INVALID_ARGUMENTS")
+		assert.equal((await call(app, "positive", [1])).payload.result, 1)
+
+		const { status, payload } = await call(app, "add", { a: 1 })
+		assert.equal(status, 400)
+		assert.equal(payload.error.message, "Arguments must be an array")
+	})
+
+	it("sends the RPC errors thrown by the functions", async () => {
+		const { status, payload } = await call(app, "withdraw", [])
+
+		assert.equal(status, 409)
+		assert.deepEqual(payload.error, {
+			name: "RPCError",
+			code: "INSUFFICIENT_FUNDS",
+			message: "Insufficient funds",
+			details: { balance: 5 },
+		})
+	})
+
+	it("hides the other errors", async (t) => {
+		t.mock.method(console, "error", () => {})
+		const { status, payload } = await call(app, "crash", [])
+
+		assert.equal(status, 500)
+		assert.equal(payload.error.code, "INTERNAL_ERROR")
+		assert.ok(!payload.error.message.includes("password"))
+	})
+
+	it("needs the CSRF token when the routes are protected", async () => {
+		const protectedApp = new Router()
+		protectedApp.use(csrf())
+		protectedApp.get("/", (req, res) => res.json({ token: req.csrfToken() }))
+		protectedApp.expose("add", (a, b) => a + b)
+
+		const page = await protectedApp.inject("/")
+		const cookie = [].concat(page.headers["set-cookie"])[0].split(";")[0]
+
+		assert.equal((await call(protectedApp, "add", [1, 2], { Cookie: cookie })).status, 403)
+		const { status, payload } = await call(protectedApp, "add", [1, 2], {
+			Cookie: cookie,
+			"X-CSRF-Token": page.json().token,
+		})
+		assert.equal(status, 200)
+		assert.equal(payload.result, 3)
+	})
+})
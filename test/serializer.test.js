@@ -0,0 +1,79 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+
+import { deserialize, serialize } from "../static/serializer.js"
+
+/**
+ * Serializes a value and deserializes the result.
+ * @param {*} value - The value
+ * @returns {*} - The copy of the value
+ */
+const roundTrip = (value) => deserialize(serialize(value))
+
+describe("serializer", () => {
+	it("round-trips the values JSON can't represent", () => {
+		for (const value of [undefined, NaN, Infinity, -Infinity, -0, 10n ** 30n]) {
+			assert.ok(Object.is(roundTrip(value), value), String(value))
+		}
+		assert.deepEqual(roundTrip({ missing: undefined }), { missing: undefined })
+	})
+
+	it("round-trips the built-in objects", () => {
+		const value = {
+			date: new Date(0),
+			pattern: /^a+$/gi,
+			url: new URL("https://example.com/path?q=1"),
+			map: new Map([[{ id: 1 }, "one"]]),
+			set: new Set([1, "two"]),
+			bytes: new Uint8Array([0, 127, 255]),
+			floats: new Float64Array([0.5, -1]),
+		}
+
+		assert.deepEqual(roundTrip(value), value)
+	})
+
+	it("round-trips errors with their name and message", () => {
+		const error = roundTrip(new RangeError("Out of range"))
+
+		assert.ok(error instanceof Error)
+		assert.equal(error.name, "RangeError")
+		assert.equal(error.message, "Out of range")
+	})
+
+	it("keeps the holes of sparse arrays", () => {
+		const array = roundTrip([1, , 3])
+
+		assert.equal(array.length, 3)
+		assert.ok(!(1 in array))
+	})
+
+	it("keeps repeated and circular references", () => {
+		const shared = { name: "shared" }
+		const value = { first: shared, second: shared }
+		value.self = value
+
+		const copy = roundTrip(value)
+		assert.equal(copy.first, copy.second)
+		assert.equal(copy.self, copy)
+	})
+
+	it("defines __proto__ keys as own properties", () => {
+		const copy = deserialize('[{"__proto__":1},{"polluted":2},true]')
+
+		assert.equal(Object.getPrototypeOf(copy), Object.prototype)
+		assert.deepEqual(Object.keys(copy), ["__proto__"])
+		assert.equal({}.polluted, undefined)
+	})
+
+	it("rejects the values it can't serialize", () => {
+		assert.throws(() => serialize({ callback: () => {} }), TypeError)
+		assert.throws(() => serialize(Symbol("id")), TypeError)
+		assert.throws(() => serialize(new DataView(new ArrayBuffer(1))), TypeError)
+	})
+
+	it("rejects invalid serialized values", () => {
+		assert.throws(() => deserialize('{"a":1}'), TypeError)
+		assert.throws(() => deserialize("[[5]]"), /Invalid serialized reference/)
+		assert.throws(() => deserialize('[["Function","alert(1)"]]'), /Unknown serialized type/)
+	})
+})
@@ -0,0 +1,119 @@
+import assert from "node:assert/strict"
+import { once } from "node:events"
+import { connect } from "node:net"
+import { describe, it } from "node:test"
+
+import { createServer, Router } from "../router.js"
+
+/**
+ * Starts a server on a free port.
+ * @param {Router} app - The router
+ * @param {object} [options] - The server options
+ * @returns {Promise<{ server: http.Server, origin: string }>}
+ */
+const listen = async (app, options) => {
+	const server = createServer(app, options).listen(0, "127.0.0.1")
+	await once(server, "listening")
+	return { server, origin: `http://127.0.0.1:${server.address().port}` }
+}
+
+/**
+ * Opens a WebSocket connection with a raw socket, answering the close frame of the server.
+ * @param {http.Server} server - The listening server
+ * @param {string} path - The path of the WebSocket route
+ * @returns {Promise<{ socket: net.Socket, closeCode: Promise<number> }>} - The socket and the code of the
+ *                                                                         close frame it receives
+ */
+const openWebSocket = async (server, path) => {
+	const socket = connect(server.address().port, "127.0.0.1")
+	socket.write(
+		`GET ${path} HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n` +
+			"Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n"
+	)
+	const [handshake] = await once(socket, "data")
+	assert.match(String(handshake), /^HTTP\/1\.1 101 /)
+
+	const closeCode = new Promise((resolve) => {
+		socket.on("data", (frame) => {
+			if (frame[0] !== 0x88) return
+			// Echo the close frame, masked with a zero key
+			socket.write(Buffer.from([0x88, 0x82, 0, 0, 0, 0, frame[2], frame[3]]))
+			resolve(frame.readUInt16BE(2))
+		})
+	})
+	return { socket, closeCode }
+}
+
+describe("server", () => {
+	it("only handles the process signals while listening", async () => {
+		const listeners = process.listenerCount("SIGTERM")
+		const app = new Router()
+
+		createServer(app)
+		assert.equal(process.listenerCount("SIGTERM"), listeners)
+
+		const { server } = await listen(app)
+		assert.equal(process.listenerCount("SIGTERM"), listeners + 1)
+
+		await server.shutdown()
+		assert.equal(process.listenerCount("SIGTERM"), listeners)
+	})
+
+	it("waits for the requests in flight when shutting down", async () => {
+		const app = new Router()
+		let release
+		const handling = new Promise((resolve) => (release = resolve))
+		let started
+		const hasStarted = new Promise((resolve) => (started = resolve))
+		app.get("/slow", async (req, res) => {
+			started()
+			await handling
+			res.send("done")
+		})
+		const { server, origin } = await listen(app, { signals: false })
+
+		const pending = fetch(`${origin}/slow`)
+		await hasStarted
+		let isClosed = false
+		const closing = server.shutdown().then(() => (isClosed = true))
+		await new Promise((resolve) => setTimeout(resolve, 20))
+		assert.equal(isClosed, false)
+
+		release()
+		const response = await pending
+		assert.equal(await response.text(), "done")
+		assert.equal(response.headers.get("connection"), "close")
+		await closing
+	})
+
+	it("closes like the native server", async () => {
+		const app = new Router()
+		const notListening = createServer(app, { signals: false })
+
+		let closeError
+		assert.equal(
+			notListening.close((error) => (closeError = error)),
+			notListening
+		)
+		await new Promise((resolve) => setImmediate(resolve))
+		assert.equal(closeError.code, "ERR_SERVER_NOT_RUNNING")
+		await assert.rejects(notListening.shutdown(), { code: "ERR_SERVER_NOT_RUNNING" })
+
+		const { server } = await listen(app, { signals: false })
+		await new Promise((resolve, reject) => server.close((error) => (error ? reject(error) : resolve())))
+		assert.equal(server.listening, false)
+	})
+
+	it("closes the WebSockets with a going away code", async () => {
+		const app = new Router()
+		app.ws("/live", () => {})
+		const { server } = await listen(app, { signals: false })
+
+		const { socket, closeCode } = await openWebSocket(server, "/live")
+		const closing = server.shutdown({ timeout: 2000 })
+
+		assert.equal(await closeCode, 1001)
+		await once(socket, "close")
+		await closing
+	})
+})
@@ -0,0 +1,182 @@
+import assert from "node:assert/strict"
+import { mkdtemp, readdir, rm } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import path from "node:path"
+import { after, before, describe, it } from "node:test"
+
+import { Router } from "../router.js"
+import { FileStore, session } from "../session.js"
+
+/**
+ * Reads the `name=value` pairs of the cookies set by a response.
+ * @param {object} headers - The response headers
+ * @returns {string} - The cookies, as a `Cookie` request header
+ */
+const cookiesOf = (headers) =>
+	[]
+		.concat(headers["set-cookie"] || [])
+		.map((cookie) => cookie.split(";")[0])
+		.join("; ")
+
+/**
+ * Creates a router counting the visits of each session.
+ * @param {object} [options={}] - The session options
+ * @returns {Router}
+ */
+const createCountingRouter = (options = {}) => {
+	const app = new Router()
+	app.use(session({ secrets: ["test secret"], ...options }))
+	app.get("/visit", (req, res) => {
+		req.session.visits = (req.session.visits || 0) + 1
+		res.json({ visits: req.session.visits })
+	})
+	app.get("/peek", (req, res) => res.json({ visits: req.session.visits ?? null }))
+	app.post("/login", async (req, res) => {
+		const previousId = req.session.id
+		await req.session.regenerate()
+		res.json({ changed: req.session.id !== previousId })
+	})
+	app.post("/logout", async (req, res) => {
+		await req.session.destroy()
+		res.status(204).send()
+	})
+	return app
+}
+
+describe("cookies", () => {
+	it("parses the cookies and verifies the signed ones", async () => {
+		const app = new Router().setCookieSecrets(["new secret", "old secret"])
+		app.get("/set", (req, res) => res.cookie("theme", "dark").cookie("user", "ada", { signed: true }).send())
+		app.get("/read", (req, res) => res.json({ cookies: req.cookies, signed: req.signedCookies }))
+
+		const cookie = cookiesOf((await app.inject("/set")).headers)
+		const { cookies, signed } = (await app.inject({ url: "/read", headers: { Cookie: cookie } })).json()
+		assert.equal(cookies.theme, "dark")
+		assert.deepEqual(signed, { user: "ada" })
+
+		const tampered = cookie.replace("ada", "eve")
+		assert.deepEqual((await app.inject({ url: "/read", headers: { Cookie: tampered } })).json().signed, {
+			user: false,
+		})
+	})
+})
+
+describe("session", () => {
+	it("only sends a cookie once the session holds data", async () => {
+		const app = createCountingRouter()
+
+		assert.equal((await app.inject("/peek")).headers["set-cookie"], undefined)
+		assert.match(cookiesOf((await app.inject("/visit")).headers), /^sid=s%3A/)
+	})
+
+	it("keeps the data of a session between requests", async () => {
+		const app = createCountingRouter()
+		const cookie = cookiesOf((await app.inject("/visit")).headers)
+
+		assert.deepEqual((await app.inject({ url: "/visit", headers: { Cookie: cookie } })).json(), { visits: 2 })
+		assert.deepEqual((await app.inject({ url: "/peek", headers: { Cookie: cookie } })).json(), { visits: 2 })
+	})
+
+	it("ignores sessions whose cookie isn't signed by the secrets", async () => {
+		const app = createCountingRouter()
+		const cookie = cookiesOf((await app.inject("/visit")).headers)
+		const otherApp = createCountingRouter({ secrets: ["other secret"] })
+
+		assert.deepEqual((await otherApp.inject({ url: "/peek", headers: { Cookie: cookie } })).json(), { visits: null })
+	})
+
+	it("ends the response right away while the session is being saved", async () => {
+		const app = new Router()
+		let state
+		app.use(session({ secrets: ["test secret"] }))
+		app.get("/", (req, res) => {
+			req.session.seen = true
+			res.send("ok")
+			state = { ended: res.writableEnded, headersSent: res.headersSent }
+		})
+
+		await app.inject("/")
+		assert.deepEqual(state, { ended: true, headersSent: true })
+	})
+
+	it("gives regenerated sessions a new ID and keeps their data", async () => {
+		const app = createCountingRouter()
+		const cookie = cookiesOf((await app.inject("/visit")).headers)
+
+		const login = await app.inject({ method: "POST", url: "/login", headers: { Cookie: cookie } })
+		assert.deepEqual(login.json(), { changed: true })
+		const newCookie = cookiesOf(login.headers)
+		assert.notEqual(newCookie, cookie)
+
+		assert.deepEqual((await app.inject({ url: "/peek", headers: { Cookie: newCookie } })).json(), { visits: 1 })
+		assert.deepEqual((await app.inject({ url: "/peek", headers: { Cookie: cookie } })).json(), { visits: null })
+	})
+
+	it("clears the cookie of destroyed sessions", async () => {
+		const app = createCountingRouter()
+		const cookie = cookiesOf((await app.inject("/visit")).headers)
+
+		const logout = await app.inject({ method: "POST", url: "/logout", headers: { Cookie: cookie } })
+		assert.match([].concat(logout.headers["set-cookie"])[0], /^sid=; .*Expires=Thu, 01 Jan 1970/)
+		assert.deepEqual((await app.inject({ url: "/peek", headers: { Cookie: cookie } })).json(), { visits: null })
+	})
+
+	it("fails with a configuration error without secrets", async (t) => {
+		t.mock.method(console, "error", () => {})
+		const app = new Router()
+		app.use(session())
+		app.get("/", (req, res) => {
+			req.session.seen = true
+			res.send("ok")
+		})
+
+		const response = await app.inject({ url: "/", headers: { Accept: "application/json" } })
+		assert.equal(response.status, 500)
+		assert.match(console.error.mock.calls[0].arguments[1].message, /session\(\) needs secrets/)
+
+		assert.throws(() => session({ secrets: [] }), TypeError)
+	})
+})
+
+describe("FileStore", () => {
+	let directory
+	let store
+
+	before(async () => {
+		directory = await mkdtemp(path.join(tmpdir(), "sessions-"))
+		store = new FileStore({ directory })
+	})
+
+	after(async () => {
+		store.close()
+		await rm(directory, { recursive: true, force: true })
+	})
+
+	it("saves, reads and destroys sessions", async () => {
+		const id = "a".repeat(43)
+		await store.set(id, { userId: 5 }, 60)
+		assert.deepEqual(await store.get(id), { userId: 5 })
+
+		await store.destroy(id)
+		assert.equal(await store.get(id), undefined)
+	})
+
+	it("keeps a complete session when it's saved concurrently", async () => {
+		const id = "b".repeat(43)
+		const saves = Array.from({ length: 20 }, (_, index) => store.set(id, { index, padding: "x".repeat(10000) }, 60))
+		await Promise.all(saves)
+
+		assert.equal((await store.get(id)).padding.length, 10000)
+		assert.deepEqual(await readdir(directory), [`${id}.json`])
+	})
+
+	it("expires sessions", async () => {
+		const id = "c".repeat(43)
+		await store.set(id, { userId: 5 }, -1)
+		assert.equal(await store.get(id), undefined)
+	})
+
+	it("rejects IDs that could point outside of the directory", async () => {
+		await assert.rejects(store.set("../escape", {}, 60), /Invalid session ID/)
+	})
+})
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+
+import { Router } from "../router.js"
+import { deserialize } from "../static/serializer.js"
+
+/**
+ * Parses an event stream into its events.
+ * @param {string} body - The event stream
+ * @returns {object[]} - The events, `{ id, event, data }` with the data deserialized
+ */
+const parseEvents = (body) =>
+	body
+		.split("\n\n")
+		.filter((block) => block.includes("event: "))
+		.map((block) => {
+			const fields = { id: undefined, event: undefined, data: [] }
+			for (const line of block.split("\n")) {
+				const [name, ...value] = line.split(": ")
+				if (name === "data") fields.data.push(value.join(": "))
+				else fields[name] = value.join(": ")
+			}
+			return { ...fields, data: deserialize(fields.data.join("\n")) }
+		})
+
+/**
+ * Creates a router with an event channel whose streams end right after connecting.
+ * @returns {{ app: Router, channel: EventChannel }}
+ */
+const createClosingChannel = () => {
+	const app = new Router()
+	const channel = app.sse("/events", (req, stream) => stream.close(), { heartbeat: 0 })
+	return { app, channel }
+}
+
+describe("server-sent events", () => {
+	it("sends serialized events", async () => {
+		const app = new Router()
+		app.sse(
+			"/events",
+			(req, stream) => {
+				stream.send("continent", { name: "Africa", since: new Date(0), notes: "line 1\nline 2" })
+				stream.close()
+			},
+			{ heartbeat: 0 }
+		)
+
+		const response = await app.inject("/events")
+
+		assert.equal(response.headers["content-type"], "text/event-stream")
+		assert.match(response.body, /^retry: 1000\n\n/)
+		assert.deepEqual(parseEvents(response.body), [
+			{ id: undefined, event: "continent", data: { name: "Africa", since: new Date(0), notes: "line 1\nline 2" } },
+		])
+	})
+
+	it("broadcasts to the connected clients", async () => {
+		const app = new Router()
+		const channel = app.sse("/events", undefined, { heartbeat: 0 })
+
+		const pending = app.inject("/events")
+		while (!channel.streams.size) await new Promise((resolve) => setImmediate(resolve))
+		channel.broadcast("count", 1)
+		channel.close()
+
+		assert.deepEqual(parseEvents((await pending).body), [{ id: "1", event: "count", data: 1 }])
+		assert.equal(channel.streams.size, 0)
+	})
+
+	it("doesn't replay the history to new clients", async () => {
+		const { app, channel } = createClosingChannel()
+		channel.broadcast("count", 1)
+		channel.broadcast("count", 2)
+
+		assert.deepEqual(parseEvents((await app.inject("/events")).body), [])
+	})
+
+	it("replays the events missed by resuming clients", async () => {
+		const { app, channel } = createClosingChannel()
+		channel.broadcast("count", 1)
+		channel.broadcast("count", 2)
+		channel.broadcast("count", 3)
+
+		const resumed = await app.inject({ url: "/events", headers: { "Last-Event-ID": "1" } })
+		assert.deepEqual(
+			parseEvents(resumed.body).map(({ data }) => data),
+			[2, 3]
+		)
+
+		const fromQuery = await app.inject("/events?lastEventId=2")
+		assert.deepEqual(
+			parseEvents(fromQuery.body).map(({ data }) => data),
+			[3]
+		)
+	})
+
+	it("keeps a bounded history", async () => {
+		const app = new Router()
+		const channel = app.sse("/events", (req, stream) => stream.close(), { heartbeat: 0, historySize: 2 })
+		for (let count = 1; count <= 5; count++) channel.broadcast("count", count)
+
+		const resumed = await app.inject({ url: "/events", headers: { "Last-Event-ID": "0" } })
+		assert.deepEqual(
+			parseEvents(resumed.body).map(({ data }) => data),
+			[4, 5]
+		)
+	})
+
+	it("only sends the headers to HEAD requests", async () => {
+		const { app } = createClosingChannel()
+		const response = await app.inject({ method: "HEAD", url: "/events" })
+
+		assert.equal(response.status, 200)
+		assert.equal(response.headers["content-type"], "text/event-stream")
+		assert.equal(response.body, "")
+	})
+})
@@ -0,0 +1,128 @@
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, rm, symlink, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import path from "node:path"
+import { after, before, describe, it } from "node:test"
+
+import { Router } from "../router.js"
+import { StaticAssetLoader } from "../staticAssetLoader.js"
+
+describe("static assets", () => {
+	let directory
+	let app
+
+	before(async () => {
+		directory = await mkdtemp(path.join(tmpdir(), "static-"))
+		const root = path.join(directory, "public")
+		await mkdir(root)
+		await writeFile(path.join(root, "digits.txt"), "0123456789")
+		await writeFile(path.join(root, ".env"), "PASSWORD=hunter2")
+		await writeFile(path.join(directory, "secret.txt"), "PASSWORD=swordfish")
+		await symlink(path.join(directory, "secret.txt"), path.join(root, "link.txt"))
+
+		app = new Router()
+		new StaticAssetLoader().serveStaticAssets(app, { root, prefix: "assets" })
+	})
+
+	after(() => rm(directory, { recursive: true, force: true }))
+
+	describe("ranges", () => {
+		/**
+		 * Requests the digits file with a Range header.
+		 * @param {string} range - The Range header
+		 * @returns {Promise<object>} - The response
+		 */
+		const requestRange = (range) => app.inject({ url: "/assets/digits.txt", headers: { Range: range } })
+
+		it("sends the requested byte range", async () => {
+			const response = await requestRange("bytes=2-5")
+
+			assert.equal(response.status, 206)
+			assert.equal(response.headers["content-range"], "bytes 2-5/10")
+			assert.equal(response.body, "2345")
+		})
+
+		it("sends open-ended and suffix ranges", async () => {
+			assert.equal((await requestRange("bytes=7-")).body, "789")
+			assert.equal((await requestRange("bytes=-3")).body, "789")
+			assert.equal((await requestRange("bytes=8-100")).body, "89")
+		})
+
+		it("answers unsatisfiable ranges with a 416", async () => {
+			const response = await requestRange("bytes=10-12")
+
+			assert.equal(response.status, 416)
+			assert.equal(response.headers["content-range"], "bytes */10")
+		})
+
+		it("ignores invalid and multiple ranges", async () => {
+			for (const range of ["bytes=5-2", "bytes=0-1,4-5", "items=0-1", "bytes=-"]) {
+				const response = await requestRange(range)
+				assert.equal(response.status, 200, range)
+				assert.equal(response.body, "0123456789", range)
+			}
+		})
+
+		it("sends the whole file when If-Range doesn't match", async () => {
+			const response = await app.inject({
+				url: "/assets/digits.txt",
+				headers: { Range: "bytes=0-1", "If-Range": '"outdated"' },
+			})
+
+			assert.equal(response.status, 200)
+			assert.equal(response.body, "0123456789")
+		})
+	})
+
+	describe("path traversal", () => {
+		it("forbids the paths leading outside of the root directory", async () => {
+			for (const url of [
+				"/assets/../secret.txt",
+				"/assets/%2e%2e/secret.txt",
+				"/assets/..%2fsecret.txt",
+				"/assets/..%5csecret.txt",
+				"/assets/digits.txt%00.png",
+			]) {
+				const response = await app.inject(url)
+				assert.equal(response.status, 403, url)
+				assert.ok(!response.body.includes("swordfish"), url)
+			}
+		})
+
+		it("forbids the symbolic links leading outside of the root directory", async () => {
+			assert.equal((await app.inject("/assets/link.txt")).status, 403)
+		})
+
+		it("hides the dotfiles", async () => {
+			const response = await app.inject("/assets/.env")
+
+			assert.equal(response.status, 404)
+			assert.ok(!response.body.includes("hunter2"))
+		})
+	})
+
+	describe("caching", () => {
+		it("answers a matching If-None-Match with a 304", async () => {
+			const { headers } = await app.inject("/assets/digits.txt")
+			assert.ok(headers.etag)
+			assert.ok(headers["last-modified"])
+
+			const revalidated = await app.inject({ url: "/assets/digits.txt", headers: { "If-None-Match": headers.etag } })
+			assert.equal(revalidated.status, 304)
+			assert.equal(revalidated.body, "")
+
+			const changed = await app.inject({ url: "/assets/digits.txt", headers: { "If-None-Match": '"other"' } })
+			assert.equal(changed.status, 200)
+		})
+
+		it("answers a recent enough If-Modified-Since with a 304", async () => {
+			const { headers } = await app.inject("/assets/digits.txt")
+			const response = await app.inject({
+				url: "/assets/digits.txt",
+				headers: { "If-Modified-Since": headers["last-modified"] },
+			})
+
+			assert.equal(response.status, 304)
+		})
+	})
+})
@@ -0,0 +1,168 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+
+import { Router } from "../router.js"
+import { queryToObject, validate } from "../validator.js"
+
+/**
+ * Lists the keywords of the violations of a value.
+ * @param {object} schema - The JSON schema
+ * @param {*} value - The value
+ * @returns {string[]}
+ */
+const failedKeywords = (schema, value) => validate(schema, value).errors.map(({ keyword }) => keyword)
+
+describe("validate", () => {
+	it("checks the types", () => {
+		assert.deepEqual(failedKeywords({ type: "integer" }, 1.5), ["type"])
+		assert.deepEqual(failedKeywords({ type: ["string", "null"] }, null), [])
+		assert.deepEqual(failedKeywords({ type: "object" }, []), ["type"])
+		assert.deepEqual(failedKeywords({ type: "number" }, NaN), ["type"])
+	})
+
+	it("checks the strings, counting characters", () => {
+		assert.deepEqual(failedKeywords({ type: "string", maxLength: 2 }, "😀😀"), [])
+		assert.deepEqual(failedKeywords({ type: "string", minLength: 3, pattern: "^[a-z]+$" }, "A"), [
+			"minLength",
+			"pattern",
+		])
+	})
+
+	it("checks the formats", () => {
+		assert.deepEqual(failedKeywords({ format: "email" }, "ada@example.com"), [])
+		assert.deepEqual(failedKeywords({ format: "email" }, "ada"), ["format"])
+		assert.deepEqual(failedKeywords({ format: "date" }, "2024-02-31"), ["format"])
+		assert.deepEqual(failedKeywords({ format: "date-time" }, "2024-02-10T12:00:00Z"), [])
+		assert.deepEqual(failedKeywords({ format: "uri" }, "not a uri"), ["format"])
+	})
+
+	it("checks the numbers", () => {
+		const schema = { type: "number", exclusiveMinimum: 0, maximum: 10, multipleOf: 0.5 }
+
+		assert.deepEqual(failedKeywords(schema, 2.5), [])
+		assert.deepEqual(failedKeywords(schema, 0), ["exclusiveMinimum"])
+		assert.deepEqual(failedKeywords(schema, 10.25), ["maximum", "multipleOf"])
+	})
+
+	it("checks the arrays and their items", () => {
+		const schema = { type: "array", items: { type: "integer" }, maxItems: 3, uniqueItems: true }
+		const { errors } = validate(schema, [1, "two", 1, 4], { path: "ids" })
+
+		assert.deepEqual(
+			errors.map(({ path, keyword }) => [path, keyword]),
+			[
+				["ids", "maxItems"],
+				["ids[1]", "type"],
+				["ids", "uniqueItems"],
+			]
+		)
+	})
+
+	it("checks the objects and applies the defaults", () => {
+		const schema = {
+			type: "object",
+			properties: { name: { type: "string" }, role: { enum: ["admin", "user"], default: "user" } },
+			required: ["name"],
+			additionalProperties: false,
+		}
+
+		assert.deepEqual(validate(schema, { name: "Ada" }), { value: { name: "Ada", role: "user" }, errors: [] })
+		assert.deepEqual(
+			validate(schema, { role: "root", extra: 1 }).errors.map(({ message }) => message),
+			['value.role must be one of "admin", "user"', "value.name is required", "value.extra is not allowed"]
+		)
+	})
+
+	it("combines schemas with anyOf and allOf", () => {
+		const schema = { anyOf: [{ type: "string" }, { type: "integer", minimum: 0 }] }
+
+		assert.deepEqual(failedKeywords(schema, "text"), [])
+		assert.deepEqual(failedKeywords(schema, -1), ["anyOf"])
+		assert.deepEqual(failedKeywords({ allOf: [{ minimum: 1 }, { maximum: 2 }] }, 3), ["maximum"])
+	})
+
+	it("converts the strings to the declared types when coercing", () => {
+		const schema = {
+			type: "object",
+			properties: {
+				page: { type: "integer" },
+				draft: { type: "boolean" },
+				tags: { type: "array", items: { type: "string" } },
+			},
+		}
+		const { value, errors } = validate(schema, { page: "2", draft: "false", tags: "news" }, { coerce: true })
+
+		assert.deepEqual(errors, [])
+		assert.deepEqual(value, { page: 2, draft: false, tags: ["news"] })
+		assert.equal(validate(schema, { page: "two" }, { coerce: true }).errors[0].keyword, "type")
+	})
+
+	it("requires a value", () => {
+		assert.deepEqual(validate({ type: "object" }, undefined, { path: "body" }).errors, [
+			{ path: "body", keyword: "required", message: "body is required" },
+		])
+	})
+})
+
+describe("queryToObject", () => {
+	it("collects the repeated parameters in arrays", () => {
+		assert.deepEqual({ ...queryToObject(new URLSearchParams("tag=a&tag=b&page=1")) }, { tag: ["a", "b"], page: "1" })
+	})
+})
+
+describe("route schemas", () => {
+	/**
+	 * Creates a router with a route validating its parameters, query and body.
+	 * @returns {Router}
+	 */
+	const createValidatingRouter = () => {
+		const app = new Router()
+		app.put("/users/:id", (req, res) => res.json({ id: req.params.id, query: req.query, body: req.body }), {
+			schema: {
+				params: { type: "object", properties: { id: { type: "integer", minimum: 1 } } },
+				query: { type: "object", properties: { notify: { type: "boolean", default: false } } },
+				body: {
+					type: "object",
+					properties: { name: { type: "string", minLength: 1 } },
+					required: ["name"],
+				},
+			},
+		})
+		return app
+	}
+
+	it("passes the validated values to the handler", async () => {
+		const response = await createValidatingRouter().inject({
+			method: "PUT",
+			url: "/users/5",
+			body: { name: "Ada" },
+		})
+
+		assert.equal(response.status, 200)
+		assert.deepEqual(response.json(), { id: 5, query: { notify: false }, body: { name: "Ada" } })
+	})
+
+	it("rejects invalid requests with the violations", async () => {
+		const response = await createValidatingRouter().inject({
+			method: "PUT",
+			url: "/users/0?notify=maybe",
+			body: { name: "" },
+		})
+
+		assert.equal(response.status, 400)
+		assert.deepEqual(
+			response.json().errors.map(({ path }) => path),
+			["params.id", "query.notify", "body.name"]
+		)
+	})
+
+	it("doesn't coerce the body", async () => {
+		const app = new Router()
+		app.post("/count", (req, res) => res.json(req.body), {
+			schema: { body: { type: "object", properties: { count: { type: "integer" } } } },
+		})
+
+		const response = await app.inject({ method: "POST", url: "/count", body: { count: "5" } })
+		assert.equal(response.status, 400)
+	})
+})
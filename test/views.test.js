@@ -0,0 +1,92 @@
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import path from "node:path"
+import { after, before, describe, it } from "node:test"
+
+import { Router } from "../router.js"
+import { Views } from "../views.js"
+
+describe("views", () => {
+	let directory
+	let dir
+
+	/**
+	 * Writes the templates of a views directory.
+	 * @param {string} name - The name of the views directory
+	 * @param {object} templates - The contents of the templates, by name
+	 * @returns {Promise<string>} - The path of the views directory
+	 */
+	const writeViews = async (name, templates) => {
+		const viewsDir = path.join(directory, name)
+		for (const [templateName, content] of Object.entries(templates)) {
+			await mkdir(path.dirname(path.join(viewsDir, templateName)), { recursive: true })
+			await writeFile(path.join(viewsDir, templateName), content)
+		}
+		return viewsDir
+	}
+
+	before(async () => {
+		directory = await mkdtemp(path.join(tmpdir(), "views-"))
+		dir = await writeViews("site", {
+			"layouts/main.html": "<title><%= it.title %></title><main><%~ it.body %></main>",
+			"page.html": "<h1><%= it.title %></h1>",
+			"greeting.html": "<p><%= it.siteName %>: hello <%= it.name %></p>",
+		})
+	})
+
+	after(() => rm(directory, { recursive: true, force: true }))
+
+	it("renders the views inside the layout, escaping the data", () => {
+		const views = new Views({ dir })
+
+		assert.equal(
+			views.render("page.html", { title: "<Home>" }),
+			"<title>&lt;Home&gt;</title><main><h1>&lt;Home&gt;</h1></main>"
+		)
+		assert.equal(views.render("page.html", { title: "Alone" }, { layout: false }), "<h1>Alone</h1>")
+	})
+
+	it("renders the views alone when the default layout doesn't exist", async () => {
+		const noLayoutDir = await writeViews("no-layout", { "page.html": "<h1><%= it.title %></h1>" })
+
+		assert.equal(new Views({ dir: noLayoutDir }).render("page.html", { title: "Home" }), "<h1>Home</h1>")
+	})
+
+	it("renders asynchronous templates", async () => {
+		const asyncDir = await writeViews("async", { "count.html": "<p><%= await it.count() %></p>" })
+		const views = new Views({ dir: asyncDir, async: true })
+
+		assert.equal(await views.renderAsync("count.html", { count: async () => 3 }), "<p>3</p>")
+	})
+
+	it("fails at startup on a template with a syntax error, naming it", async () => {
+		const brokenDir = await writeViews("broken", { "ok.html": "ok", "broken.html": "<%= it.title" })
+
+		assert.throws(() => new Views({ dir: brokenDir }), /Failed to compile view "broken\.html"/)
+		assert.doesNotThrow(() => new Views({ dir: brokenDir, precompile: false }))
+	})
+
+	it("compiles an invalidated template again", async () => {
+		const changingDir = await writeViews("changing", { "page.html": "before" })
+		const views = new Views({ dir: changingDir })
+		assert.equal(views.render("page.html"), "before")
+
+		await writeFile(path.join(changingDir, "page.html"), "after")
+		assert.equal(views.render("page.html"), "before")
+		views.invalidate(path.join(changingDir, "page.html"))
+		assert.equal(views.render("page.html"), "after")
+	})
+
+	it("renders the responses with the app locals and the loaded view data", async () => {
+		const app = new Router().setViews({ dir, layout: false })
+		app.locals.siteName = "Atlas"
+		app.get("/greeting", (req, res) => res.render("greeting.html"), {
+			data: { name: async (req) => req.queryParams.get("name") },
+		})
+
+		const response = await app.inject("/greeting?name=Ada")
+		assert.equal(response.headers["content-type"], "text/html; charset=utf-8")
+		assert.equal(response.body, "<p>Atlas: hello Ada</p>")
+	})
+})
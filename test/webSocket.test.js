@@ -0,0 +1,131 @@
+import assert from "node:assert/strict"
+import { once } from "node:events"
+import { connect } from "node:net"
+import { after, before, describe, it } from "node:test"
+
+import { createServer, Router } from "../router.js"
+
+/**
+ * Sends the handshake of a WebSocket connection with a raw socket.
+ * @param {http.Server} server - The listening server
+ * @param {string} path - The path of the WebSocket route
+ * @returns {Promise<{ socket: net.Socket, response: string, nextFrame: function }>} - The socket, the response
+ *                                                                                    to the handshake and a function
+ *                                                                                    reading the next short frame
+ */
+const openWebSocket = async (server, path) => {
+	const socket = connect(server.address().port, "127.0.0.1")
+	let received = Buffer.alloc(0)
+	let notify = () => {}
+	socket.on("data", (data) => {
+		received = Buffer.concat([received, data])
+		notify()
+	})
+	socket.on("close", () => notify())
+
+	const receive = async (length) => {
+		while (received.length < length()) {
+			if (socket.destroyed) throw new Error("Connection closed")
+			await new Promise((resolve) => (notify = resolve))
+		}
+	}
+
+	socket.write(
+		`GET ${path} HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n` +
+			"Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n"
+	)
+	await receive(() => (received.includes("\r\n\r\n") ? 0 : received.length + 1))
+	const headerEnd = received.indexOf("\r\n\r\n") + 4
+	const response = String(received.subarray(0, headerEnd))
+	received = received.subarray(headerEnd)
+
+	const nextFrame = async () => {
+		await receive(() => (received.length < 2 ? 2 : 2 + received[1]))
+		const frame = { opcode: received[0] & 0x0f, payload: received.subarray(2, 2 + received[1]) }
+		received = received.subarray(2 + received[1])
+		return frame
+	}
+	return { socket, response, nextFrame }
+}
+
+/**
+ * Encodes a short client frame, masked with a zero key.
+ * @param {number} opcode - The frame opcode
+ * @param {Buffer} payload - The payload, up to 125 bytes
+ * @returns {Buffer} - The frame
+ */
+const clientFrame = (opcode, payload) =>
+	Buffer.concat([Buffer.from([0x80 | opcode, 0x80 | payload.length, 0, 0, 0, 0]), payload])
+
+describe("WebSocket", { timeout: 10000 }, () => {
+	const app = new Router()
+	const responses = []
+	const errors = []
+	let server
+
+	before(async () => {
+		app.addHook("onResponse", (req, res) => responses.push({ path: req.path, status: res.statusCode }))
+		app.addHook("onError", (error) => errors.push(error.message))
+		app.use("/private", (req, res) => res.status(401).send("Unauthorized"))
+		app.ws("/echo", (webSocket) => webSocket.on("message", (data) => webSocket.send(`echo: ${data}`)))
+		app.ws("/private", () => {})
+		app.ws("/broken", async () => {
+			throw new Error("handler failed")
+		})
+		app.ws("/throwing", (webSocket) =>
+			webSocket.on("message", () => {
+				throw new Error("listener failed")
+			})
+		)
+		server = createServer(app, { signals: false }).listen(0, "127.0.0.1")
+		await once(server, "listening")
+	})
+
+	after(() => server.shutdown({ timeout: 100 }))
+
+	it("exchanges messages once the handshake is done", async () => {
+		const { socket, response, nextFrame } = await openWebSocket(server, "/echo")
+		assert.match(response, /^HTTP\/1\.1 101 .*\r\nSec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=\r\n/s)
+
+		socket.write(clientFrame(0x1, Buffer.from("hello")))
+		const { opcode, payload } = await nextFrame()
+		assert.equal(opcode, 0x1)
+		assert.equal(String(payload), "echo: hello")
+		socket.destroy()
+	})
+
+	it("settles the request with the handshake", async () => {
+		const { socket } = await openWebSocket(server, "/echo")
+		assert.deepEqual(responses.at(-1), { path: "/echo", status: 101 })
+		socket.destroy()
+	})
+
+	it("lets the middleware reject the upgrade", async () => {
+		const { socket, response } = await openWebSocket(server, "/private")
+		assert.match(response, /^HTTP\/1\.1 401 /)
+		await once(socket, "close")
+	})
+
+	it("closes with 1011 and reports the errors of the handler", async (t) => {
+		t.mock.method(console, "error", () => {})
+		const { socket, nextFrame } = await openWebSocket(server, "/broken")
+		const { opcode, payload } = await nextFrame()
+
+		assert.equal(opcode, 0x8)
+		assert.equal(payload.readUInt16BE(0), 1011)
+		assert.equal(errors.at(-1), "handler failed")
+		socket.destroy()
+	})
+
+	it("closes with 1011 when a message listener throws", async (t) => {
+		t.mock.method(console, "error", () => {})
+		const { socket, nextFrame } = await openWebSocket(server, "/throwing")
+		socket.write(clientFrame(0x1, Buffer.from("hello")))
+		const { opcode, payload } = await nextFrame()
+
+		assert.equal(opcode, 0x8)
+		assert.equal(payload.readUInt16BE(0), 1011)
+		assert.match(console.error.mock.calls[0].arguments[1].message, /listener failed/)
+		socket.destroy()
+	})
+})
@@ -0,0 +1,277 @@
+/**
+ * Validator of the JSON Schema subset used by route schemas, with no dependency.
+ *
+ * Supported keywords:
+ * - any value: `type` (a type or an array of types), `enum`, `const`, `anyOf`, `allOf`
+ * - strings: `minLength`, `maxLength`, `pattern`, `format` ("email", "uri", "uuid", "date", "date-time")
+ * - numbers: `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`
+ * - arrays: `items`, `minItems`, `maxItems`, `uniqueItems`
+ * - objects: `properties`, `required`, `additionalProperties`, and `default` in property schemas
+ */
+
+/**
+ * Patterns of the supported string formats.
+ */
+const formats = {
+	email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+	uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+	date: /^\d{4}-\d{2}-\d{2}$/,
+	"date-time": /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})$/,
+}
+
+/**
+ * Checks whether a value is of a JSON Schema type.
+ * @param {*} value - The value
+ * @param {string} type - The type: "string", "number", "integer", "boolean", "array", "object" or "null"
+ * @returns {boolean}
+ */
+const isOfType = (value, type) => {
+	switch (type) {
+		case "number":
+			return typeof value === "number" && Number.isFinite(value)
+		case "integer":
+			return Number.isInteger(value)
+		case "array":
+			return Array.isArray(value)
+		case "object":
+			return typeof value === "object" && value !== null && !Array.isArray(value)
+		case "null":
+			return value === null
+		default:
+			return typeof value === type
+	}
+}
+
+/**
+ * Converts a string (from a path parameter, the query string or a header) to a declared type.
+ * @param {*} value - The value
+ * @param {string[]} types - The declared types
+ * @returns {*} - The converted value, or the value itself if it can't be converted
+ */
+const coerce = (value, types) => {
+	// A single query parameter is accepted for an array
+	if (types.includes("array") && !Array.isArray(value)) return [value]
+	if (typeof value !== "string" || types.includes("string")) return value
+
+	for (const type of types) {
+		if ((type === "number" || type === "integer") && value.trim() !== "" && !Number.isNaN(Number(value))) {
+			return Number(value)
+		}
+		if (type === "boolean" && ["true", "false", "1", "0"].includes(value)) {
+			return value === "true" || value === "1"
+		}
+		if (type === "null" && (value === "" || value === "null")) return null
+	}
+	return value
+}
+
+/**
+ * Checks whether two JSON values are equal, for `enum`, `const` and `uniqueItems`.
+ * @param {*} a - A value
+ * @param {*} b - Another value
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b)
+
+/**
+ * Checks a value against a schema, collecting the violations.
+ * @param {object} schema - The schema
+ * @param {*} value - The value, not undefined
+ * @param {string} path - The path of the value, for the error messages
+ * @param {object[]} errors - The array receiving the violations
+ * @param {boolean} coerceStrings - Whether strings are converted to the declared types
+ * @returns {*} - The value, coerced and with the defaults of its properties
+ */
+const check = (schema, value, path, errors, coerceStrings) => {
+	const fail = (keyword, message) => errors.push({ path, keyword, message: `${path} ${message}` })
+
+	const types = schema.type === undefined ? null : [].concat(schema.type)
+	if (types && coerceStrings) value = coerce(value, types)
+
+	if (types && !types.some((type) => isOfType(value, type))) {
+		fail("type", `must be ${types.join(" or ")}`)
+		return value
+	}
+
+	if (schema.enum && !schema.enum.some((allowed) => isEqual(allowed, value))) {
+		fail("enum", `must be one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(", ")}`)
+	}
+	if ("const" in schema && !isEqual(schema.const, value)) {
+		fail("const", `must be ${JSON.stringify(schema.const)}`)
+	}
+
+	if (typeof value === "string") {
+		// Count characters, not UTF-16 code units
+		const length = [...value].length
+		if (schema.minLength !== undefined && length < schema.minLength) {
+			fail("minLength", `must have at least ${schema.minLength} characters`)
+		}
+		if (schema.maxLength !== undefined && length > schema.maxLength) {
+			fail("maxLength", `must have at most ${schema.maxLength} characters`)
+		}
+		if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {
+			fail("pattern", `must match the pattern ${schema.pattern}`)
+		}
+		if (schema.format !== undefined && !isOfFormat(value, schema.format)) {
+			fail("format", `must be a valid ${schema.format}`)
+		}
+	}
+
+	if (typeof value === "number") {
+		if (schema.minimum !== undefined && value < schema.minimum) fail("minimum", `must be >= ${schema.minimum}`)
+		if (schema.maximum !== undefined && value > schema.maximum) fail("maximum", `must be <= ${schema.maximum}`)
+		if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+			fail("exclusiveMinimum", `must be > ${schema.exclusiveMinimum}`)
+		}
+		if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+			fail("exclusiveMaximum", `must be < ${schema.exclusiveMaximum}`)
+		}
+		if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+			fail("multipleOf", `must be a multiple of ${schema.multipleOf}`)
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			fail("minItems", `must have at least ${schema.minItems} items`)
+		}
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			fail("maxItems", `must have at most ${schema.maxItems} items`)
+		}
+		if (schema.items) {
+			value = value.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors, coerceStrings))
+		}
+		if (schema.uniqueItems && value.some((item, index) => value.findIndex((other) => isEqual(other, item)) !== index)) {
+			fail("uniqueItems", "must not have duplicate items")
+		}
+	}
+
+	if (
+		isOfType(value, "object") &&
+		(schema.properties || schema.required || schema.additionalProperties !== undefined)
+	) {
+		value = checkObject(schema, value, path, errors, coerceStrings)
+	}
+
+	if (schema.allOf) {
+		for (const subSchema of schema.allOf) value = check(subSchema, value, path, errors, coerceStrings)
+	}
+
+	if (schema.anyOf) {
+		let matched = false
+		for (const subSchema of schema.anyOf) {
+			const subErrors = []
+			const subValue = check(subSchema, value, path, subErrors, coerceStrings)
+			if (!subErrors.length) {
+				value = subValue
+				matched = true
+				break
+			}
+		}
+		if (!matched) fail("anyOf", "must match one of the allowed schemas")
+	}
+
+	return value
+}
+
+/**
+ * Checks the properties of an object, applying the defaults of the missing ones.
+ * @param {object} schema - The object schema
+ * @param {object} object - The object
+ * @param {string} path - The path of the object
+ * @param {object[]} errors - The array receiving the violations
+ * @param {boolean} coerceStrings - Whether strings are converted to the declared types
+ * @returns {object} - A copy of the object with the checked properties
+ */
+const checkObject = (schema, object, path, errors, coerceStrings) => {
+	const properties = schema.properties || {}
+	const result = { ...object }
+
+	for (const [name, propertySchema] of Object.entries(properties)) {
+		if (result[name] === undefined && "default" in propertySchema) {
+			result[name] = structuredClone(propertySchema.default)
+		} else if (result[name] !== undefined) {
+			result[name] = check(propertySchema, result[name], `${path}.${name}`, errors, coerceStrings)
+		}
+	}
+
+	for (const name of schema.required || []) {
+		if (result[name] === undefined) {
+			errors.push({ path: `${path}.${name}`, keyword: "required", message: `${path}.${name} is required` })
+		}
+	}
+
+	if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+		for (const name of Object.keys(result)) {
+			if (Object.hasOwn(properties, name)) continue
+
+			if (schema.additionalProperties === false) {
+				errors.push({
+					path: `${path}.${name}`,
+					keyword: "additionalProperties",
+					message: `${path}.${name} is not allowed`,
+				})
+			} else {
+				result[name] = check(schema.additionalProperties, result[name], `${path}.${name}`, errors, coerceStrings)
+			}
+		}
+	}
+
+	return result
+}
+
+/**
+ * Checks whether a string has a format.
+ * @param {string} value - The string
+ * @param {string} format - The format name, unknown formats are accepted
+ * @returns {boolean}
+ */
+const isOfFormat = (value, format) => {
+	if (format === "uri") return URL.canParse(value)
+	if (!formats[format]) return true
+	if (!formats[format].test(value)) return false
+	// Reject impossible dates like 2024-02-31
+	if (format === "date") {
+		const date = new Date(`${value}T00:00:00Z`)
+		return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+	}
+	if (format === "date-time") return !Number.isNaN(Date.parse(value))
+	return true
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @example
+ * validate({ type: "object", properties: { id: { type: "integer" } } }, { id: "5" }, { coerce: true, path: "params" })
+ * // { value: { id: 5 }, errors: [] }
+ *
+ * @param {object} schema - The JSON schema
+ * @param {*} value - The value to validate
+ * @param {object} [options={}] - The validation options
+ * @param {boolean} [options.coerce=false] - Whether strings are converted to the declared types (numbers, booleans, arrays, null)
+ * @param {string} [options.path="value"] - The name of the value in the error messages
+ * @returns {{ value: *, errors: { path: string, keyword: string, message: string }[] }} - The coerced value, with defaults, and the violations
+ */
+export const validate = (schema, value, { coerce = false, path = "value" } = {}) => {
+	const errors = []
+	if (value === undefined) {
+		errors.push({ path, keyword: "required", message: `${path} is required` })
+		return { value, errors }
+	}
+	return { value: check(schema, value, path, errors, coerce), errors }
+}
+
+/**
+ * Converts query parameters to an object, the values of repeated parameters being collected in arrays.
+ * @param {URLSearchParams} queryParams - The query parameters
+ * @returns {object}
+ */
+export const queryToObject = (queryParams) => {
+	const query = Object.create(null)
+	for (const name of queryParams.keys()) {
+		const values = queryParams.getAll(name)
+		query[name] = values.length === 1 ? values[0] : values
+	}
+	return query
+}
@@ -0,0 +1,129 @@
+// Import the file functions listing and reading the views
+import { existsSync, readdirSync, readFileSync } from "node:fs"
+
+// Import the 'path' module for path manipulation
+import path from "node:path"
+
+// Import the template engine
+import { Eta } from "eta"
+
+/**
+ * Views class rendering the templates of a views directory with Eta, inside a layout.
+ *
+ * A view is rendered first, then the layout with the same data and the rendered view in
+ * `it.body`, e.g. `<main><%~ it.body %></main>`. Templates are compiled once and cached;
+ * with `precompile`, they're all compiled when the views are created, so a syntax error
+ * fails at startup rather than on the first request rendering the template.
+ *
+ * It's set as the view engine of a router by `app.setViews()`, see `res.render()`.
+ */
+export class Views {
+	/**
+	 * @param {object} [options={}] - The views options
+	 * @param {string} [options.dir="views"] - The views directory, relative to the current directory or absolute
+	 * @param {string|false} [options.layout="layouts/main.html"] - The default layout, relative to the views
+	 *                                                              directory, used when the file exists
+	 * @param {boolean} [options.async=false] - Whether templates are rendered asynchronously, so they can `await`
+	 * @param {boolean} [options.precompile=true] - Whether to compile every template right away
+	 * @param {string[]} [options.extensions=[".html", ".eta"]] - The extensions of the templates to precompile
+	 * @param {object} [options.engine={}] - More Eta options, e.g. `{ autoEscape: false }`
+	 * @throws {Error} - If a template can't be compiled, with the name of the template
+	 */
+	constructor(options = {}) {
+		const {
+			dir = "views",
+			layout = "layouts/main.html",
+			async = false,
+			precompile = true,
+			extensions = [".html", ".eta"],
+			engine = {},
+		} = options
+
+		this.dir = path.resolve(dir)
+		this.async = async
+		this.extensions = extensions
+		// The default layout is optional, views are rendered alone when it doesn't exist
+		this.layout = layout && existsSync(path.join(this.dir, layout)) ? layout : false
+		this.engine = new Eta({ views: this.dir, cache: true, ...engine })
+
+		if (precompile) this.precompile()
+	}
+
+	/**
+	 * Compiles every template of the views directory into the cache.
+	 * @throws {Error} - If a template can't be compiled, with the name of the template
+	 */
+	precompile() {
+		const templateNames = readdirSync(this.dir, { recursive: true }).filter((name) =>
+			this.extensions.includes(path.extname(name))
+		)
+
+		for (const templateName of templateNames) {
+			const filepath = path.join(this.dir, templateName)
+			try {
+				const templateFn = this.engine.compile(readFileSync(filepath, "utf8"), { filepath, async: this.async })
+				// Stored under the same key as Eta uses when it loads the template itself
+				const templates = this.async ? this.engine.templatesAsync : this.engine.templatesSync
+				templates.define(filepath, templateFn)
+			} catch (error) {
+				// Eta appends the compiled function to its messages, keep the syntax error only
+				const message = error.message.split("\n=")[0].replace(/\n+/g, " ")
+				throw new Error(`Failed to compile view "${templateName}": ${message}`, { cause: error })
+			}
+		}
+	}
+
+	/**
+	 * Drops a template from the cache, so it's compiled again on its next render.
+	 * @param {string} filepath - The absolute path of the template
+	 */
+	invalidate(filepath) {
+		this.engine.templatesSync.remove(filepath)
+		this.engine.templatesAsync.remove(filepath)
+	}
+
+	/**
+	 * Renders a view inside its layout.
+	 * @param {string} view - The name of the view, relative to the views directory
+	 * @param {object} [data={}] - The data object passed to the view and the layout
+	 * @param {object} [options={}] - The render options
+	 * @param {string|false} [options.layout] - The layout, false to render the view alone, the default layout otherwise
+	 * @returns {string} - The rendered HTML
+	 */
+	render(view, data = {}, { layout = this.layout } = {}) {
+		const body = this.engine.render(view, data)
+		return layout ? this.engine.render(layout, withBody(data, body)) : body
+	}
+
+	/**
+	 * Renders a view inside its layout, allowing the templates to `await`.
+	 * @param {string} view - The name of the view, relative to the views directory
+	 * @param {object} [data={}] - The data object passed to the view and the layout
+	 * @param {object} [options={}] - The render options, see `render()`
+	 * @returns {Promise<string>} - The rendered HTML
+	 */
+	async renderAsync(view, data = {}, { layout = this.layout } = {}) {
+		const body = await this.engine.renderAsync(view, data)
+		return layout ? this.engine.renderAsync(layout, withBody(data, body)) : body
+	}
+}
+
+/**
+ * Builds the data of a layout, the data of its view with the rendered view as `body`.
+ *
+ * The properties are copied with their descriptors, so getters like the `csrfToken` of
+ * `res.render()` are only read if the layout uses them.
+ *
+ * @param {object} data - The data of the view
+ * @param {string} body - The rendered view
+ * @returns {object} - The data of the layout
+ */
+const withBody = (data, body) => {
+	const layoutData = Object.defineProperties({}, Object.getOwnPropertyDescriptors(data))
+	return Object.defineProperty(layoutData, "body", {
+		value: body,
+		enumerable: true,
+		writable: true,
+		configurable: true,
+	})
+}
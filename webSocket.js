@@ -0,0 +1,459 @@
+// Import the hash function of the handshake
+import { createHash } from "node:crypto"
+
+// Import the event emitter WebSockets extend
+import { EventEmitter } from "node:events"
+
+/**
+ * GUID appended to the client key to compute `Sec-WebSocket-Accept` (RFC 6455, section 1.3).
+ */
+const handshakeGUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"
+
+/**
+ * Frame opcodes.
+ */
+const opcodes = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa }
+
+/**
+ * Strict UTF-8 decoder, text messages and close reasons must be valid UTF-8.
+ */
+const utf8Decoder = new TextDecoder("utf-8", { fatal: true })
+
+/**
+ * Error failing the connection with a close code (RFC 6455, section 7.4.1).
+ */
+class ProtocolError extends Error {
+	/**
+	 * @param {number} code - The close code sent to the client
+	 * @param {string} message - The close reason
+	 */
+	constructor(code, message) {
+		super(message)
+		this.code = code
+	}
+}
+
+/**
+ * A WebSocket connection to a client (RFC 6455), created by `app.ws()` routes.
+ *
+ * Events:
+ * - `message` with `(data, isBinary)`: data is a string for text messages and a Buffer for binary ones
+ * - `ping` and `pong` with `(payload)`: pings are answered automatically
+ * - `close` with `(code, reason)`: 1006 if the connection was lost without a close frame
+ * - `error` with `(error)`: errors of the underlying socket, and errors thrown by the other listeners,
+ *   which close the connection with 1011
+ */
+export class WebSocket extends EventEmitter {
+	static CONNECTING = 0
+	static OPEN = 1
+	static CLOSING = 2
+	static CLOSED = 3
+
+	/**
+	 * @param {net.Socket} socket - The upgraded socket
+	 * @param {Buffer} head - The data received after the handshake
+	 * @param {object} [options={}] - The connection options
+	 * @param {number} [options.maxMessageSize=1048576] - The maximum size of a message in bytes, larger messages close the connection with 1009
+	 * @param {number} [options.pingInterval=30000] - The interval of the pings in milliseconds, closing unresponsive connections, 0 to disable
+	 * @param {string} [options.protocol=""] - The subprotocol chosen in the handshake
+	 */
+	constructor(socket, head, { maxMessageSize = 1048576, pingInterval = 30000, protocol = "" } = {}) {
+		super()
+		this.socket = socket
+		this.maxMessageSize = maxMessageSize
+		this.protocol = protocol
+		this.readyState = WebSocket.OPEN
+
+		this.buffer = Buffer.alloc(0)
+		// Frames of the message being received, when it's fragmented
+		this.fragments = null
+		this.closeReceived = false
+		this.closeCode = 1006
+		this.closeReason = ""
+
+		socket.setNoDelay(true)
+		socket.setTimeout(0)
+		socket.on("data", (chunk) => this.#onData(chunk))
+		socket.on("error", (error) => {
+			// Don't crash on connection resets when nobody listens for errors
+			if (this.listenerCount("error")) this.emit("error", error)
+		})
+		socket.once("close", () => {
+			this.readyState = WebSocket.CLOSED
+			clearInterval(this.pingTimer)
+			clearTimeout(this.closeTimer)
+			this.emit("close", this.closeCode, this.closeReason)
+		})
+
+		// Terminate the connections that didn't answer the last ping
+		if (pingInterval) {
+			this.isAlive = true
+			this.pingTimer = setInterval(() => {
+				if (!this.isAlive) return this.terminate()
+				this.isAlive = false
+				this.ping()
+			}, pingInterval)
+			this.pingTimer.unref()
+		}
+
+		if (head && head.length) this.#onData(head)
+	}
+
+	/**
+	 * Sends a message, as a text frame for strings and a binary frame otherwise.
+	 * @param {string|Buffer|ArrayBuffer|ArrayBufferView} data - The message
+	 * @returns {boolean} - False if the connection isn't open
+	 */
+	send(data) {
+		if (typeof data === "string") return this.#sendFrame(opcodes.text, Buffer.from(data))
+		return this.#sendFrame(opcodes.binary, toBuffer(data))
+	}
+
+	/**
+	 * Sends a ping, answered by the client with a pong.
+	 * @param {string|Buffer} [payload=""] - The ping payload, up to 125 bytes
+	 * @returns {boolean} - False if the connection isn't open
+	 */
+	ping(payload = "") {
+		return this.#sendFrame(opcodes.ping, toBuffer(payload))
+	}
+
+	/**
+	 * Starts the closing handshake, the socket is closed once the client answers.
+	 * @param {number} [code=1000] - The close code
+	 * @param {string} [reason=""] - The close reason, up to 123 bytes
+	 */
+	close(code = 1000, reason = "") {
+		if (this.readyState !== WebSocket.OPEN) return
+
+		const payload = Buffer.alloc(2 + Buffer.byteLength(reason))
+		payload.writeUInt16BE(code)
+		payload.write(reason, 2)
+		this.#sendFrame(opcodes.close, payload)
+
+		this.readyState = WebSocket.CLOSING
+		this.closeCode = code
+		this.closeReason = reason
+
+		// Don't wait forever for a client that never answers
+		this.closeTimer = setTimeout(() => this.terminate(), 5000)
+		this.closeTimer.unref()
+	}
+
+	/**
+	 * Destroys the socket without closing handshake.
+	 */
+	terminate() {
+		this.socket.destroy()
+	}
+
+	/**
+	 * Writes a frame to the socket. Server frames are never masked.
+	 * @param {number} opcode - The frame opcode
+	 * @param {Buffer} payload - The frame payload
+	 * @returns {boolean} - False if the connection isn't open
+	 */
+	#sendFrame(opcode, payload) {
+		if (this.readyState !== WebSocket.OPEN) return false
+
+		let header
+		if (payload.length < 126) {
+			header = Buffer.from([0x80 | opcode, payload.length])
+		} else if (payload.length < 65536) {
+			header = Buffer.alloc(4)
+			header[1] = 126
+			header.writeUInt16BE(payload.length, 2)
+		} else {
+			header = Buffer.alloc(10)
+			header[1] = 127
+			header.writeBigUInt64BE(BigInt(payload.length), 2)
+		}
+		header[0] = 0x80 | opcode
+
+		this.socket.write(Buffer.concat([header, payload]))
+		return true
+	}
+
+	/**
+	 * Parses and handles the frames of the received data.
+	 * @param {Buffer} chunk - The received data
+	 */
+	#onData(chunk) {
+		// Nothing is expected after a close frame
+		if (this.closeReceived) return
+		this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk
+
+		try {
+			let frame
+			while (this.readyState !== WebSocket.CLOSED && (frame = this.#parseFrame())) {
+				this.#handleFrame(frame)
+			}
+		} catch (error) {
+			if (!(error instanceof ProtocolError)) return this.#failListener(error)
+
+			// Fail the connection: send the close frame and don't wait for the answer
+			this.close(error.code, error.message)
+			this.socket.end()
+			this.buffer = Buffer.alloc(0)
+		}
+	}
+
+	/**
+	 * Parses the next frame of the buffer.
+	 * @returns {{ fin: boolean, opcode: number, payload: Buffer }|null} - The frame, or null if it's incomplete
+	 * @throws {ProtocolError} - If the frame is invalid or too large
+	 */
+	#parseFrame() {
+		const buffer = this.buffer
+		if (buffer.length < 2) return null
+
+		const fin = (buffer[0] & 0x80) !== 0
+		const opcode = buffer[0] & 0x0f
+		const masked = (buffer[1] & 0x80) !== 0
+		let payloadLength = buffer[1] & 0x7f
+		let offset = 2
+
+		if (buffer[0] & 0x70) throw new ProtocolError(1002, "Reserved bits must be clear")
+		if (!masked) throw new ProtocolError(1002, "Client frames must be masked")
+
+		if (payloadLength === 126) {
+			if (buffer.length < 4) return null
+			payloadLength = buffer.readUInt16BE(2)
+			offset = 4
+		} else if (payloadLength === 127) {
+			if (buffer.length < 10) return null
+			const longLength = buffer.readBigUInt64BE(2)
+			if (longLength > BigInt(this.maxMessageSize)) throw new ProtocolError(1009, "Message too big")
+			payloadLength = Number(longLength)
+			offset = 10
+		}
+
+		if (opcode >= opcodes.close) {
+			// Control frames can't be fragmented and have small payloads
+			if (!fin || payloadLength > 125) throw new ProtocolError(1002, "Invalid control frame")
+		} else {
+			const receivedSize = this.fragments ? this.fragments.size : 0
+			if (receivedSize + payloadLength > this.maxMessageSize) throw new ProtocolError(1009, "Message too big")
+		}
+
+		// Wait for the rest of the frame
+		if (buffer.length < offset + 4 + payloadLength) return null
+
+		const mask = buffer.subarray(offset, offset + 4)
+		const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + payloadLength))
+		for (let index = 0; index < payload.length; index++) {
+			payload[index] ^= mask[index & 3]
+		}
+
+		this.buffer = buffer.subarray(offset + 4 + payloadLength)
+		return { fin, opcode, payload }
+	}
+
+	/**
+	 * Handles a received frame.
+	 * @param {{ fin: boolean, opcode: number, payload: Buffer }} frame - The frame
+	 * @throws {ProtocolError} - If the frame breaks the protocol
+	 */
+	#handleFrame({ fin, opcode, payload }) {
+		switch (opcode) {
+			case opcodes.text:
+			case opcodes.binary:
+				if (this.fragments) throw new ProtocolError(1002, "Expected a continuation frame")
+				this.fragments = { opcode, chunks: [payload], size: payload.length }
+				break
+
+			case opcodes.continuation:
+				if (!this.fragments) throw new ProtocolError(1002, "Unexpected continuation frame")
+				this.fragments.chunks.push(payload)
+				this.fragments.size += payload.length
+				break
+
+			case opcodes.close:
+				return this.#handleClose(payload)
+
+			case opcodes.ping:
+				this.#sendFrame(opcodes.pong, payload)
+				return this.emit("ping", payload)
+
+			case opcodes.pong:
+				this.isAlive = true
+				return this.emit("pong", payload)
+
+			default:
+				throw new ProtocolError(1002, `Unknown opcode ${opcode}`)
+		}
+
+		// Emit the message once its last frame is received
+		if (!fin) return
+
+		const { opcode: messageOpcode, chunks } = this.fragments
+		const data = Buffer.concat(chunks)
+		this.fragments = null
+
+		if (messageOpcode === opcodes.binary) return this.emit("message", data, true)
+		this.emit("message", decodeUTF8(data), false)
+	}
+
+	/**
+	 * Closes the connection with a 1011 code when a listener throws, instead of crashing the server.
+	 * @param {Error} error - The error thrown by the listener
+	 */
+	#failListener(error) {
+		this.close(1011, "Internal Error")
+		this.buffer = Buffer.alloc(0)
+		if (this.listenerCount("error")) this.emit("error", error)
+		else console.error("Error in WebSocket listener:", error)
+	}
+
+	/**
+	 * Handles a close frame, answering it if the client started the closing handshake.
+	 * @param {Buffer} payload - The close frame payload
+	 * @throws {ProtocolError} - If the close code or reason is invalid
+	 */
+	#handleClose(payload) {
+		let code = 1005
+		let reason = ""
+
+		if (payload.length === 1) throw new ProtocolError(1002, "Invalid close frame")
+		if (payload.length >= 2) {
+			code = payload.readUInt16BE(0)
+			if (!isValidCloseCode(code)) throw new ProtocolError(1002, `Invalid close code ${code}`)
+			reason = decodeUTF8(payload.subarray(2))
+		}
+
+		this.closeReceived = true
+		if (this.readyState === WebSocket.OPEN) {
+			// Echo the close code, then close the socket
+			this.close(code === 1005 ? 1000 : code)
+			this.closeCode = code
+			this.closeReason = reason
+		}
+		this.socket.end()
+	}
+}
+
+/**
+ * Checks the handshake of a WebSocket upgrade request.
+ * @param {http.IncomingMessage} req - The upgrade request
+ * @returns {{ statusCode: number, message: string, headers?: object }|null} - The error to respond with, or null if the handshake is valid
+ */
+export const validateHandshake = (req) => {
+	if (req.method !== "GET") {
+		return { statusCode: 405, message: "WebSocket upgrades must use GET", headers: { Allow: "GET" } }
+	}
+	if (String(req.headers.upgrade).toLowerCase() !== "websocket") {
+		return { statusCode: 400, message: "Invalid Upgrade header" }
+	}
+	if (!/^[A-Za-z0-9+/]{22}==$/.test(req.headers["sec-websocket-key"] || "")) {
+		return { statusCode: 400, message: "Invalid Sec-WebSocket-Key header" }
+	}
+	if (req.headers["sec-websocket-version"] !== "13") {
+		return { statusCode: 426, message: "Unsupported WebSocket version", headers: { "Sec-WebSocket-Version": "13" } }
+	}
+	return null
+}
+
+/**
+ * Completes the handshake of a validated upgrade request and creates the WebSocket.
+ * @param {http.IncomingMessage} req - The upgrade request
+ * @param {net.Socket} socket - The socket of the request
+ * @param {Buffer} head - The data received after the request headers
+ * @param {object} [options={}] - The WebSocket options, see `WebSocket`
+ * @param {string[]} [options.protocols] - The supported subprotocols, by order of preference
+ * @returns {WebSocket} - The open WebSocket
+ */
+export const acceptWebSocket = (req, socket, head, options = {}) => {
+	const accept = createHash("sha1")
+		.update(req.headers["sec-websocket-key"] + handshakeGUID)
+		.digest("base64")
+
+	// Choose the first supported subprotocol offered by the client
+	const offeredProtocols = String(req.headers["sec-websocket-protocol"] || "")
+		.split(",")
+		.map((protocol) => protocol.trim())
+	const protocol = (options.protocols || []).find((protocol) => offeredProtocols.includes(protocol)) || ""
+
+	socket.write(
+		"HTTP/1.1 101 Switching Protocols\r\n" +
+			"Upgrade: websocket\r\n" +
+			"Connection: Upgrade\r\n" +
+			`Sec-WebSocket-Accept: ${accept}\r\n` +
+			(protocol ? `Sec-WebSocket-Protocol: ${protocol}\r\n` : "") +
+			"\r\n"
+	)
+
+	return new WebSocket(socket, head, { ...options, protocol })
+}
+
+/**
+ * Creates the route handler of a WebSocket route, run on upgrade requests after the middleware.
+ *
+ * Until the handshake, the upgrade request is answered through a regular response, so a
+ * middleware can reject it with the usual helpers, e.g. `res.status(401).send()`. Once
+ * accepted, the request is done with a 101 status, and errors thrown by the handler
+ * close the connection with a 1011 code and are reported by `app.reportError()`.
+ *
+ * @param {function} handler - The function called with `(webSocket, req)` once the connection is open
+ * @param {object} [options={}] - The WebSocket options, see `acceptWebSocket()`
+ * @returns {function} - The route handler
+ */
+export const createUpgradeHandler =
+	(handler, options = {}) =>
+	async (req, res) => {
+		const error = validateHandshake(req)
+		if (error) {
+			return res
+				.status(error.statusCode)
+				.set(error.headers || {})
+				.type("txt")
+				.send(error.message)
+		}
+
+		// Take the socket over from the response, which is done with the 101 of the handshake
+		const socket = res.upgrade()
+
+		const webSocket = acceptWebSocket(req, socket, req.upgradeHead, options)
+		// Closed by the server when it shuts down, see `createServer()`
+		req.webSocket = webSocket
+
+		try {
+			await handler(webSocket, req)
+		} catch (handlerError) {
+			// The request is over, the client only gets a close code
+			webSocket.close(1011, "Internal Error")
+			await res.app.reportError(handlerError, req, res)
+		}
+	}
+
+/**
+ * Checks whether a close code can be received in a close frame.
+ * @param {number} code - The close code
+ * @returns {boolean}
+ */
+const isValidCloseCode = (code) =>
+	(code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1011) || (code >= 3000 && code <= 4999)
+
+/**
+ * Decodes UTF-8 text, failing the connection if it's invalid.
+ * @param {Buffer} data - The encoded text
+ * @returns {string} - The text
+ * @throws {ProtocolError} - If the text isn't valid UTF-8
+ */
+const decodeUTF8 = (data) => {
+	try {
+		return utf8Decoder.decode(data)
+	} catch {
+		throw new ProtocolError(1007, "Invalid UTF-8")
+	}
+}
+
+/**
+ * Converts binary data or a string to a Buffer.
+ * @param {string|Buffer|ArrayBuffer|ArrayBufferView} data - The data
+ * @returns {Buffer}
+ */
+const toBuffer = (data) => {
+	if (Buffer.isBuffer(data)) return data
+	if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+	return Buffer.from(data)
+}